@@ -13,6 +13,8 @@ const ChatContainer = () => {
     }
   ]);
   const [isLoading, setIsLoading] = useState(false);
+  // Candidate locations from a "which one did you mean?" reply, sent back with the answer
+  const [locationChoice, setLocationChoice] = useState(null);
   const messagesEndRef = useRef(null);
 
   const scrollToBottom = () => {
@@ -41,9 +43,13 @@ const ChatContainer = () => {
       // Send to backend API
       const response = await axios.post('/api/chat', {
         message: messageText,
-        conversationHistory: messages
+        conversationHistory: messages,
+        locationChoice,
+        locale: navigator.language
       });
 
+      setLocationChoice(response.data.locationChoice || null);
+
       // Add assistant response
       const assistantMessage = {
         id: Date.now() + 1,
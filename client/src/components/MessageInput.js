@@ -1,8 +1,13 @@
 import React, { useState, useRef, useEffect } from 'react';
+import useCitySuggestions, { findCityFragment } from '../hooks/useCitySuggestions';
 
 const MessageInput = ({ onSendMessage, disabled }) => {
   const [message, setMessage] = useState('');
+  const [highlighted, setHighlighted] = useState(0);
+  const [dismissed, setDismissed] = useState(false);
   const textareaRef = useRef(null);
+  const suggestions = useCitySuggestions(message);
+  const showSuggestions = suggestions.length > 0 && !dismissed && !disabled;
 
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -23,8 +28,38 @@ const MessageInput = ({ onSendMessage, disabled }) => {
     }
   };
 
+  // Arrow keys pick a city suggestion, Tab accepts it and Escape hides the list
+  const handleKeyDown = (e) => {
+    if (!showSuggestions) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setHighlighted((highlighted + step + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Tab') {
+      e.preventDefault();
+      acceptSuggestion(suggestions[highlighted] || suggestions[0]);
+    } else if (e.key === 'Escape') {
+      setDismissed(true);
+    }
+  };
+
+  // Replace the partly typed city with the suggested name
+  const acceptSuggestion = (city) => {
+    const match = findCityFragment(message);
+    if (match) {
+      setMessage(message.slice(0, match.start) + city);
+    }
+    setHighlighted(0);
+    if (textareaRef.current) {
+      textareaRef.current.focus();
+    }
+  };
+
   const handleInputChange = (e) => {
     setMessage(e.target.value);
+    setHighlighted(0);
+    setDismissed(false);
 
     // Auto-resize textarea
     if (textareaRef.current) {
@@ -43,11 +78,31 @@ const MessageInput = ({ onSendMessage, disabled }) => {
     <div className="border-t border-gray-200 bg-white p-6">
       <div className="max-w-2xl mx-auto">
         <form onSubmit={handleSubmit} className="space-y-4">
+          {showSuggestions && (
+            <ul className="border border-gray-200 rounded-xl overflow-hidden text-sm" role="listbox">
+              {suggestions.map((city, index) => (
+                <li
+                  key={city}
+                  role="option"
+                  aria-selected={index === highlighted}
+                  onMouseDown={(e) => {
+                    e.preventDefault(); // Keep focus in the textarea
+                    acceptSuggestion(city);
+                  }}
+                  onMouseEnter={() => setHighlighted(index)}
+                  className={`px-4 py-2 cursor-pointer ${index === highlighted ? 'bg-blue-50 text-blue-700' : 'text-gray-700'}`}
+                >
+                  📍 {city}
+                </li>
+              ))}
+            </ul>
+          )}
           <textarea
             ref={textareaRef}
             value={message}
             onChange={handleInputChange}
             onKeyPress={handleKeyPress}
+            onKeyDown={handleKeyDown}
             placeholder="Message Weather Chat..."
             className="w-full h-32 px-4 py-3 border-2 border-gray-300 rounded-xl resize-none outline-none text-gray-900 placeholder-gray-400 focus:border-blue-500 focus:ring-2 focus:ring-blue-200 transition-colors"
             rows="1"
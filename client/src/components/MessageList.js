@@ -1,4 +1,14 @@
 import React, { useEffect, useState } from 'react';
+import useWeatherCodes, { describeCondition } from '../hooks/useWeatherCodes';
+
+// Badge colours by weather code severity
+const SEVERITY_STYLES = {
+  none: { backgroundColor: '#dbeafe', color: '#1e40af' },
+  minor: { backgroundColor: '#dbeafe', color: '#1e40af' },
+  moderate: { backgroundColor: '#fef3c7', color: '#92400e' },
+  high: { backgroundColor: '#ffedd5', color: '#9a3412' },
+  severe: { backgroundColor: '#fee2e2', color: '#991b1b' }
+};
 
 // Typing effect hook
 function useTypingEffect(fullText, speed = 20) {
@@ -26,6 +36,8 @@ function useTypingEffect(fullText, speed = 20) {
 }
 
 const MessageList = ({ messages, isLoading, messagesEndRef }) => {
+  const weatherCodes = useWeatherCodes(navigator.language);
+
   const formatMessageContent = (content) => {
     // Convert markdown-style formatting to HTML
     return content
@@ -51,6 +63,9 @@ const MessageList = ({ messages, isLoading, messagesEndRef }) => {
       <div className="max-w-4xl mx-auto">
         {messages.map((message, idx) => {
           let contentToShow = message.content;
+          const condition = message.weatherData?.current
+            ? describeCondition(weatherCodes, message.weatherData.current.weatherCode, message.weatherData.current.isDay)
+            : null;
           // Only animate the latest assistant message
           if (message.type === 'assistant' && idx === lastAssistantAbsIdx) {
             contentToShow = animatedText;
@@ -105,16 +120,15 @@ const MessageList = ({ messages, isLoading, messagesEndRef }) => {
                     <div style={{
                       marginTop: '8px',
                       padding: '4px 8px',
-                      backgroundColor: '#dbeafe',
-                      color: '#1e40af',
+                      ...SEVERITY_STYLES[condition ? condition.severity : 'none'],
                       borderRadius: '12px',
                       fontSize: '12px',
                       display: 'inline-flex',
                       alignItems: 'center',
                       gap: '4px'
                     }}>
-                      <span>🌤️</span>
-                      <span>Weather data included</span>
+                      <span>{condition ? condition.emoji : '🌤️'}</span>
+                      <span>{condition ? condition.description : 'Weather data included'}</span>
                     </div>
                   )}
                 </div>
@@ -0,0 +1,50 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+
+// The place being typed at the end of a message: "weather in Lon" -> "Lon"
+const CITY_FRAGMENT = /\b(?:in|for|at|near)\s+([^\s,?!.][^?!.]*)$/i;
+const MIN_FRAGMENT_LENGTH = 2;
+const DEBOUNCE_MS = 250;
+
+// { fragment, start } for the city at the end of the message, or null
+export function findCityFragment(message) {
+  const match = message.match(CITY_FRAGMENT);
+  if (!match) return null;
+
+  const fragment = match[1];
+  return { fragment, start: match.index + match[0].length - fragment.length };
+}
+
+// City name suggestions for the message being typed, served by the chat server
+function useCitySuggestions(message) {
+  const [result, setResult] = useState({ fragment: null, suggestions: [] });
+  const fragment = findCityFragment(message)?.fragment.trim() || null;
+
+  useEffect(() => {
+    if (!fragment || fragment.length < MIN_FRAGMENT_LENGTH) {
+      setResult({ fragment: null, suggestions: [] });
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      axios
+        .get('/api/cities/suggest', { params: { q: fragment } })
+        .then(response => {
+          if (!cancelled) setResult({ fragment, suggestions: response.data.suggestions });
+        })
+        .catch(error => console.error('Error loading city suggestions:', error));
+    }, DEBOUNCE_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [fragment]);
+
+  // Drop stale results and the name that's already been typed in full
+  if (result.fragment !== fragment) return [];
+  return result.suggestions.filter(city => city !== fragment);
+}
+
+export default useCitySuggestions;
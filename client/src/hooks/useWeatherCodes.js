@@ -0,0 +1,56 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+
+// One request per locale, shared by every component that needs the table
+const tables = {};
+
+function loadWeatherCodes(locale) {
+  if (!tables[locale]) {
+    tables[locale] = axios
+      .get('/api/weather-codes', { params: { locale } })
+      .then(response => response.data)
+      .catch(error => {
+        delete tables[locale]; // Retry on the next render
+        throw error;
+      });
+  }
+  return tables[locale];
+}
+
+// Weather code table (descriptions, icons, severity) served by the chat server
+function useWeatherCodes(locale = 'en') {
+  const [table, setTable] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    loadWeatherCodes(locale)
+      .then(data => {
+        if (!cancelled) setTable(data);
+      })
+      .catch(error => console.error('Error loading weather codes:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [locale]);
+
+  return table;
+}
+
+// Icon, description and severity for a code, or null until the table has loaded
+export function describeCondition(table, code, isDay = true) {
+  if (!table || code === undefined || code === null) return null;
+
+  const entry = table.codes[code];
+  if (!entry) return null;
+
+  const icon = isDay === false ? entry.icon.night : entry.icon.day;
+  return {
+    description: entry.description,
+    emoji: table.icons[icon],
+    severity: entry.severity
+  };
+}
+
+export default useWeatherCodes;
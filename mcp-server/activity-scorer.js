@@ -0,0 +1,255 @@
+/**
+ * Activity Scorer
+ *
+ * Deterministic 0-100 suitability scores for outdoor activities, computed from
+ * the `current`, `daily` and `hourly` data WeatherService already returns.
+ * Every point deducted comes with a reason, so the same forecast always gives
+ * the same score and the score can be explained without an LLM.
+ */
+
+const { resolveUnits, toCelsius, toKmh, toMillimetres } = require('./units');
+const { getWeatherCode } = require('./weather-codes');
+
+// Daily data has no cloud cover, so estimate it from the weather code
+const CLOUD_COVER_BY_CODE = { 0: 0, 1: 25, 2: 50, 3: 100, 45: 100, 48: 100 };
+
+/**
+ * Metric preferences per activity:
+ * - temperature: comfortable [min, max] °C, `temperaturePenalty` points per degree outside it
+ * - maxGust: km/h before gusts start costing `gustPenalty` points per km/h
+ * - rainChanceFrom: precipitation probability (%) tolerated before costing `rainChancePenalty` per %
+ * - rainPenalty: points per mm of rain
+ * - maxUv: UV index before costing 5 points per step (null to ignore)
+ * - maxCloudCover / minCloudCover: cloud cover (%) preferences, `cloudPenalty` points per %
+ * - snow: 'required' for snow sports, otherwise snow counts as precipitation
+ */
+const ACTIVITIES = {
+  hiking: {
+    label: 'Hiking', icon: '🥾',
+    temperature: [8, 22], temperaturePenalty: 4,
+    maxGust: 40, gustPenalty: 1.5,
+    rainChanceFrom: 20, rainChancePenalty: 0.5, rainPenalty: 6,
+    maxUv: 7
+  },
+  running: {
+    label: 'Running', icon: '🏃',
+    temperature: [5, 18], temperaturePenalty: 4,
+    maxGust: 35, gustPenalty: 1.5,
+    rainChanceFrom: 30, rainChancePenalty: 0.4, rainPenalty: 5,
+    maxUv: 6
+  },
+  cycling: {
+    label: 'Cycling', icon: '🚴',
+    temperature: [12, 25], temperaturePenalty: 4,
+    maxGust: 30, gustPenalty: 2,
+    rainChanceFrom: 20, rainChancePenalty: 0.6, rainPenalty: 8,
+    maxUv: 7
+  },
+  beach: {
+    label: 'Beach', icon: '🏖️',
+    temperature: [24, 32], temperaturePenalty: 5,
+    maxGust: 30, gustPenalty: 1.5,
+    rainChanceFrom: 10, rainChancePenalty: 0.6, rainPenalty: 10,
+    maxUv: null,
+    maxCloudCover: 30, cloudPenalty: 0.4
+  },
+  skiing: {
+    label: 'Skiing', icon: '⛷️',
+    temperature: [-12, 2], temperaturePenalty: 6,
+    maxGust: 45, gustPenalty: 1.5,
+    rainChanceFrom: 100, rainChancePenalty: 0, rainPenalty: 10,
+    maxUv: null,
+    snow: 'required'
+  },
+  picnic: {
+    label: 'Picnic', icon: '🧺',
+    temperature: [18, 28], temperaturePenalty: 4,
+    maxGust: 25, gustPenalty: 2,
+    rainChanceFrom: 10, rainChancePenalty: 0.8, rainPenalty: 10,
+    maxUv: 8,
+    maxCloudCover: 60, cloudPenalty: 0.3
+  },
+  photography: {
+    label: 'Photography', icon: '📷',
+    temperature: [-5, 30], temperaturePenalty: 2,
+    maxGust: 50, gustPenalty: 1,
+    rainChanceFrom: 30, rainChancePenalty: 0.5, rainPenalty: 6,
+    maxUv: null,
+    // Some cloud makes for interesting light; a flat grey sky doesn't
+    minCloudCover: 10, maxCloudCover: 80, cloudPenalty: 0.5
+  }
+};
+
+// Words in a question that point at an activity, e.g. "is it good hiking weather?"
+const ACTIVITY_KEYWORDS = {
+  hiking: /\b(hik(e|es|ing)|trek(king)?|walk(ing)?)\b/i,
+  running: /\b(run(s|ning)?|jog(ging)?)\b/i,
+  cycling: /\b(cycl(e|ing)|bik(e|ing)|ride)\b/i,
+  beach: /\b(beach|swim(ming)?|sunbath(e|ing))\b/i,
+  skiing: /\b(ski(s|ing)?|snowboard(ing)?)\b/i,
+  picnic: /\b(picnic(s|king)?|barbecue|bbq)\b/i,
+  photography: /\b(photo(s|graphy)?|pictures?|sunset shots?)\b/i
+};
+
+class ActivityScorer {
+  /**
+   * Activities mentioned in a free-text question
+   */
+  detectActivities(text) {
+    return Object.keys(ACTIVITY_KEYWORDS).filter(activity => ACTIVITY_KEYWORDS[activity].test(text));
+  }
+
+  /**
+   * Score every day of a forecast for each activity.
+   * Returns [{ activity, label, icon, periods: [{ label, time, score, rating, reasons }] }],
+   * with periods sorted best first.
+   */
+  scoreDays(weatherData, activities = Object.keys(ACTIVITIES)) {
+    const units = resolveUnits(weatherData.unitSystem);
+    const today = weatherData.current?.time?.slice(0, 10);
+
+    const periods = weatherData.daily.map(day => ({
+      label: formatDayLabel(day.date, today),
+      time: day.date,
+      temperature: day.temperatureMax,
+      precipitationProbability: day.precipitationProbability,
+      precipitation: day.precipitationSum,
+      snowfall: day.snowfallSum,
+      gusts: day.windGustsMax,
+      uvIndex: day.uvIndexMax,
+      cloudCover: CLOUD_COVER_BY_CODE[day.weatherCode] ?? 100,
+      weatherCode: day.weatherCode,
+      isDay: true
+    }));
+
+    return this.rank(periods, activities, units);
+  }
+
+  /**
+   * Score each hour of an hourly forecast for each activity. Hours after dark
+   * are left out of the ranking unless the whole window is dark.
+   */
+  scoreHours(hourlyData, activities = Object.keys(ACTIVITIES)) {
+    const units = resolveUnits(hourlyData.unitSystem);
+
+    const periods = hourlyData.hourly.map(hour => ({
+      label: new Date(`${hour.time}:00Z`).toLocaleString('en-US', { weekday: 'short', hour: 'numeric', timeZone: 'UTC' }),
+      time: hour.time,
+      temperature: hour.temperature,
+      precipitationProbability: hour.precipitationProbability,
+      precipitation: hour.precipitation,
+      snowfall: getWeatherCode(hour.weatherCode).precipitation === 'snow' ? hour.precipitation : 0,
+      gusts: hour.windGusts,
+      uvIndex: null,
+      cloudCover: CLOUD_COVER_BY_CODE[hour.weatherCode] ?? 100,
+      weatherCode: hour.weatherCode,
+      isDay: hour.isDay
+    }));
+
+    const daylight = periods.filter(period => period.isDay !== false);
+    return this.rank(daylight.length > 0 ? daylight : periods, activities, units);
+  }
+
+  rank(periods, activities, units) {
+    return activities
+      .map(activity => ({
+        activity,
+        label: ACTIVITIES[activity].label,
+        icon: ACTIVITIES[activity].icon,
+        periods: periods
+          .map(period => ({ label: period.label, time: period.time, ...this.score(activity, period, units) }))
+          .sort((a, b) => b.score - a.score || a.time.localeCompare(b.time))
+      }))
+      .sort((a, b) => b.periods[0].score - a.periods[0].score);
+  }
+
+  /**
+   * Score one period (a day or an hour) for one activity.
+   * Values arrive in the caller's units and are compared in metric.
+   */
+  score(activity, period, units) {
+    const profile = ACTIVITIES[activity];
+    const { labels } = units;
+    const penalties = [];
+    const penalize = (points, reason) => {
+      if (points > 0) penalties.push({ points, reason });
+    };
+
+    if (period.temperature !== null && period.temperature !== undefined) {
+      const celsius = toCelsius(period.temperature, units);
+      const [min, max] = profile.temperature;
+      if (celsius < min) penalize((min - celsius) * profile.temperaturePenalty, `too cold (${period.temperature}${labels.temperature})`);
+      if (celsius > max) penalize((celsius - max) * profile.temperaturePenalty, `too hot (${period.temperature}${labels.temperature})`);
+    }
+
+    if (period.gusts !== null && period.gusts !== undefined) {
+      const kmh = toKmh(period.gusts, units);
+      penalize((kmh - profile.maxGust) * profile.gustPenalty, `gusts up to ${period.gusts} ${labels.wind}`);
+    }
+
+    if (period.precipitationProbability !== null && period.precipitationProbability !== undefined) {
+      penalize(
+        (period.precipitationProbability - profile.rainChanceFrom) * profile.rainChancePenalty,
+        `${period.precipitationProbability}% chance of precipitation`
+      );
+    }
+
+    const condition = getWeatherCode(period.weatherCode);
+    const snowing = condition.precipitation === 'snow' || period.snowfall > 0;
+    if (period.precipitation > 0 && !(profile.snow === 'required' && snowing)) {
+      penalize(toMillimetres(period.precipitation, units) * profile.rainPenalty, `${period.precipitation}${labels.precipitation} of precipitation`);
+    }
+
+    if (profile.snow === 'required' && !snowing) {
+      penalize(15, 'no fresh snow');
+    }
+
+    if (profile.maxUv !== null && period.uvIndex !== null && period.uvIndex !== undefined) {
+      penalize((period.uvIndex - profile.maxUv) * 5, `UV index ${Math.round(period.uvIndex)}`);
+    }
+
+    if (period.cloudCover !== null && period.cloudCover !== undefined) {
+      if (profile.maxCloudCover !== undefined) {
+        penalize((period.cloudCover - profile.maxCloudCover) * profile.cloudPenalty, `${period.cloudCover}% cloud cover`);
+      }
+      if (profile.minCloudCover !== undefined) {
+        penalize((profile.minCloudCover - period.cloudCover) * profile.cloudPenalty, 'featureless clear sky');
+      }
+    }
+
+    if (condition.group === 'thunderstorm') {
+      penalize(60, 'thunderstorms');
+    }
+    if (condition.group === 'fog' && activity !== 'photography') {
+      penalize(15, 'fog');
+    }
+    if (period.isDay === false) {
+      // Enough that a dark hour can't rate better than Fair
+      penalize(45, 'dark');
+    }
+
+    const score = Math.max(0, Math.min(100, Math.round(100 - penalties.reduce((sum, { points }) => sum + points, 0))));
+
+    return {
+      score,
+      rating: getRating(score),
+      reasons: penalties.sort((a, b) => b.points - a.points).map(({ reason }) => reason)
+    };
+  }
+}
+
+function getRating(score) {
+  if (score >= 80) return 'Excellent';
+  if (score >= 60) return 'Good';
+  if (score >= 40) return 'Fair';
+  return 'Poor';
+}
+
+function formatDayLabel(date, today) {
+  if (date === today) return 'Today';
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+ActivityScorer.ACTIVITIES = ACTIVITIES;
+
+module.exports = ActivityScorer;
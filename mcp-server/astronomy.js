@@ -0,0 +1,265 @@
+/**
+ * Astronomy
+ *
+ * Sun and moon times computed locally from standard low-precision formulas
+ * (Meeus, "Astronomical Algorithms", as popularised by SunCalc). Accurate to
+ * about a minute for sun events and a few minutes for the moon, which is
+ * plenty for planning a sunrise shoot. No network access is needed.
+ */
+
+const RAD = Math.PI / 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const J0 = 0.0009;
+const OBLIQUITY = RAD * 23.4397;
+const SUN_DISTANCE_KM = 149598000;
+
+// Sun altitudes (degrees) that start and end each part of the day
+const SUN_EVENTS = [
+  { altitude: -0.833, rise: 'sunrise', set: 'sunset' },
+  { altitude: -6, rise: 'civilDawn', set: 'civilDusk' },
+  { altitude: -12, rise: 'nauticalDawn', set: 'nauticalDusk' },
+  { altitude: -18, rise: 'astronomicalDawn', set: 'astronomicalDusk' },
+  { altitude: 6, rise: 'goldenHourMorningEnd', set: 'goldenHourEveningStart' }
+];
+
+// Upper bounds of the moon's phase fraction (0 = new, 0.5 = full) for each name
+const MOON_PHASES = [
+  { until: 0.0339, name: 'New Moon', icon: '🌑' },
+  { until: 0.2161, name: 'Waxing Crescent', icon: '🌒' },
+  { until: 0.2839, name: 'First Quarter', icon: '🌓' },
+  { until: 0.4661, name: 'Waxing Gibbous', icon: '🌔' },
+  { until: 0.5339, name: 'Full Moon', icon: '🌕' },
+  { until: 0.7161, name: 'Waning Gibbous', icon: '🌖' },
+  { until: 0.7839, name: 'Last Quarter', icon: '🌗' },
+  { until: 0.9661, name: 'Waning Crescent', icon: '🌘' },
+  { until: 1, name: 'New Moon', icon: '🌑' }
+];
+
+const toJulian = date => date.getTime() / DAY_MS - 0.5 + J1970;
+const fromJulian = julian => new Date((julian + 0.5 - J1970) * DAY_MS);
+const toDays = date => toJulian(date) - J2000;
+
+const rightAscension = (l, b) => Math.atan2(Math.sin(l) * Math.cos(OBLIQUITY) - Math.tan(b) * Math.sin(OBLIQUITY), Math.cos(l));
+const declination = (l, b) => Math.asin(Math.sin(b) * Math.cos(OBLIQUITY) + Math.cos(b) * Math.sin(OBLIQUITY) * Math.sin(l));
+const siderealTime = (d, lw) => RAD * (280.16 + 360.9856235 * d) - lw;
+const altitude = (H, phi, dec) => Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(H));
+
+function solarMeanAnomaly(d) {
+  return RAD * (357.5291 + 0.98560028 * d);
+}
+
+function eclipticLongitude(M) {
+  const center = RAD * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+  const perihelion = RAD * 102.9372;
+  return M + center + perihelion + Math.PI;
+}
+
+function sunCoords(d) {
+  const L = eclipticLongitude(solarMeanAnomaly(d));
+  return { dec: declination(L, 0), ra: rightAscension(L, 0) };
+}
+
+function moonCoords(d) {
+  const L = RAD * (218.316 + 13.176396 * d); // Ecliptic longitude
+  const M = RAD * (134.963 + 13.064993 * d); // Mean anomaly
+  const F = RAD * (93.272 + 13.229350 * d); // Mean distance
+
+  const l = L + RAD * 6.289 * Math.sin(M);
+  const b = RAD * 5.128 * Math.sin(F);
+
+  return {
+    ra: rightAscension(l, b),
+    dec: declination(l, b),
+    distance: 385001 - 20905 * Math.cos(M)
+  };
+}
+
+/**
+ * Times of sunrise, sunset, twilight and golden hour for the day containing
+ * `date` at the given coordinates. Events that don't happen (polar day or
+ * night) are null, with `alwaysUp`/`alwaysDown` saying which.
+ */
+function getSunTimes(date, latitude, longitude) {
+  const lw = RAD * -longitude;
+  const phi = RAD * latitude;
+  const d = toDays(date);
+
+  const cycle = Math.round(d - J0 - lw / (2 * Math.PI));
+  const approxTransit = (hourAngle, n) => J0 + (hourAngle + lw) / (2 * Math.PI) + n;
+  const ds = approxTransit(0, cycle);
+  const M = solarMeanAnomaly(ds);
+  const L = eclipticLongitude(M);
+  const dec = declination(L, 0);
+  const solarTransit = days => J2000 + days + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+  const noon = solarTransit(ds);
+
+  const times = { solarNoon: fromJulian(noon), alwaysUp: false, alwaysDown: false };
+
+  SUN_EVENTS.forEach(event => {
+    const cosHourAngle = (Math.sin(event.altitude * RAD) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+
+    if (cosHourAngle < -1 || cosHourAngle > 1) {
+      times[event.rise] = null;
+      times[event.set] = null;
+      if (event.rise === 'sunrise') {
+        // The sun never crosses the horizon: midnight sun or polar night
+        times.alwaysUp = cosHourAngle < -1;
+        times.alwaysDown = cosHourAngle > 1;
+      }
+      return;
+    }
+
+    const set = solarTransit(approxTransit(Math.acos(cosHourAngle), cycle));
+    times[event.rise] = fromJulian(noon - (set - noon));
+    times[event.set] = fromJulian(set);
+  });
+
+  return times;
+}
+
+/**
+ * Moon altitude (radians) above the horizon at a moment and place
+ */
+function getMoonAltitude(date, latitude, longitude) {
+  const lw = RAD * -longitude;
+  const d = toDays(date);
+  const { ra, dec } = moonCoords(d);
+  return altitude(siderealTime(d, lw) - ra, RAD * latitude, dec);
+}
+
+/**
+ * Illuminated fraction (0-1) and phase (0 = new, 0.5 = full) of the moon
+ */
+function getMoonIllumination(date) {
+  const d = toDays(date);
+  const sun = sunCoords(d);
+  const moon = moonCoords(d);
+
+  const elongation = Math.acos(Math.sin(sun.dec) * Math.sin(moon.dec) +
+    Math.cos(sun.dec) * Math.cos(moon.dec) * Math.cos(sun.ra - moon.ra));
+  const inclination = Math.atan2(SUN_DISTANCE_KM * Math.sin(elongation), moon.distance - SUN_DISTANCE_KM * Math.cos(elongation));
+  const angle = Math.atan2(Math.cos(sun.dec) * Math.sin(sun.ra - moon.ra),
+    Math.sin(sun.dec) * Math.cos(moon.dec) - Math.cos(sun.dec) * Math.sin(moon.dec) * Math.cos(sun.ra - moon.ra));
+
+  const phase = 0.5 + 0.5 * inclination * (angle < 0 ? -1 : 1) / Math.PI;
+  const { name, icon } = MOON_PHASES.find(({ until }) => phase < until) || MOON_PHASES[MOON_PHASES.length - 1];
+
+  return {
+    fraction: (1 + Math.cos(inclination)) / 2,
+    phase,
+    name,
+    icon
+  };
+}
+
+/**
+ * Moonrise and moonset in the 24 hours after `start` (normally local midnight).
+ * Scans in two-hour steps and fits a parabola to find horizon crossings.
+ * Returns { rise, set, alwaysUp, alwaysDown } with null for missing events.
+ */
+function getMoonTimes(start, latitude, longitude) {
+  const horizon = 0.133 * RAD; // Accounts for refraction and the moon's radius
+  const altitudeAt = hours => getMoonAltitude(new Date(start.getTime() + hours * 60 * 60 * 1000), latitude, longitude) - horizon;
+
+  let rise = null;
+  let set = null;
+  let previous = altitudeAt(0);
+  let highest = previous;
+  let lowest = previous;
+
+  for (let hour = 1; hour <= 24 && !(rise !== null && set !== null); hour += 2) {
+    const current = altitudeAt(hour);
+    const next = altitudeAt(hour + 1);
+    highest = Math.max(highest, current, next);
+    lowest = Math.min(lowest, current, next);
+
+    // Parabola through (-1, previous), (0, current), (1, next)
+    const a = (previous + next) / 2 - current;
+    const b = (next - previous) / 2;
+    const xe = -b / (2 * a);
+    const ye = (a * xe + b) * xe + current;
+    const discriminant = b * b - 4 * a * current;
+
+    if (discriminant >= 0) {
+      const dx = Math.sqrt(discriminant) / (Math.abs(a) * 2);
+      const roots = [xe - dx, xe + dx].filter(x => Math.abs(x) <= 1);
+
+      if (roots.length === 1) {
+        const time = hour + roots[0];
+        if (previous < 0) {
+          rise = rise ?? time;
+        } else {
+          set = set ?? time;
+        }
+      } else if (roots.length === 2) {
+        const [first, second] = roots;
+        if (ye < 0) {
+          rise = rise ?? hour + second;
+          set = set ?? hour + first;
+        } else {
+          rise = rise ?? hour + first;
+          set = set ?? hour + second;
+        }
+      }
+    }
+
+    previous = next;
+  }
+
+  const toDate = hours => hours === null ? null : new Date(start.getTime() + hours * 60 * 60 * 1000);
+
+  return {
+    rise: toDate(rise),
+    set: toDate(set),
+    alwaysUp: rise === null && set === null && lowest > 0,
+    alwaysDown: rise === null && set === null && highest < 0
+  };
+}
+
+/**
+ * The instant of local midnight on a YYYY-MM-DD date in an IANA timezone
+ */
+function zonedMidnight(date, timeZone = 'UTC') {
+  const [year, month, day] = date.split('-').map(Number);
+  const utcMidnight = Date.UTC(year, month - 1, day);
+
+  // Correct twice so days where the offset changes still land on midnight
+  let instant = utcMidnight - getTimezoneOffsetMs(utcMidnight, timeZone);
+  instant = utcMidnight - getTimezoneOffsetMs(instant, timeZone);
+
+  return new Date(instant);
+}
+
+/**
+ * Offset of a timezone from UTC at an instant, in milliseconds
+ */
+function getTimezoneOffsetMs(instant, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    }).formatToParts(new Date(instant)).map(({ type, value }) => [type, value])
+  );
+
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in an IANA timezone
+ */
+function localDate(timeZone = 'UTC', now = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+}
+
+module.exports = {
+  getSunTimes,
+  getMoonIllumination,
+  getMoonTimes,
+  zonedMidnight,
+  localDate
+};
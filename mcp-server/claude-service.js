@@ -6,8 +6,22 @@
  */
 
 const Anthropic = require('@anthropic-ai/sdk');
+const { resolveUnits, toCelsius } = require('./units');
+const { describeWeatherCode } = require('./weather-codes');
+const { translate, formatLocalDate, resolveLocale } = require('./i18n');
+const {
+  describeActivityPeriod,
+  describeCondition,
+  describeLanguage,
+  getForecastDayName,
+  currentWeatherPrompt,
+  forecastPrompt,
+  weatherQuestionPrompt
+} = require('./weather-prompts');
 require('dotenv').config();
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 class ClaudeService {
   constructor() {
     if (!process.env.CLAUDE_API_KEY || process.env.CLAUDE_API_KEY === 'your_claude_api_key_here') {
@@ -25,26 +39,8 @@ class ClaudeService {
   /**
    * Analyze current weather and provide intelligent insights
    */
-  async analyzeCurrentWeather(weatherData, city) {
-    const prompt = `You are a helpful weather assistant. Analyze this current weather data for ${city} and provide a short, concise response.
-
-Weather Data:
-- Temperature: ${weatherData.current.temperature}°C (feels like ${weatherData.current.apparentTemperature}°C)
-- Condition: ${this.getWeatherDescription(weatherData.current.weatherCode)}
-- Humidity: ${weatherData.current.humidity}%
-- Wind: ${weatherData.current.windSpeed} km/h
-- Pressure: ${weatherData.current.pressure} hPa
-- Cloud Cover: ${weatherData.current.cloudCover}%
-- Time: ${weatherData.current.isDay ? 'Day' : 'Night'}
-${weatherData.current.precipitation > 0 ? `- Precipitation: ${weatherData.current.precipitation}mm` : ''}
-
-Please provide:
-1. A friendly summary of current conditions
-2. What it feels like outside
-3. Any practical advice (clothing, activities, etc.)
-4. Keep it conversational and helpful (2-3 sentences)
-
-Format as natural conversational text, not bullet points.`;
+  async analyzeCurrentWeather(weatherData, city, { locale = 'en' } = {}) {
+    const prompt = currentWeatherPrompt(weatherData, city, { locale });
 
     try {
       const response = await this.client.messages.create({
@@ -59,34 +55,15 @@ Format as natural conversational text, not bullet points.`;
       return response.content[0].text;
     } catch (error) {
       console.error('Claude API Error:', error);
-      return this.fallbackCurrentWeatherResponse(weatherData, city);
+      return this.fallbackCurrentWeatherResponse(weatherData, city, { locale });
     }
   }
 
   /**
    * Analyze weather forecast and provide intelligent insights
    */
-  async analyzeWeatherForecast(weatherData, city) {
-    const prompt = `You are a helpful weather assistant. Analyze this 7-day weather forecast for ${city} and provide useful insights.
-
-Current Weather:
-- ${weatherData.current.temperature}°C, ${this.getWeatherDescription(weatherData.current.weatherCode)}
-
-7-Day Forecast:
-${weatherData.daily.map((day, index) => {
-      const date = new Date(day.date);
-      const dayName = index === 0 ? 'Today' : date.toLocaleDateString('en-US', { weekday: 'short' });
-      return `${dayName}: ${day.temperatureMin}-${day.temperatureMax}°C, ${this.getWeatherDescription(day.weatherCode)}${day.precipitationSum > 0 ? `, ${day.precipitationSum}mm rain` : ''}`;
-    }).slice(0, 7).join('\n')}
-
-Please provide:
-1. A summary of the weekly weather pattern
-2. Highlight any significant changes or notable weather
-3. Practical advice for planning activities
-4. Best and worst days in the forecast
-5. Keep it conversational and helpful (3-4 sentences)
-
-Format as natural conversational text, not bullet points.`;
+  async analyzeWeatherForecast(weatherData, city, { locale = 'en' } = {}) {
+    const prompt = forecastPrompt(weatherData, city, { locale });
 
     try {
       const response = await this.client.messages.create({
@@ -101,35 +78,51 @@ Format as natural conversational text, not bullet points.`;
       return response.content[0].text;
     } catch (error) {
       console.error('Claude API Error:', error);
-      return this.fallbackForecastResponse(weatherData, city);
+      return this.fallbackForecastResponse(weatherData, city, { locale });
+    }
+  }
+
+  /**
+   * Describe reverse-geocoded coordinates for prompts, e.g. "coordinates 48.86, 2.35 (near Paris, France)"
+   */
+  describeLocation(location, latitude, longitude) {
+    const coordinates = `coordinates ${latitude.toFixed(2)}, ${longitude.toFixed(2)}`;
+
+    if (location?.country) {
+      const region = location.admin1 ? `${location.admin1}, ` : '';
+      return `${coordinates} (near ${location.name}, ${region}${location.country})`;
+    }
+    if (location?.nearestPlace) {
+      return `${coordinates} (about ${location.distanceKm} km from ${location.nearestPlace})`;
     }
+    return coordinates;
   }
 
   /**
    * Analyze weather for specific coordinates with context
    */
-  async analyzeLocationWeather(weatherData, latitude, longitude, days = 1) {
+  async analyzeLocationWeather(weatherData, latitude, longitude, days = 1, { locale = 'en' } = {}) {
     const isCurrentWeather = days === 1;
+    const { labels } = resolveUnits(weatherData.unitSystem);
+    const place = this.describeLocation(weatherData.location, latitude, longitude);
     const prompt = isCurrentWeather ?
-      `You are a weather assistant. Analyze the current weather for coordinates ${latitude.toFixed(2)}, ${longitude.toFixed(2)}.
+      `You are a weather assistant. Analyze the current weather for ${place}.
 
 Weather Data:
-- Temperature: ${weatherData.current.temperature}°C (feels like ${weatherData.current.apparentTemperature}°C)
-- Condition: ${this.getWeatherDescription(weatherData.current.weatherCode)}
+- Temperature: ${weatherData.current.temperature}${labels.temperature} (feels like ${weatherData.current.apparentTemperature}${labels.temperature})
+- Condition: ${describeCondition(weatherData.current.weatherCode)}
 - Humidity: ${weatherData.current.humidity}%
-- Wind: ${weatherData.current.windSpeed} km/h
+- Wind: ${weatherData.current.windSpeed} ${labels.wind}
 
-Provide a helpful summary of current conditions and practical advice. Keep it brief and conversational.` :
-      `You are a weather assistant. Analyze this ${days}-day forecast for coordinates ${latitude.toFixed(2)}, ${longitude.toFixed(2)}.
+Provide a helpful summary of current conditions and practical advice. Keep it brief and conversational.${describeLanguage(locale)}` :
+      `You are a weather assistant. Analyze this ${days}-day forecast for ${place}.
 
 Forecast Overview:
-${weatherData.daily.slice(0, days).map((day, index) => {
-        const date = new Date(day.date);
-        const dayName = index === 0 ? 'Today' : date.toLocaleDateString('en-US', { weekday: 'short' });
-        return `${dayName}: ${day.temperatureMin}-${day.temperatureMax}°C, ${this.getWeatherDescription(day.weatherCode)}`;
+${weatherData.daily.slice(0, days).map(day => {
+        return `${getForecastDayName(day, weatherData)}: ${day.temperatureMin}-${day.temperatureMax}${labels.temperature}, ${describeCondition(day.weatherCode)}`;
       }).join('\n')}
 
-Provide a helpful forecast summary with practical insights. Keep it conversational.`;
+Provide a helpful forecast summary with practical insights. Keep it conversational.${describeLanguage(locale)}`;
 
     try {
       const response = await this.client.messages.create({
@@ -145,8 +138,8 @@ Provide a helpful forecast summary with practical insights. Keep it conversation
     } catch (error) {
       console.error('Claude API Error:', error);
       return isCurrentWeather ?
-        this.fallbackCurrentWeatherResponse(weatherData, `coordinates ${latitude.toFixed(2)}, ${longitude.toFixed(2)}`) :
-        this.fallbackForecastResponse(weatherData, `coordinates ${latitude.toFixed(2)}, ${longitude.toFixed(2)}`);
+        this.fallbackCurrentWeatherResponse(weatherData, `coordinates ${latitude.toFixed(2)}, ${longitude.toFixed(2)}`, { locale }) :
+        this.fallbackForecastResponse(weatherData, `coordinates ${latitude.toFixed(2)}, ${longitude.toFixed(2)}`, { locale });
     }
   }
 
@@ -200,22 +193,137 @@ City name:`;
   }
 
   /**
-   * Answer general weather questions with context
+   * Extract every city mentioned in a message, e.g. for "Lisbon or Barcelona next week?"
    */
-  async answerWeatherQuestion(question, weatherData = null, city = null) {
-    let prompt = `You are a helpful weather assistant. Answer this weather-related question: "${question}"`;
+  async extractCitiesFromMessage(message) {
+    const prompt = `Extract the city names from this user message about weather.
 
-    if (weatherData && city) {
-      prompt += `
+User message: "${message}"
 
-Here's current weather context for ${city}:
-- Temperature: ${weatherData.current.temperature}°C
-- Condition: ${this.getWeatherDescription(weatherData.current.weatherCode)}
-- Humidity: ${weatherData.current.humidity}%
-- Wind: ${weatherData.current.windSpeed} km/h`;
+Instructions:
+1. Return a JSON array of city names in the order they are mentioned, e.g. ["Lisbon", "Barcelona"]
+2. Expand nicknames (e.g. "NYC" → "New York")
+3. Return [] if no city is mentioned
+4. Return ONLY the JSON array, nothing else`;
+
+    try {
+      const response = await this.client.messages.create({
+        model: this.model,
+        max_tokens: 200,
+        messages: [{
+          role: 'user',
+          content: prompt
+        }]
+      });
+
+      const cities = JSON.parse(response.content[0].text.trim());
+      return Array.isArray(cities) ? cities.filter(city => typeof city === 'string' && city.trim()) : [];
+    } catch (error) {
+      console.error('Claude city extraction error:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Summarize a multi-city comparison and recommend the best place for a purpose
+   */
+  async compareLocations(comparison, purpose = null) {
+    const { labels } = resolveUnits(comparison.unitSystem);
+    const places = comparison.entries.map(({ weatherData, highlights, alerts }) => {
+      const { location, current } = weatherData;
+      return `${location.name}, ${location.country}:
+- Now: ${current.temperature}${labels.temperature}, ${describeCondition(current.weatherCode)}
+- Average high/low: ${highlights.averageHigh}/${highlights.averageLow}${labels.temperature} (warmest ${highlights.warmest}${labels.temperature}, coldest ${highlights.coldest}${labels.temperature})
+- Rainy days: ${highlights.rainyDays} of ${weatherData.daily.length}, total ${highlights.totalPrecipitation}${labels.precipitation}
+- Max wind gust: ${highlights.maxWindGust} ${labels.wind}, max UV index: ${highlights.maxUvIndex}
+- Alerts: ${alerts.length > 0 ? alerts.map(alert => `${alert.title} - ${alert.message}`).join('; ') : 'none'}`;
+    }).join('\n\n');
+
+    const prompt = `You are a helpful weather assistant. Compare the weather over the next ${comparison.days} days in these places:
+
+${places}
+
+${purpose ? `The user wants to know which place is best for: "${purpose}"` : 'The user wants to know which place has the best weather.'}
+
+Recommend one place and explain why in 2-4 conversational sentences, mentioning the trade-offs.
+Use ${labels.temperature}, ${labels.wind} and ${labels.precipitation} for any values you mention.
+Format as natural conversational text, not bullet points.`;
+
+    try {
+      const response = await this.client.messages.create({
+        model: this.model,
+        max_tokens: this.maxTokens,
+        messages: [{
+          role: 'user',
+          content: prompt
+        }]
+      });
+
+      return response.content[0].text;
+    } catch (error) {
+      console.error('Claude API Error:', error);
+      return this.fallbackComparisonResponse(comparison);
+    }
+  }
+
+  /**
+   * Packing advice for a multi-stop trip based on each stop's forecast
+   */
+  async getPackingAdvice(trip) {
+    const { labels } = resolveUnits(trip.unitSystem);
+    const stops = trip.stops.map(({ stop, location, weatherData, highlights, alerts, warnings, error }) => {
+      const place = location ? `${location.name}, ${location.country}` : stop.city;
+      let summary = `${place} (${stop.arrival} to ${stop.departure}):`;
+
+      if (error) {
+        return `${summary}\n- No forecast: ${error}`;
+      }
+      if (weatherData) {
+        summary += `
+- Highs ${highlights.averageHigh}${labels.temperature} on average (up to ${highlights.warmest}${labels.temperature}), lows down to ${highlights.coldest}${labels.temperature}
+- Rainy days: ${highlights.rainyDays} of ${weatherData.daily.length}, total ${highlights.totalPrecipitation}${labels.precipitation}
+- Max wind gust: ${highlights.maxWindGust} ${labels.wind}, max UV index: ${highlights.maxUvIndex}
+- Conditions: ${[...new Set(weatherData.daily.map(day => this.getWeatherDescription(day.weatherCode)))].join(', ')}`;
+      }
+      alerts.forEach(alert => {
+        summary += `\n- Alert: ${alert.title} - ${alert.message}`;
+      });
+      warnings.forEach(warning => {
+        summary += `\n- Note: ${warning}`;
+      });
+      return summary;
+    }).join('\n\n');
+
+    const prompt = `You are a helpful travel weather assistant. A traveller is visiting these stops in order:
+
+${stops}
+
+Write packing advice for the whole trip in 3-5 conversational sentences. Cover clothing layers, rain gear, sun protection and anything specific to a stop. For stops without a forecast, suggest checking again closer to the date.
+Use ${labels.temperature}, ${labels.wind} and ${labels.precipitation} for any values you mention.
+Format as natural conversational text, not bullet points.`;
+
+    try {
+      const response = await this.client.messages.create({
+        model: this.model,
+        max_tokens: this.maxTokens,
+        messages: [{
+          role: 'user',
+          content: prompt
+        }]
+      });
+
+      return response.content[0].text;
+    } catch (error) {
+      console.error('Claude API Error:', error);
+      return this.fallbackPackingAdvice(trip);
     }
+  }
 
-    prompt += '\n\nProvide a helpful, conversational response. If you need specific location information, mention that.';
+  /**
+   * Answer general weather questions with context
+   */
+  async answerWeatherQuestion(question, weatherData = null, city = null, airQuality = null, activityScores = null, { locale = 'en' } = {}) {
+    const prompt = weatherQuestionPrompt(question, weatherData, city, airQuality, activityScores, { locale });
 
     try {
       const response = await this.client.messages.create({
@@ -230,81 +338,173 @@ Here's current weather context for ${city}:
       return response.content[0].text;
     } catch (error) {
       console.error('Claude API Error:', error);
-      return "I'd be happy to help with weather questions! Could you specify a location so I can provide accurate information?";
+      if (activityScores && city) {
+        return this.fallbackActivityResponse(activityScores, city, { locale });
+      }
+      return translate(locale, 'fallbackQuestion');
     }
   }
 
   /**
-   * Fallback responses when Claude API is unavailable
+   * Answer an activity question straight from the scores
    */
-  fallbackCurrentWeatherResponse(weatherData, city) {
+  fallbackActivityResponse(activityScores, city, { locale = 'en' } = {}) {
+    const lines = activityScores.map(({ label, icon, periods }) => {
+      const [best] = periods;
+      const verdict = best.score >= 60 ? 'fallbackActivityGood' : best.score >= 40 ? 'fallbackActivityPossible' : 'fallbackActivityPoor';
+      return translate(locale, 'fallbackActivity', {
+        icon,
+        activity: label,
+        verdict: translate(locale, verdict),
+        place: city,
+        period: describeActivityPeriod(best)
+      });
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Fallback responses when Claude API is unavailable, in the requested locale
+   */
+  fallbackCurrentWeatherResponse(weatherData, city, { locale = 'en' } = {}) {
     const temp = weatherData.current.temperature;
-    const condition = this.getWeatherDescription(weatherData.current.weatherCode);
+    const condition = this.getWeatherDescription(weatherData.current.weatherCode, locale);
     const feelsLike = weatherData.current.apparentTemperature;
-
-    let response = `The current weather in ${city} is ${temp}°C with ${condition.toLowerCase()}`;
-    if (Math.abs(temp - feelsLike) > 3) {
-      response += `, though it feels like ${feelsLike}°C`;
+    const unitSystem = resolveUnits(weatherData.unitSystem);
+    const { labels } = unitSystem;
+    const tempCelsius = toCelsius(temp, unitSystem);
+    const t = (key, params) => translate(locale, key, params);
+
+    let response = t('fallbackCurrent', {
+      place: city,
+      temperature: `${temp}${labels.temperature}`,
+      condition: conditionInSentence(condition, locale)
+    });
+    if (Math.abs(toCelsius(feelsLike, unitSystem) - tempCelsius) > 3) {
+      response += t('fallbackFeelsLike', { value: `${feelsLike}${labels.temperature}` });
     }
     response += '. ';
 
     if (weatherData.current.precipitation > 0) {
-      response += "It's currently raining, so you'll want an umbrella. ";
+      response += `${t('fallbackRaining')} `;
     }
 
-    if (temp < 10) {
-      response += "It's quite chilly - dress warmly!";
-    } else if (temp > 25) {
-      response += "It's quite warm - perfect for outdoor activities!";
+    if (tempCelsius < 10) {
+      response += t('fallbackChilly');
+    } else if (tempCelsius > 25) {
+      response += t('fallbackWarm');
     } else {
-      response += "Pleasant weather overall!";
+      response += t('fallbackPleasant');
     }
 
     return response;
   }
 
-  fallbackForecastResponse(weatherData, city) {
-    const today = weatherData.daily[0];
-    const tomorrow = weatherData.daily[1];
+  fallbackComparisonResponse(comparison) {
+    const { labels } = resolveUnits(comparison.unitSystem);
 
-    let response = `The forecast for ${city} shows `;
-    response += `${today.temperatureMin}-${today.temperatureMax}°C today with ${this.getWeatherDescription(today.weatherCode).toLowerCase()}`;
+    // Fewest rainy days wins, then the least precipitation
+    const ranked = [...comparison.entries].sort((a, b) =>
+      a.highlights.rainyDays - b.highlights.rainyDays ||
+      a.highlights.totalPrecipitation - b.highlights.totalPrecipitation
+    );
+    const [best] = ranked;
+    const warmest = [...comparison.entries].sort((a, b) => b.highlights.averageHigh - a.highlights.averageHigh)[0];
 
-    if (tomorrow) {
-      response += `, and ${tomorrow.temperatureMin}-${tomorrow.temperatureMax}°C tomorrow with ${this.getWeatherDescription(tomorrow.weatherCode).toLowerCase()}`;
+    let response = `${best.weatherData.location.name} looks like the driest option with ${best.highlights.rainyDays} rainy day${best.highlights.rainyDays === 1 ? '' : 's'}`;
+    if (warmest !== best) {
+      response += `, while ${warmest.weatherData.location.name} is warmest with average highs of ${warmest.highlights.averageHigh}${labels.temperature}`;
+    } else {
+      response += ` and the warmest average highs (${best.highlights.averageHigh}${labels.temperature})`;
     }
+    response += '.';
+
+    return response;
+  }
+
+  fallbackPackingAdvice(trip) {
+    const unitSystem = resolveUnits(trip.unitSystem);
+    const forecasts = trip.stops.filter(plan => plan.weatherData);
 
-    const rainDays = weatherData.daily.slice(0, 7).filter(day => day.precipitationSum > 0).length;
-    if (rainDays > 3) {
-      response += '. Expect several rainy days this week.';
+    if (forecasts.length === 0) {
+      return 'None of the stops can be forecast yet, so check again closer to your travel dates.';
+    }
+
+    const coldest = Math.min(...forecasts.map(plan => toCelsius(plan.highlights.coldest, unitSystem)));
+    const warmest = Math.max(...forecasts.map(plan => toCelsius(plan.highlights.warmest, unitSystem)));
+    const items = [];
+
+    if (coldest < 5) items.push('a warm coat, hat and gloves');
+    else if (coldest < 12) items.push('a warm layer for the evenings');
+    if (warmest > 25) items.push('light, breathable clothes');
+    if (forecasts.some(plan => plan.highlights.rainyDays > 0)) items.push('an umbrella or rain jacket');
+    if (forecasts.some(plan => plan.highlights.maxUvIndex >= 6)) items.push('sunscreen and sunglasses');
+
+    return items.length > 0
+      ? `Pack ${items.join(', ')}.`
+      : 'Mild, dry weather is expected, so everyday layers should do.';
+  }
+
+  fallbackForecastResponse(weatherData, city, { locale = 'en' } = {}) {
+    const [first, second] = weatherData.daily;
+    const { labels } = resolveUnits(weatherData.unitSystem);
+    const t = (key, params) => translate(locale, key, params);
+    const describeDay = day => t('fallbackForecastDay', {
+      range: `${day.temperatureMin}-${day.temperatureMax}${labels.temperature}`,
+      day: this.getFallbackDayName(day, weatherData, locale),
+      condition: conditionInSentence(this.getWeatherDescription(day.weatherCode, locale), locale)
+    });
+
+    const period = weatherData.window
+      ? t('fallbackForecastWindow', weatherData.window)
+      : t('fallbackForecastPeriod', { days: weatherData.daily.length });
+    let days = describeDay(first);
+    if (second) {
+      days += t('fallbackForecastNextDay', { day: describeDay(second) });
+    }
+
+    let response = t('fallbackForecast', { period, place: city, days });
+
+    const rainDays = weatherData.daily.filter(day => day.precipitationSum > 0).length;
+    if (rainDays > weatherData.daily.length / 2) {
+      response += `. ${t('fallbackManyRainyDays')}`;
     } else if (rainDays > 0) {
-      response += '. Some rain is expected during the week.';
+      response += `. ${t('fallbackSomeRainyDays', { rainyDays: rainDays, days: weatherData.daily.length })}`;
     } else {
-      response += '. Looks like a dry week ahead!';
+      response += `. ${t('fallbackDry')}`;
     }
 
     return response;
   }
 
+  /**
+   * "today", "tomorrow" or "on Fri" in the locale, for fallback sentences
+   */
+  getFallbackDayName(day, weatherData, locale) {
+    const today = weatherData.current?.time?.slice(0, 10);
+
+    if (day.date === today) {
+      return translate(locale, 'fallbackToday');
+    }
+    if (today && day.date === new Date(new Date(`${today}T00:00:00Z`).getTime() + DAY_MS).toISOString().slice(0, 10)) {
+      return translate(locale, 'fallbackTomorrow');
+    }
+    return translate(locale, 'fallbackOnWeekday', { weekday: formatLocalDate(day.date, locale, { weekday: 'short' }) });
+  }
+
   /**
    * Weather code descriptions (same as WeatherService)
    */
-  getWeatherDescription(code) {
-    const weatherCodes = {
-      0: 'Clear sky', 1: 'Mainly clear', 2: 'Partly cloudy', 3: 'Overcast',
-      45: 'Fog', 48: 'Depositing rime fog',
-      51: 'Light drizzle', 53: 'Moderate drizzle', 55: 'Dense drizzle',
-      56: 'Light freezing drizzle', 57: 'Dense freezing drizzle',
-      61: 'Slight rain', 63: 'Moderate rain', 65: 'Heavy rain',
-      66: 'Light freezing rain', 67: 'Heavy freezing rain',
-      71: 'Slight snow fall', 73: 'Moderate snow fall', 75: 'Heavy snow fall', 77: 'Snow grains',
-      80: 'Slight rain showers', 81: 'Moderate rain showers', 82: 'Violent rain showers',
-      85: 'Slight snow showers', 86: 'Heavy snow showers',
-      95: 'Thunderstorm', 96: 'Thunderstorm with slight hail', 99: 'Thunderstorm with heavy hail'
-    };
-
-    return weatherCodes[code] || `Weather code ${code}`;
+  getWeatherDescription(code, locale = 'en') {
+    return describeWeatherCode(code, locale);
   }
+
+}
+
+// German capitalizes nouns, so conditions keep their case mid-sentence there
+function conditionInSentence(description, locale) {
+  return resolveLocale(locale) === 'de' ? description : description.toLowerCase();
 }
 
 module.exports = ClaudeService; 
\ No newline at end of file
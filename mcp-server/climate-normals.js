@@ -0,0 +1,190 @@
+/**
+ * Climate Normals
+ *
+ * Builds day-of-year normals (average high, low and precipitation) from a
+ * multi-year Open-Meteo archive series and compares forecasts against them.
+ * Comparisons come back as numbers and verdicts (warmer/colder/normal,
+ * wetter/drier) for the formatters to put into words in the user's language.
+ */
+
+const { resolveUnits, toCelsius, toMillimetres, fromCelsius, fromMillimetres } = require('./units');
+
+const DEFAULT_YEARS = 30;
+// Normals for a day average this many days either side, smoothing out single odd years
+const SMOOTHING_DAYS = 7;
+// Temperature anomalies smaller than this (°C) count as normal, whatever the caller's units
+const NORMAL_TEMPERATURE_BAND = 1;
+const MIN_PRECIPITATION_DAYS = 3;
+const DAYS_IN_YEAR = 365;
+
+class ClimateNormals {
+  constructor(options = {}) {
+    this.years = options.years || DEFAULT_YEARS;
+  }
+
+  /**
+   * The archive range normals are built from: the last `years` complete years
+   */
+  getBaseline(now = new Date()) {
+    const endYear = now.getUTCFullYear() - 1;
+    const startYear = endYear - this.years + 1;
+    return {
+      startYear,
+      endYear,
+      startDate: `${startYear}-01-01`,
+      endDate: `${endYear}-12-31`
+    };
+  }
+
+  /**
+   * Turn a metric archive `daily` block into 365 smoothed day-of-year normals
+   * (°C and mm). 29 February is folded into 28 February.
+   */
+  buildTable(daily) {
+    const sums = Array.from({ length: DAYS_IN_YEAR }, () => ({ max: 0, min: 0, precipitation: 0, count: 0, precipitationCount: 0 }));
+
+    daily.time.forEach((date, index) => {
+      const max = daily.temperature_2m_max[index];
+      const min = daily.temperature_2m_min[index];
+      const precipitation = daily.precipitation_sum[index];
+      if (max === null || min === null) {
+        return;
+      }
+
+      const entry = sums[dayOfYear(date)];
+      entry.max += max;
+      entry.min += min;
+      entry.count++;
+      if (precipitation !== null) {
+        entry.precipitation += precipitation;
+        entry.precipitationCount++;
+      }
+    });
+
+    return sums.map((_, day) => {
+      const totals = { max: 0, min: 0, precipitation: 0, count: 0, precipitationCount: 0 };
+      for (let offset = -SMOOTHING_DAYS; offset <= SMOOTHING_DAYS; offset++) {
+        const entry = sums[(day + offset + DAYS_IN_YEAR) % DAYS_IN_YEAR];
+        Object.keys(totals).forEach(key => {
+          totals[key] += entry[key];
+        });
+      }
+
+      if (totals.count === 0) {
+        return null;
+      }
+
+      return {
+        temperatureMax: totals.max / totals.count,
+        temperatureMin: totals.min / totals.count,
+        precipitation: totals.precipitationCount > 0 ? totals.precipitation / totals.precipitationCount : null
+      };
+    });
+  }
+
+  /**
+   * Compare a forecast's daily data with the (metric) normals for the same dates.
+   * Values are reported in the forecast's units; anomalies are judged in metric.
+   * `period` holds the part of the month ('early', 'mid' or 'late') and month
+   * number (1-12) of the first and last day. Returns null when the table has no
+   * data for those dates.
+   */
+  compare(table, weatherData, baseline) {
+    const units = resolveUnits(weatherData.unitSystem);
+    const days = weatherData.daily
+      .map(day => ({ day, normal: table[dayOfYear(day.date)] }))
+      .filter(({ day, normal }) => normal && day.temperatureMax !== null && day.temperatureMin !== null);
+
+    if (days.length === 0) {
+      return null;
+    }
+
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const round = value => Math.round(value * 10) / 10;
+    // A tenth of an inch is a wet day, so inches keep another decimal
+    const roundPrecipitation = units.precipitation === 'inch' ? value => Math.round(value * 100) / 100 : round;
+
+    const forecast = {
+      temperatureMax: round(average(days.map(({ day }) => day.temperatureMax))),
+      temperatureMin: round(average(days.map(({ day }) => day.temperatureMin))),
+      precipitation: roundPrecipitation(average(days.map(({ day }) => day.precipitationSum || 0)))
+    };
+    const normalMetric = {
+      temperatureMax: average(days.map(({ normal }) => normal.temperatureMax)),
+      temperatureMin: average(days.map(({ normal }) => normal.temperatureMin)),
+      precipitation: average(days.map(({ normal }) => normal.precipitation || 0))
+    };
+    const normal = {
+      temperatureMax: round(fromCelsius(normalMetric.temperatureMax, units)),
+      temperatureMin: round(fromCelsius(normalMetric.temperatureMin, units)),
+      precipitation: roundPrecipitation(fromMillimetres(normalMetric.precipitation, units))
+    };
+
+    const forecastMean = (toCelsius(forecast.temperatureMax, units) + toCelsius(forecast.temperatureMin, units)) / 2;
+    const normalMean = (normalMetric.temperatureMax + normalMetric.temperatureMin) / 2;
+    const forecastPrecipitation = average(days.map(({ day }) => toMillimetres(day.precipitationSum || 0, units)));
+    const anomaly = {
+      temperature: round((forecast.temperatureMax + forecast.temperatureMin) / 2 - (normal.temperatureMax + normal.temperatureMin) / 2),
+      temperatureMax: round(forecast.temperatureMax - normal.temperatureMax),
+      temperatureMin: round(forecast.temperatureMin - normal.temperatureMin),
+      precipitationPercent: normalMetric.precipitation > 0
+        ? Math.round(forecastPrecipitation / normalMetric.precipitation * 100)
+        : null
+    };
+
+    const startDate = days[0].day.date;
+    const endDate = days[days.length - 1].day.date;
+
+    return {
+      period: { start: periodOf(startDate), end: periodOf(endDate) },
+      startDate,
+      endDate,
+      baseline: { startYear: baseline.startYear, endYear: baseline.endYear },
+      forecast,
+      normal,
+      anomaly,
+      assessment: {
+        temperature: assessTemperature(forecastMean - normalMean),
+        precipitation: assessPrecipitation(anomaly.precipitationPercent, days.length)
+      }
+    };
+  }
+}
+
+/**
+ * Index (0-364) of a YYYY-MM-DD date in a non-leap year
+ */
+function dayOfYear(date) {
+  const [, month, day] = date.split('-').map(Number);
+  const start = Date.UTC(2001, 0, 1);
+  const target = Date.UTC(2001, month - 1, month === 2 && day === 29 ? 28 : day);
+  return Math.round((target - start) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Part of the month a date falls in: { part: 'early' | 'mid' | 'late', month: 1-12 }
+ */
+function periodOf(date) {
+  const [, month, day] = date.split('-').map(Number);
+  if (day <= 10) return { part: 'early', month };
+  if (day <= 20) return { part: 'mid', month };
+  return { part: 'late', month };
+}
+
+function assessTemperature(anomalyCelsius) {
+  if (Math.abs(anomalyCelsius) < NORMAL_TEMPERATURE_BAND) return 'normal';
+  return anomalyCelsius > 0 ? 'warmer' : 'colder';
+}
+
+/**
+ * 'wetter', 'drier' or null. One wet or dry day says little against a daily
+ * average, so only longer spans are judged.
+ */
+function assessPrecipitation(percent, dayCount) {
+  if (percent === null || dayCount < MIN_PRECIPITATION_DAYS) return null;
+  if (percent >= 150) return 'wetter';
+  if (percent <= 50) return 'drier';
+  return null;
+}
+
+module.exports = ClimateNormals;
@@ -0,0 +1,99 @@
+/**
+ * Gazetteer
+ *
+ * Offline reverse geocoding and city name lookup against a bundled list of
+ * major cities (data/cities.tsv).
+ * Each line is tab-separated: name, admin1, country, latitude, longitude,
+ * population, timezone. Lines starting with # are comments.
+ * Set GAZETTEER_PATH to use a larger extract in the same format.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_GAZETTEER_PATH = path.join(__dirname, 'data', 'cities.tsv');
+const EARTH_RADIUS_KM = 6371;
+
+class Gazetteer {
+  constructor(options = {}) {
+    this.filePath = options.filePath || process.env.GAZETTEER_PATH || DEFAULT_GAZETTEER_PATH;
+    this.places = null; // Loaded on first lookup
+  }
+
+  load() {
+    if (this.places) {
+      return this.places;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+    this.places = lines
+      .filter(line => line.trim() && !line.startsWith('#'))
+      .map(line => {
+        const [name, admin1, country, latitude, longitude, population, timezone] = line.split('\t');
+        return {
+          name,
+          admin1: admin1 || undefined,
+          country,
+          latitude: parseFloat(latitude),
+          longitude: parseFloat(longitude),
+          population: parseInt(population, 10) || 0,
+          timezone
+        };
+      })
+      .filter(place => Number.isFinite(place.latitude) && Number.isFinite(place.longitude));
+
+    return this.places;
+  }
+
+  /**
+   * Find the place closest to the given coordinates.
+   * Returns { place, distanceKm } or null when the gazetteer is empty.
+   */
+  nearest(latitude, longitude) {
+    let best = null;
+
+    // A linear scan is fast enough for a few tens of thousands of entries
+    for (const place of this.load()) {
+      const distanceKm = haversineKm(latitude, longitude, place.latitude, place.longitude);
+      if (!best || distanceKm < best.distanceKm) {
+        best = { place, distanceKm };
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Places whose name starts with `prefix` (case- and accent-insensitive), largest first.
+   * An empty prefix lists the largest places overall.
+   */
+  search(prefix, limit = 10) {
+    const wanted = normalizeName(prefix);
+
+    return this.load()
+      .filter(place => normalizeName(place.name).startsWith(wanted))
+      .sort((a, b) => b.population - a.population)
+      .slice(0, limit);
+  }
+}
+
+function normalizeName(name) {
+  return (name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+/**
+ * Great-circle distance between two coordinates in kilometres
+ */
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const toRadians = degrees => degrees * Math.PI / 180;
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+Gazetteer.haversineKm = haversineKm;
+
+module.exports = Gazetteer;
@@ -0,0 +1,403 @@
+/**
+ * Chat Messages
+ *
+ * Message catalogs for the chat formatters, plus date formatting that keeps
+ * Open-Meteo's local calendar dates on the right day. Weather code
+ * descriptions are translated in ./weather-codes.
+ */
+
+const DEFAULT_LOCALE = 'en';
+
+// Intl locale used for dates in each language
+const DATE_LOCALES = {
+  en: 'en-US',
+  es: 'es-ES',
+  fr: 'fr-FR',
+  de: 'de-DE'
+};
+
+// Language names as written in English, for telling Claude what to answer in
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German'
+};
+
+const MESSAGES = {
+  en: {
+    currentTitle: 'Current Weather in {place}',
+    forecastTitle: '{days}-Day Weather Forecast',
+    forecastWindowTitle: 'Weather Forecast {startDate} to {endDate}',
+    observedTitle: 'Observed Weather {startDate} to {endDate}',
+    titleFor: '{title} for {place}',
+    temperature: 'Temperature',
+    feelsLike: 'feels like {value}',
+    condition: 'Condition',
+    humidity: 'Humidity',
+    wind: 'Wind',
+    gustsUpTo: 'gusts up to {value}',
+    pressure: 'Pressure',
+    cloudCover: 'Cloud Cover',
+    precipitation: 'Precipitation',
+    timeOfDay: 'Time of Day',
+    day: 'Day',
+    night: 'Night',
+    sunriseSunset: 'Sunrise / Sunset',
+    daylight: '{hours}h {minutes}m of daylight',
+    climate: 'Climate',
+    climatePeriodEarly: 'early {month}',
+    climatePeriodMid: 'mid-{month}',
+    climatePeriodLate: 'late {month}',
+    climatePeriodRange: '{start} to {end}',
+    climateWarmer: '{value} warmer than usual for {period}',
+    climateColder: '{value} colder than usual for {period}',
+    climateNormal: 'temperatures close to normal for {period}',
+    climateWetter: 'wetter than usual ({percent}% of normal precipitation)',
+    climateDrier: 'drier than usual ({percent}% of normal precipitation)',
+    location: 'Location',
+    elevation: '{value}m elevation',
+    today: 'Today',
+    rain: 'rain',
+    fell: 'fell',
+    chance: '{value}% chance',
+    windUpTo: 'Wind up to {value}',
+    alertNow: 'now',
+    alertToday: 'today',
+    alertHeatAdvisory: 'Heat advisory',
+    alertHeatWarning: 'Extreme heat warning',
+    alertHeatMessage: 'Highs of {value}',
+    alertFrostAdvisory: 'Frost advisory',
+    alertFrostWarning: 'Hard freeze warning',
+    alertFrostMessage: 'Lows of {value}',
+    alertWindAdvisory: 'Wind advisory',
+    alertWindWarning: 'High wind warning',
+    alertWindMessage: 'Gusts up to {value}',
+    alertPrecipitationAdvisory: 'Heavy rain advisory',
+    alertPrecipitationWarning: 'Heavy rain warning',
+    alertPrecipitationMessage: 'Up to {value} of precipitation',
+    alertUvAdvisory: 'High UV advisory',
+    alertUvWarning: 'Extreme UV warning',
+    alertUvMessage: 'UV index up to {value}',
+    alertThunderstormAdvisory: 'Thunderstorm advisory',
+    alertThunderstormWarning: 'Thunderstorm with hail warning',
+    alertThunderstormMessage: 'Thunderstorms',
+    alertThunderstormHailMessage: 'Thunderstorms with hail',
+    alertIceAdvisory: 'Freezing rain advisory',
+    alertIceWarning: 'Ice storm warning',
+    fallbackCurrent: 'The current weather in {place} is {temperature} with {condition}',
+    fallbackFeelsLike: ', though it feels like {value}',
+    fallbackRaining: "It's currently raining, so you'll want an umbrella.",
+    fallbackChilly: "It's quite chilly - dress warmly!",
+    fallbackWarm: "It's quite warm - perfect for outdoor activities!",
+    fallbackPleasant: 'Pleasant weather overall!',
+    fallbackForecast: 'The {period} for {place} shows {days}',
+    fallbackForecastPeriod: '{days}-day forecast',
+    fallbackForecastWindow: 'forecast for {startDate} to {endDate}',
+    fallbackForecastDay: '{range} {day} with {condition}',
+    fallbackForecastNextDay: ', and {day}',
+    fallbackToday: 'today',
+    fallbackTomorrow: 'tomorrow',
+    fallbackOnWeekday: 'on {weekday}',
+    fallbackManyRainyDays: 'Expect several rainy days.',
+    fallbackSomeRainyDays: 'Some rain is expected on {rainyDays} of the {days} days.',
+    fallbackDry: 'Looks like dry weather ahead!',
+    fallbackActivity: '{icon} {activity} {verdict} in {place}. Best time: {period}.',
+    fallbackActivityGood: 'looks good',
+    fallbackActivityPossible: 'is possible',
+    fallbackActivityPoor: "isn't recommended",
+    fallbackQuestion: "I'd be happy to help with weather questions! Could you specify a location so I can provide accurate information?"
+  },
+  es: {
+    currentTitle: 'Tiempo actual en {place}',
+    forecastTitle: 'Pronóstico del tiempo a {days} días',
+    forecastWindowTitle: 'Pronóstico del tiempo del {startDate} al {endDate}',
+    observedTitle: 'Tiempo observado del {startDate} al {endDate}',
+    titleFor: '{title} para {place}',
+    temperature: 'Temperatura',
+    feelsLike: 'sensación de {value}',
+    condition: 'Estado',
+    humidity: 'Humedad',
+    wind: 'Viento',
+    gustsUpTo: 'rachas de hasta {value}',
+    pressure: 'Presión',
+    cloudCover: 'Nubosidad',
+    precipitation: 'Precipitación',
+    timeOfDay: 'Momento del día',
+    day: 'Día',
+    night: 'Noche',
+    sunriseSunset: 'Amanecer / Atardecer',
+    daylight: '{hours} h {minutes} min de luz',
+    climate: 'Clima',
+    climatePeriodEarly: 'principios de {month}',
+    climatePeriodMid: 'mediados de {month}',
+    climatePeriodLate: 'finales de {month}',
+    climatePeriodRange: '{start} a {end}',
+    climateWarmer: '{value} más cálido de lo habitual para {period}',
+    climateColder: '{value} más frío de lo habitual para {period}',
+    climateNormal: 'temperaturas cercanas a lo normal para {period}',
+    climateWetter: 'más lluvioso de lo habitual ({percent}% de la precipitación normal)',
+    climateDrier: 'más seco de lo habitual ({percent}% de la precipitación normal)',
+    location: 'Ubicación',
+    elevation: '{value} m de altitud',
+    today: 'Hoy',
+    rain: 'de lluvia',
+    fell: 'caídos',
+    chance: '{value}% de probabilidad',
+    windUpTo: 'Viento de hasta {value}',
+    alertNow: 'ahora',
+    alertToday: 'hoy',
+    alertHeatAdvisory: 'Aviso por calor',
+    alertHeatWarning: 'Alerta por calor extremo',
+    alertHeatMessage: 'Máximas de {value}',
+    alertFrostAdvisory: 'Aviso por heladas',
+    alertFrostWarning: 'Alerta por helada fuerte',
+    alertFrostMessage: 'Mínimas de {value}',
+    alertWindAdvisory: 'Aviso por viento',
+    alertWindWarning: 'Alerta por vientos fuertes',
+    alertWindMessage: 'Rachas de hasta {value}',
+    alertPrecipitationAdvisory: 'Aviso por lluvias intensas',
+    alertPrecipitationWarning: 'Alerta por lluvias intensas',
+    alertPrecipitationMessage: 'Hasta {value} de precipitación',
+    alertUvAdvisory: 'Aviso por UV alto',
+    alertUvWarning: 'Alerta por UV extremo',
+    alertUvMessage: 'Índice UV de hasta {value}',
+    alertThunderstormAdvisory: 'Aviso por tormentas',
+    alertThunderstormWarning: 'Alerta por tormentas con granizo',
+    alertThunderstormMessage: 'Tormentas',
+    alertThunderstormHailMessage: 'Tormentas con granizo',
+    alertIceAdvisory: 'Aviso por lluvia engelante',
+    alertIceWarning: 'Alerta por tormenta de hielo',
+    fallbackCurrent: 'Tiempo actual en {place}: {temperature}, {condition}',
+    fallbackFeelsLike: ', aunque la sensación térmica es de {value}',
+    fallbackRaining: 'Está lloviendo, así que conviene llevar paraguas.',
+    fallbackChilly: 'Hace bastante frío: ¡abrígate bien!',
+    fallbackWarm: 'Hace bastante calor: ¡perfecto para actividades al aire libre!',
+    fallbackPleasant: '¡Buen tiempo en general!',
+    fallbackForecast: 'El {period} para {place} indica {days}',
+    fallbackForecastPeriod: 'pronóstico a {days} días',
+    fallbackForecastWindow: 'pronóstico del {startDate} al {endDate}',
+    fallbackForecastDay: '{range} {day}, {condition}',
+    fallbackForecastNextDay: '; {day}',
+    fallbackToday: 'hoy',
+    fallbackTomorrow: 'mañana',
+    fallbackOnWeekday: 'el {weekday}',
+    fallbackManyRainyDays: 'Se esperan varios días de lluvia.',
+    fallbackSomeRainyDays: 'Se espera algo de lluvia {rainyDays} de los {days} días.',
+    fallbackDry: '¡Parece que vienen días secos!',
+    fallbackActivity: '{icon} {activity}: {verdict} en {place}. Mejor momento: {period}.',
+    fallbackActivityGood: 'buen plan',
+    fallbackActivityPossible: 'posible',
+    fallbackActivityPoor: 'no recomendable',
+    fallbackQuestion: '¡Con gusto te ayudo con preguntas sobre el tiempo! ¿Puedes indicar una ubicación para darte información precisa?'
+  },
+  fr: {
+    currentTitle: 'Météo actuelle à {place}',
+    forecastTitle: 'Prévisions météo sur {days} jours',
+    forecastWindowTitle: 'Prévisions météo du {startDate} au {endDate}',
+    observedTitle: 'Météo observée du {startDate} au {endDate}',
+    titleFor: '{title} pour {place}',
+    temperature: 'Température',
+    feelsLike: 'ressentie {value}',
+    condition: 'Conditions',
+    humidity: 'Humidité',
+    wind: 'Vent',
+    gustsUpTo: 'rafales jusqu’à {value}',
+    pressure: 'Pression',
+    cloudCover: 'Couverture nuageuse',
+    precipitation: 'Précipitations',
+    timeOfDay: 'Moment de la journée',
+    day: 'Jour',
+    night: 'Nuit',
+    sunriseSunset: 'Lever / Coucher du soleil',
+    daylight: '{hours} h {minutes} min de jour',
+    climate: 'Climat',
+    climatePeriodEarly: 'début {month}',
+    climatePeriodMid: 'mi-{month}',
+    climatePeriodLate: 'fin {month}',
+    climatePeriodRange: '{start} à {end}',
+    climateWarmer: '{value} de plus que la normale pour {period}',
+    climateColder: '{value} de moins que la normale pour {period}',
+    climateNormal: 'températures proches de la normale pour {period}',
+    climateWetter: "plus pluvieux que d'habitude ({percent} % des précipitations normales)",
+    climateDrier: "plus sec que d'habitude ({percent} % des précipitations normales)",
+    location: 'Position',
+    elevation: '{value} m d’altitude',
+    today: 'Aujourd’hui',
+    rain: 'de pluie',
+    fell: 'tombés',
+    chance: '{value} % de probabilité',
+    windUpTo: 'Vent jusqu’à {value}',
+    alertNow: 'maintenant',
+    alertToday: 'aujourd’hui',
+    alertHeatAdvisory: 'Vigilance chaleur',
+    alertHeatWarning: 'Alerte chaleur extrême',
+    alertHeatMessage: 'Maximales de {value}',
+    alertFrostAdvisory: 'Vigilance gel',
+    alertFrostWarning: 'Alerte gel intense',
+    alertFrostMessage: 'Minimales de {value}',
+    alertWindAdvisory: 'Vigilance vent',
+    alertWindWarning: 'Alerte vents violents',
+    alertWindMessage: 'Rafales jusqu’à {value}',
+    alertPrecipitationAdvisory: 'Vigilance fortes pluies',
+    alertPrecipitationWarning: 'Alerte fortes pluies',
+    alertPrecipitationMessage: 'Jusqu’à {value} de précipitations',
+    alertUvAdvisory: 'Vigilance UV élevé',
+    alertUvWarning: 'Alerte UV extrême',
+    alertUvMessage: 'Indice UV jusqu’à {value}',
+    alertThunderstormAdvisory: 'Vigilance orages',
+    alertThunderstormWarning: 'Alerte orages avec grêle',
+    alertThunderstormMessage: 'Orages',
+    alertThunderstormHailMessage: 'Orages avec grêle',
+    alertIceAdvisory: 'Vigilance pluie verglaçante',
+    alertIceWarning: 'Alerte tempête de verglas',
+    fallbackCurrent: 'Météo actuelle à {place} : {temperature}, {condition}',
+    fallbackFeelsLike: ', mais le ressenti est de {value}',
+    fallbackRaining: 'Il pleut en ce moment, pensez à prendre un parapluie.',
+    fallbackChilly: 'Il fait plutôt froid, couvrez-vous bien !',
+    fallbackWarm: 'Il fait plutôt chaud, idéal pour les activités en plein air !',
+    fallbackPleasant: 'Temps agréable dans l’ensemble !',
+    fallbackForecast: 'Les {period} pour {place} annoncent {days}',
+    fallbackForecastPeriod: 'prévisions sur {days} jours',
+    fallbackForecastWindow: 'prévisions du {startDate} au {endDate}',
+    fallbackForecastDay: '{range} {day}, {condition}',
+    fallbackForecastNextDay: ' ; {day}',
+    fallbackToday: 'aujourd’hui',
+    fallbackTomorrow: 'demain',
+    fallbackOnWeekday: '{weekday}',
+    fallbackManyRainyDays: 'Plusieurs jours de pluie sont à prévoir.',
+    fallbackSomeRainyDays: 'De la pluie est attendue sur {rainyDays} des {days} jours.',
+    fallbackDry: 'Du temps sec s’annonce !',
+    fallbackActivity: '{icon} {activity} : {verdict} à {place}. Meilleur moment : {period}.',
+    fallbackActivityGood: 'bonne idée',
+    fallbackActivityPossible: 'envisageable',
+    fallbackActivityPoor: 'déconseillé',
+    fallbackQuestion: 'Avec plaisir pour vos questions météo ! Pouvez-vous préciser un lieu pour que je vous donne des informations exactes ?'
+  },
+  de: {
+    currentTitle: 'Aktuelles Wetter in {place}',
+    forecastTitle: '{days}-Tage-Wettervorhersage',
+    forecastWindowTitle: 'Wettervorhersage {startDate} bis {endDate}',
+    observedTitle: 'Beobachtetes Wetter {startDate} bis {endDate}',
+    titleFor: '{title} für {place}',
+    temperature: 'Temperatur',
+    feelsLike: 'gefühlt {value}',
+    condition: 'Wetterlage',
+    humidity: 'Luftfeuchtigkeit',
+    wind: 'Wind',
+    gustsUpTo: 'Böen bis {value}',
+    pressure: 'Luftdruck',
+    cloudCover: 'Bewölkung',
+    precipitation: 'Niederschlag',
+    timeOfDay: 'Tageszeit',
+    day: 'Tag',
+    night: 'Nacht',
+    sunriseSunset: 'Sonnenaufgang / -untergang',
+    daylight: '{hours} Std. {minutes} Min. Tageslicht',
+    climate: 'Klima',
+    climatePeriodEarly: 'Anfang {month}',
+    climatePeriodMid: 'Mitte {month}',
+    climatePeriodLate: 'Ende {month}',
+    climatePeriodRange: '{start} bis {end}',
+    climateWarmer: '{value} wärmer als üblich für {period}',
+    climateColder: '{value} kälter als üblich für {period}',
+    climateNormal: 'Temperaturen nahe am Normalwert für {period}',
+    climateWetter: 'nasser als üblich ({percent} % des normalen Niederschlags)',
+    climateDrier: 'trockener als üblich ({percent} % des normalen Niederschlags)',
+    location: 'Standort',
+    elevation: '{value} m Höhe',
+    today: 'Heute',
+    rain: 'Regen',
+    fell: 'gefallen',
+    chance: '{value} % Wahrscheinlichkeit',
+    windUpTo: 'Wind bis {value}',
+    alertNow: 'jetzt',
+    alertToday: 'heute',
+    alertHeatAdvisory: 'Hitzehinweis',
+    alertHeatWarning: 'Warnung vor extremer Hitze',
+    alertHeatMessage: 'Höchstwerte von {value}',
+    alertFrostAdvisory: 'Frosthinweis',
+    alertFrostWarning: 'Warnung vor strengem Frost',
+    alertFrostMessage: 'Tiefstwerte von {value}',
+    alertWindAdvisory: 'Windhinweis',
+    alertWindWarning: 'Sturmwarnung',
+    alertWindMessage: 'Böen bis {value}',
+    alertPrecipitationAdvisory: 'Starkregenhinweis',
+    alertPrecipitationWarning: 'Starkregenwarnung',
+    alertPrecipitationMessage: 'Bis zu {value} Niederschlag',
+    alertUvAdvisory: 'Hinweis auf hohe UV-Strahlung',
+    alertUvWarning: 'Warnung vor extremer UV-Strahlung',
+    alertUvMessage: 'UV-Index bis {value}',
+    alertThunderstormAdvisory: 'Gewitterhinweis',
+    alertThunderstormWarning: 'Warnung vor Gewitter mit Hagel',
+    alertThunderstormMessage: 'Gewitter',
+    alertThunderstormHailMessage: 'Gewitter mit Hagel',
+    alertIceAdvisory: 'Hinweis auf gefrierenden Regen',
+    alertIceWarning: 'Glatteiswarnung',
+    fallbackCurrent: 'Aktuell in {place}: {temperature}, {condition}',
+    fallbackFeelsLike: ', gefühlt {value}',
+    fallbackRaining: 'Es regnet gerade, also besser einen Regenschirm mitnehmen.',
+    fallbackChilly: 'Es ist ziemlich kühl – zieh dich warm an!',
+    fallbackWarm: 'Es ist ziemlich warm – perfekt für Aktivitäten im Freien!',
+    fallbackPleasant: 'Insgesamt angenehmes Wetter!',
+    fallbackForecast: 'Die {period} für {place}: {days}',
+    fallbackForecastPeriod: '{days}-Tage-Vorhersage',
+    fallbackForecastWindow: 'Vorhersage vom {startDate} bis {endDate}',
+    fallbackForecastDay: '{day} {range}, {condition}',
+    fallbackForecastNextDay: ' und {day}',
+    fallbackToday: 'heute',
+    fallbackTomorrow: 'morgen',
+    fallbackOnWeekday: 'am {weekday}',
+    fallbackManyRainyDays: 'Mehrere Regentage sind zu erwarten.',
+    fallbackSomeRainyDays: 'An {rainyDays} von {days} Tagen wird etwas Regen erwartet.',
+    fallbackDry: 'Es bleibt voraussichtlich trocken!',
+    fallbackActivity: '{icon} {activity} in {place}: {verdict}. Beste Zeit: {period}.',
+    fallbackActivityGood: 'gut geeignet',
+    fallbackActivityPossible: 'möglich',
+    fallbackActivityPoor: 'nicht empfohlen',
+    fallbackQuestion: 'Gerne helfe ich bei Wetterfragen! Nenne mir bitte einen Ort, damit ich genaue Informationen geben kann.'
+  }
+};
+
+const SUPPORTED_LOCALES = Object.keys(MESSAGES);
+
+/**
+ * Map a locale tag ("fr-CA", "DE") to a supported language, defaulting to English
+ */
+function resolveLocale(locale) {
+  const language = String(locale || DEFAULT_LOCALE).toLowerCase().split(/[-_]/)[0];
+  return MESSAGES[language] ? language : DEFAULT_LOCALE;
+}
+
+/**
+ * Look up a message and fill in its {placeholders}. Missing keys fall back to English.
+ */
+function translate(locale, key, params = {}) {
+  const template = MESSAGES[resolveLocale(locale)][key] || MESSAGES[DEFAULT_LOCALE][key] || key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+}
+
+/**
+ * Format a YYYY-MM-DD date. Open-Meteo already returns dates in the location's
+ * timezone, so the date is pinned to UTC midnight and formatted in UTC rather
+ * than being re-interpreted in the server's timezone.
+ */
+function formatLocalDate(date, locale, options) {
+  return new Date(`${date}T00:00:00Z`).toLocaleDateString(DATE_LOCALES[resolveLocale(locale)], {
+    ...options,
+    timeZone: 'UTC'
+  });
+}
+
+function getLanguageName(locale) {
+  return LANGUAGE_NAMES[resolveLocale(locale)];
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  resolveLocale,
+  translate,
+  formatLocalDate,
+  getLanguageName
+};
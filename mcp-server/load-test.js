@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+
+/**
+ * MCP HTTP Server Load Test
+ *
+ * Opens many MCP sessions against RealMCPHTTPServer and compares shared services
+ * (one WeatherService/ClaudeService for all sessions) with per-session services.
+ * Reports heap growth per session and how many upstream weather requests were made.
+ * Uses the fixture provider, so no network access is needed.
+ *
+ * Usage: npm run load-test [-- --sessions 100]
+ */
+
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const RealMCPHTTPServer = require('./real-mcp-http-server');
+const { FixtureProvider } = require('./providers');
+
+const CITIES = ['London', 'Paris', 'New York', 'Tokyo'];
+
+/**
+ * Wraps a provider and counts the calls that would hit the upstream API.
+ * Every method of the real provider is wrapped, so new request types are counted too.
+ */
+class CountingProvider {
+  constructor(provider) {
+    this.provider = provider;
+    this.name = provider.name;
+    this.calls = 0;
+
+    providerMethods(provider).forEach(method => {
+      this[method] = async params => {
+        this.calls++;
+        return provider[method](params);
+      };
+    });
+  }
+}
+
+function providerMethods(provider) {
+  return Object.getOwnPropertyNames(Object.getPrototypeOf(provider))
+    .filter(name => name !== 'constructor' && typeof provider[name] === 'function');
+}
+
+function heapUsed() {
+  if (global.gc) global.gc();
+  return process.memoryUsage().heapUsed;
+}
+
+async function runScenario(shareServices, sessions) {
+  const provider = new CountingProvider(new FixtureProvider());
+  const httpServer = new RealMCPHTTPServer({
+    shareServices,
+    weatherServiceOptions: { provider }
+  });
+  await httpServer.start(0);
+
+  const url = new URL(`http://localhost:${httpServer.port}/mcp`);
+  const clients = [];
+  const baseline = heapUsed();
+
+  for (let i = 0; i < sessions; i++) {
+    const client = new Client({ name: 'load-test', version: '1.0.0' });
+    const transport = new StreamableHTTPClientTransport(url, {
+      requestInit: { headers: { Origin: 'http://localhost:3000' } }
+    });
+    await client.connect(transport);
+
+    const city = CITIES[i % CITIES.length];
+    await Promise.all([
+      client.callTool({ name: 'get_weather', arguments: { city } }),
+      client.callTool({ name: 'get_forecast', arguments: { city } })
+    ]);
+    clients.push(client);
+  }
+
+  const perSession = (heapUsed() - baseline) / sessions;
+
+  await Promise.all(clients.map(client => client.close()));
+  await httpServer.close();
+
+  return {
+    mode: shareServices ? 'shared services' : 'per-session services',
+    sessions,
+    upstreamCalls: provider.calls,
+    heapPerSessionKb: Math.round(perSession / 1024)
+  };
+}
+
+async function main() {
+  const sessionsArg = process.argv.indexOf('--sessions');
+  const sessions = sessionsArg !== -1 ? parseInt(process.argv[sessionsArg + 1], 10) : 50;
+
+  if (!global.gc) {
+    console.warn('⚠️  Run with --expose-gc for stable memory numbers');
+  }
+
+  // Per-session logging would drown out the report
+  const { log, warn } = console;
+  console.log = () => {};
+  console.warn = () => {};
+
+  try {
+    const results = [];
+    results.push(await runScenario(false, sessions));
+    results.push(await runScenario(true, sessions));
+
+    console.log = log;
+    console.warn = warn;
+    console.table(results);
+
+    const [perSession, shared] = results;
+    console.log(`📉 Upstream calls: ${perSession.upstreamCalls} → ${shared.upstreamCalls}`);
+    console.log(`📉 Heap per session: ${perSession.heapPerSessionKb} KB → ${shared.heapPerSessionKb} KB`);
+  } catch (error) {
+    console.log = log;
+    console.warn = warn;
+    console.error('❌ Load test failed:', error);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,119 @@
+/**
+ * Tool Output Schemas
+ *
+ * Zod shapes for the `structuredContent` returned next to the markdown text
+ * of the weather tools, so MCP clients can read the data instead of scraping
+ * prose. Objects allow extra keys: the schemas pin down what clients can rely
+ * on without freezing everything the weather service returns.
+ */
+
+const { z } = require('zod');
+
+const locationSchema = z.object({
+  name: z.string(),
+  latitude: z.number(),
+  longitude: z.number(),
+  country: z.string().optional(),
+  countryCode: z.string().optional(),
+  admin1: z.string().optional().describe('State, province or region'),
+  timezone: z.string().optional(),
+  population: z.number().optional(),
+  elevation: z.number().optional(),
+  nearestPlace: z.string().optional().describe('Nearest known place, for coordinates far from any'),
+  distanceKm: z.number().optional().describe('Distance from the requested coordinates to the matched place')
+}).passthrough();
+
+const unitSystemSchema = z.object({
+  system: z.string(),
+  temperature: z.string(),
+  wind: z.string(),
+  precipitation: z.string(),
+  labels: z.object({
+    temperature: z.string(),
+    wind: z.string(),
+    precipitation: z.string()
+  })
+}).passthrough();
+
+const nullableNumber = z.number().nullable();
+
+const currentSchema = z.object({
+  time: z.string().describe('Local time at the location (YYYY-MM-DDTHH:MM)'),
+  temperature: z.number(),
+  apparentTemperature: z.number(),
+  humidity: nullableNumber,
+  precipitation: nullableNumber,
+  weatherCode: z.number().describe('WMO weather code'),
+  cloudCover: nullableNumber,
+  pressure: nullableNumber,
+  windSpeed: nullableNumber,
+  windDirection: nullableNumber,
+  windGusts: nullableNumber,
+  isDay: z.boolean()
+}).passthrough();
+
+const dailySchema = z.object({
+  date: z.string().describe('Local date at the location (YYYY-MM-DD)'),
+  weatherCode: nullableNumber,
+  temperatureMax: nullableNumber,
+  temperatureMin: nullableNumber,
+  sunrise: z.string().nullable(),
+  sunset: z.string().nullable(),
+  precipitationSum: nullableNumber,
+  precipitationProbability: nullableNumber,
+  windSpeedMax: nullableNumber,
+  windGustsMax: nullableNumber,
+  uvIndexMax: nullableNumber
+}).passthrough();
+
+const weatherDataSchema = z.object({
+  latitude: z.number(),
+  longitude: z.number(),
+  timezone: z.string(),
+  elevation: z.number().optional(),
+  current: currentSchema,
+  daily: z.array(dailySchema),
+  window: z.object({ startDate: z.string(), endDate: z.string() }).nullable().optional(),
+  unitSystem: unitSystemSchema,
+  location: locationSchema,
+  climate: z.object({
+    assessment: z.object({
+      temperature: z.enum(['warmer', 'colder', 'normal']),
+      precipitation: z.enum(['wetter', 'drier']).nullable()
+    })
+  }).passthrough().optional().describe('Comparison with climate normals, when available'),
+  timestamp: z.string()
+}).passthrough();
+
+const alertSchema = z.object({
+  type: z.string(),
+  severity: z.enum(['advisory', 'warning']),
+  title: z.string(),
+  message: z.string(),
+  dates: z.array(z.string())
+});
+
+// Ambiguous city names return { ambiguous, candidates } instead of weather data
+const candidateFields = {
+  ambiguous: z.boolean().optional().describe('True when the city name matched several places; pick one of the candidates'),
+  candidates: z.array(locationSchema).optional()
+};
+
+const weatherOutputSchema = {
+  location: locationSchema.optional(),
+  weatherData: weatherDataSchema.optional(),
+  alerts: z.array(alertSchema).optional(),
+  ...candidateFields
+};
+
+const geocodeOutputSchema = {
+  query: z.string(),
+  locations: z.array(locationSchema)
+};
+
+module.exports = {
+  locationSchema,
+  weatherDataSchema,
+  weatherOutputSchema,
+  geocodeOutputSchema
+};
@@ -0,0 +1,254 @@
+/**
+ * Fixture Weather Provider
+ *
+ * Serves recorded Open-Meteo JSON responses from disk so the MCP server can run
+ * without network access (CI, demos, flights). Fixtures are looked up as:
+ *
+ *   geocoding/<city-slug>.json
+ *   forecast/<lat>_<lon>.json      (coordinates rounded to 2 decimals)
+ *   archive/<lat>_<lon>_<start>_<end>.json
+ *   air-quality/<lat>_<lon>.json
+ *   marine/<lat>_<lon>.json
+ *
+ * Forecast, archive, air quality and marine lookups fall back to default.json so any geocoded
+ * city resolves; default recordings are served with the requested coordinates. Archive recordings
+ * that don't match the requested range exactly (archive/<lat>_<lon>.json or default.json) are
+ * replayed onto each requested date by month and day.
+ * Non-metric requests prefer a `<key>.<temperature>_<wind>_<precipitation>.json` variant
+ * and otherwise convert the metric recording.
+ * Set WEATHER_FIXTURES_RECORD=true to fetch missing fixtures from Open-Meteo and save them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const OpenMeteoProvider = require('./open-meteo-provider');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures');
+
+// Converters from Open-Meteo's metric defaults, keyed by request parameter value
+const TEMPERATURE_CONVERSIONS = {
+  fahrenheit: { label: '°F', convert: value => Math.round((value * 9 / 5 + 32) * 10) / 10 }
+};
+const WIND_CONVERSIONS = {
+  ms: { label: 'm/s', convert: value => Math.round(value / 3.6 * 10) / 10 },
+  mph: { label: 'mph', convert: value => Math.round(value / 1.609344 * 10) / 10 },
+  kn: { label: 'kn', convert: value => Math.round(value / 1.852 * 10) / 10 }
+};
+const PRECIPITATION_CONVERSIONS = {
+  inch: { label: 'inch', convert: value => Math.round(value / 25.4 * 1000) / 1000 }
+};
+
+class FixtureProvider {
+  constructor(options = {}) {
+    this.name = 'fixtures';
+    this.fixturesDir = options.fixturesDir || process.env.WEATHER_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+
+    // Optional upstream provider used to record fixtures that don't exist yet
+    this.recordFrom = options.recordFrom ||
+      (process.env.WEATHER_FIXTURES_RECORD === 'true' ? new OpenMeteoProvider() : null);
+  }
+
+  async geocode(params) {
+    const data = await this.serve('geocode', 'geocoding', [slugify(params.name)], params);
+
+    if (data.results && params.count) {
+      data.results = data.results.slice(0, params.count);
+    }
+
+    return data;
+  }
+
+  async forecast(params) {
+    const data = await this.serve('forecast', 'forecast', [coordinateKey(params), 'default'], params);
+
+    // Recordings usually cover more days/hours than a single request asks for
+    if (data.daily && params.forecast_days) {
+      data.daily = sliceSeries(data.daily, params.forecast_days);
+    }
+    if (data.daily && params.start_date && params.end_date) {
+      // The first recorded day stands in for today, so windows map onto it by offset
+      const offset = daysBetween(new Date().toISOString().slice(0, 10), params.start_date);
+      const length = daysBetween(params.start_date, params.end_date) + 1;
+      data.daily = sliceSeries(data.daily, length, Math.max(offset, 0));
+    }
+    if (data.hourly && params.forecast_hours) {
+      data.hourly = sliceSeries(data.hourly, params.forecast_hours);
+    }
+
+    return data;
+  }
+
+  async archive(params) {
+    const key = `${coordinateKey(params)}_${params.start_date}_${params.end_date}`;
+    const data = await this.serve('archive', 'archive', [key, coordinateKey(params), 'default'], params);
+
+    if (data.daily) {
+      data.daily = replayDays(data.daily, params.start_date, params.end_date);
+    }
+
+    return data;
+  }
+
+  async airQuality(params) {
+    return await this.serve('airQuality', 'air-quality', [coordinateKey(params), 'default'], params);
+  }
+
+  async marine(params) {
+    return await this.serve('marine', 'marine', [coordinateKey(params), 'default'], params);
+  }
+
+  /**
+   * Read the first matching fixture, recording it from upstream when enabled
+   */
+  async serve(method, folder, keys, params) {
+    const suffix = unitsSuffix(params);
+    const candidates = [];
+
+    keys.forEach(key => {
+      if (suffix) candidates.push(path.join(this.fixturesDir, folder, `${key}.${suffix}.json`));
+      candidates.push(path.join(this.fixturesDir, folder, `${key}.json`));
+    });
+
+    for (const file of candidates) {
+      try {
+        const data = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        const isMetricRecording = suffix && !file.endsWith(`.${suffix}.json`);
+        if (path.basename(file).startsWith('default.')) {
+          // Default recordings stand in for whichever place was asked for
+          data.latitude = Number(params.latitude);
+          data.longitude = Number(params.longitude);
+        }
+        return isMetricRecording ? convertUnits(data, params) : data;
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw new Error(`Invalid fixture ${file}: ${error.message}`);
+        }
+      }
+    }
+
+    if (this.recordFrom) {
+      const data = await this.recordFrom[method](params);
+      const file = candidates[0];
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, JSON.stringify(data, null, 2) + '\n');
+      // stdout carries the stdio MCP transport
+      console.error(`📼 Recorded fixture ${path.relative(this.fixturesDir, file)}`);
+      return data;
+    }
+
+    throw new Error(`No ${folder} fixture found (looked for ${candidates.map(file => path.relative(this.fixturesDir, file)).join(', ')})`);
+  }
+}
+
+function slugify(name) {
+  return String(name)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+function coordinateKey({ latitude, longitude }) {
+  return `${Number(latitude).toFixed(2)}_${Number(longitude).toFixed(2)}`;
+}
+
+function unitsSuffix(params) {
+  const temperature = params.temperature_unit || 'celsius';
+  const wind = params.wind_speed_unit || 'kmh';
+  const precipitation = params.precipitation_unit || 'mm';
+
+  if (temperature === 'celsius' && wind === 'kmh' && precipitation === 'mm') {
+    return null;
+  }
+  return `${temperature}_${wind}_${precipitation}`;
+}
+
+/**
+ * Convert a metric recording to the units requested in params, using the
+ * `<section>_units` blocks Open-Meteo includes alongside each data section
+ */
+function convertUnits(data, params) {
+  const conversions = {
+    '°C': TEMPERATURE_CONVERSIONS[params.temperature_unit],
+    'km/h': WIND_CONVERSIONS[params.wind_speed_unit],
+    'mm': PRECIPITATION_CONVERSIONS[params.precipitation_unit]
+  };
+
+  ['current', 'hourly', 'daily'].forEach(section => {
+    const units = data[`${section}_units`];
+    if (!data[section] || !units) return;
+
+    Object.entries(units).forEach(([key, unit]) => {
+      const conversion = conversions[unit];
+      if (!conversion || data[section][key] === undefined) return;
+
+      const value = data[section][key];
+      data[section][key] = Array.isArray(value)
+        ? value.map(item => item === null ? null : conversion.convert(item))
+        : (value === null ? null : conversion.convert(value));
+      units[key] = conversion.label;
+    });
+  });
+
+  return data;
+}
+
+function sliceSeries(series, length, start = 0) {
+  const sliced = {};
+  Object.entries(series).forEach(([key, values]) => {
+    sliced[key] = Array.isArray(values) ? values.slice(start, start + length) : values;
+  });
+  return sliced;
+}
+
+/**
+ * Map a daily archive recording onto start..end, taking each date's values
+ * from the recorded day with the same month and day (Feb 29 falls back to
+ * Feb 28). Date-prefixed values such as sunrise are moved onto the new date.
+ */
+function replayDays(daily, start, end) {
+  const times = daily.time || [];
+  if (times[0] === start && times[times.length - 1] === end) {
+    return daily;
+  }
+
+  const indexByMonthDay = new Map();
+  times.forEach((time, index) => indexByMonthDay.set(time.slice(5, 10), index));
+
+  const dates = [];
+  for (let day = 0; day <= daysBetween(start, end); day++) {
+    dates.push(new Date(Date.parse(`${start}T00:00:00Z`) + day * 24 * 60 * 60 * 1000).toISOString().slice(0, 10));
+  }
+
+  const sourceIndexes = dates.map(date => {
+    const monthDay = date.slice(5, 10);
+    const index = indexByMonthDay.get(monthDay) ?? (monthDay === '02-29' ? indexByMonthDay.get('02-28') : undefined);
+    if (index === undefined) {
+      throw new Error(`Archive fixture has no recording for ${monthDay}`);
+    }
+    return index;
+  });
+
+  const replayed = {};
+  Object.entries(daily).forEach(([key, values]) => {
+    if (!Array.isArray(values)) {
+      replayed[key] = values;
+      return;
+    }
+    replayed[key] = sourceIndexes.map((index, day) => {
+      const value = values[index];
+      return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)
+        ? dates[day] + value.slice(10)
+        : value;
+    });
+  });
+  return replayed;
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+module.exports = FixtureProvider;
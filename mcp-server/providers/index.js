@@ -0,0 +1,37 @@
+/**
+ * Weather Providers
+ *
+ * A provider supplies raw Open-Meteo-shaped responses through these async methods:
+ *   geocode(params)  - location search
+ *   forecast(params) - current/hourly/daily forecast
+ *   archive(params)  - observed historical data
+ *   airQuality(params) - air quality and pollen
+ *   marine(params)   - waves, swell and sea surface temperature
+ *
+ * The active provider is chosen with WEATHER_PROVIDER ("open-meteo" or "fixtures").
+ */
+
+const OpenMeteoProvider = require('./open-meteo-provider');
+const FixtureProvider = require('./fixture-provider');
+
+const PROVIDERS = {
+  'open-meteo': OpenMeteoProvider,
+  fixtures: FixtureProvider
+};
+
+function createWeatherProvider(name = process.env.WEATHER_PROVIDER || 'open-meteo', options = {}) {
+  const Provider = PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown weather provider "${name}". Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return new Provider(options);
+}
+
+module.exports = {
+  PROVIDERS,
+  OpenMeteoProvider,
+  FixtureProvider,
+  createWeatherProvider
+};
@@ -0,0 +1,68 @@
+/**
+ * Open-Meteo Weather Provider
+ *
+ * Fetches geocoding, forecast, archive, air quality and marine data from the public Open-Meteo APIs.
+ * Responses are returned exactly as Open-Meteo sends them; parsing lives in WeatherService.
+ */
+
+const axios = require('axios');
+
+// Open-Meteo API configuration
+const GEO_BASE_URL = 'https://geocoding-api.open-meteo.com/v1';
+const WEATHER_BASE_URL = 'https://api.open-meteo.com/v1';
+const ARCHIVE_BASE_URL = 'https://archive-api.open-meteo.com/v1';
+const AIR_QUALITY_BASE_URL = 'https://air-quality-api.open-meteo.com/v1';
+const MARINE_BASE_URL = 'https://marine-api.open-meteo.com/v1';
+
+class OpenMeteoProvider {
+  constructor(options = {}) {
+    this.name = 'open-meteo';
+    this.geoBaseUrl = options.geoBaseUrl || process.env.OPEN_METEO_GEO_URL || GEO_BASE_URL;
+    this.weatherBaseUrl = options.weatherBaseUrl || process.env.OPEN_METEO_WEATHER_URL || WEATHER_BASE_URL;
+    this.archiveBaseUrl = options.archiveBaseUrl || process.env.OPEN_METEO_ARCHIVE_URL || ARCHIVE_BASE_URL;
+    this.airQualityBaseUrl = options.airQualityBaseUrl || process.env.OPEN_METEO_AIR_QUALITY_URL || AIR_QUALITY_BASE_URL;
+    this.marineBaseUrl = options.marineBaseUrl || process.env.OPEN_METEO_MARINE_URL || MARINE_BASE_URL;
+  }
+
+  /**
+   * Search locations by name (Open-Meteo geocoding `/search`)
+   */
+  async geocode(params) {
+    const response = await axios.get(`${this.geoBaseUrl}/search`, { params });
+    return response.data;
+  }
+
+  /**
+   * Current, hourly and daily forecast (Open-Meteo `/forecast`)
+   */
+  async forecast(params) {
+    const response = await axios.get(`${this.weatherBaseUrl}/forecast`, { params });
+    return response.data;
+  }
+
+  /**
+   * Observed historical data (Open-Meteo `/archive`)
+   */
+  async archive(params) {
+    const response = await axios.get(`${this.archiveBaseUrl}/archive`, { params });
+    return response.data;
+  }
+
+  /**
+   * Air quality and pollen (Open-Meteo `/air-quality`)
+   */
+  async airQuality(params) {
+    const response = await axios.get(`${this.airQualityBaseUrl}/air-quality`, { params });
+    return response.data;
+  }
+
+  /**
+   * Waves, swell and sea surface temperature (Open-Meteo `/marine`)
+   */
+  async marine(params) {
+    const response = await axios.get(`${this.marineBaseUrl}/marine`, { params });
+    return response.data;
+  }
+}
+
+module.exports = OpenMeteoProvider;
@@ -12,11 +12,30 @@ const { randomUUID } = require('node:crypto');
 const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
 const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
 const RealMCPWeatherServer = require('./real-mcp-weather-server');
+const WeatherService = require('./weather-service');
+const WeatherWatcher = require('./weather-watcher');
 
 class RealMCPHTTPServer {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {boolean} [options.shareServices=true] - Share one WeatherService/ClaudeService/WeatherWatcher across sessions
+   * @param {Object} [options.weatherServiceOptions] - Options for the WeatherService instance(s)
+   */
+  constructor(options = {}) {
     this.app = express();
     this.transports = {}; // Map to store transports by session ID
+    this.port = 3001;
+
+    // Services are created once and injected into every per-session MCP server,
+    // so the weather cache, the Anthropic client and subscription polling are shared between users
+    this.shareServices = options.shareServices !== false;
+    this.weatherServiceOptions = options.weatherServiceOptions || {};
+    if (this.shareServices) {
+      this.weatherService = new WeatherService(this.weatherServiceOptions);
+      this.claudeService = RealMCPWeatherServer.createClaudeService();
+      this.weatherWatcher = new WeatherWatcher();
+    }
+
     this.setupMiddleware();
     this.setupRoutes();
   }
@@ -82,7 +101,10 @@ class RealMCPHTTPServer {
         transport: 'streamable-http',
         protocol: 'MCP',
         timestamp: new Date().toISOString(),
-        sessions: Object.keys(this.transports).length
+        sessions: Object.keys(this.transports).length,
+        sharedServices: this.shareServices,
+        claude: this.shareServices ? Boolean(this.claudeService) : undefined,
+        cache: this.shareServices ? this.weatherService.getCacheStats() : undefined
       });
     });
 
@@ -95,17 +117,38 @@ class RealMCPHTTPServer {
         claude_integration: true,
         endpoints: {
           'POST /mcp': 'Send MCP requests (initialize, tools/list, tools/call, etc.)',
-          'GET /mcp': 'Open SSE stream for server-to-client notifications',
+          'GET /mcp': 'Open SSE stream for server-to-client notifications (resource updates after resources/subscribe)',
           'DELETE /mcp': 'Terminate MCP session',
           'GET /health': 'Health check'
         },
         tools: [
           'get_weather - Get current weather with AI analysis',
           'get_forecast - Get weather forecast with insights',
+          'get_hourly_forecast - Get hour-by-hour forecast',
+          'get_historical_weather - Get observed weather for past dates',
+          'get_air_quality - Get air quality and pollen levels',
+          'get_weather_alerts - Check the forecast for severe weather',
+          'score_activities - Rank days or hours for outdoor activities',
+          'get_astronomy - Get sun, twilight and moon times',
+          'get_climate_context - Compare the forecast with climate normals',
+          'get_marine_conditions - Get waves, swell and sea temperature for the coast',
+          'compare_weather - Compare weather across 2-10 places',
+          'plan_trip_weather - Forecast each stop of a trip with packing advice',
           'get_weather_by_coords - Get weather by coordinates',
           'geocode_city - Get geographic coordinates for a city',
           'ask_weather_question - Ask AI-powered weather questions'
         ],
+        resources: [
+          'weather://current/{city} - Current weather as JSON (recent cities appear in resources/list)',
+          'weather://forecast/{city}/{days} - Daily forecast as JSON',
+          'weather://location/{lat},{lon} - Current weather at coordinates as JSON'
+        ],
+        prompts: [
+          'daily_briefing - Morning briefing with alerts and what to wear',
+          'packing_list - Packing list for a stay and planned activities',
+          'event_planning - Whether the forecast suits an event on a date',
+          'commute_check - Weather for the trips to and from work'
+        ],
         examples: {
           'Initialize': `POST ${req.protocol}://${req.get('host')}/mcp`,
           'Get Weather': 'Use tools/call with name: get_weather',
@@ -134,8 +177,8 @@ class RealMCPHTTPServer {
         },
         // Enable DNS rebinding protection for security but allow localhost variants
         enableDnsRebindingProtection: true,
-        allowedHosts: ['127.0.0.1', 'localhost', '127.0.0.1:3001', 'localhost:3001'],
-        allowedOrigins: ['http://127.0.0.1:3000', 'http://localhost:3000', 'http://127.0.0.1:3001', 'http://localhost:3001']
+        allowedHosts: ['127.0.0.1', 'localhost', `127.0.0.1:${this.port}`, `localhost:${this.port}`],
+        allowedOrigins: ['http://127.0.0.1:3000', 'http://localhost:3000', `http://127.0.0.1:${this.port}`, `http://localhost:${this.port}`]
       });
 
       // Clean up transport when closed
@@ -147,7 +190,7 @@ class RealMCPHTTPServer {
       };
 
       // Create a new MCP server instance for this session
-      const mcpServer = new RealMCPWeatherServer();
+      const mcpServer = this.createSessionServer();
 
       // Connect to the MCP server
       await mcpServer.getServer().connect(transport);
@@ -169,6 +212,25 @@ class RealMCPHTTPServer {
     await transport.handleRequest(req, res, req.body);
   }
 
+  /**
+   * Build the per-session MCP server, injecting the shared services
+   */
+  createSessionServer() {
+    if (this.shareServices) {
+      return new RealMCPWeatherServer({
+        weatherService: this.weatherService,
+        claudeService: this.claudeService,
+        weatherWatcher: this.weatherWatcher,
+        handleSignals: false
+      });
+    }
+
+    return new RealMCPWeatherServer({
+      weatherService: new WeatherService(this.weatherServiceOptions),
+      handleSignals: false
+    });
+  }
+
   async handleSessionRequest(req, res) {
     const sessionId = req.headers['mcp-session-id'];
     if (!sessionId || !this.transports[sessionId]) {
@@ -181,8 +243,10 @@ class RealMCPHTTPServer {
   }
 
   async start(port = 3001) {
+    this.port = port;
     return new Promise((resolve) => {
       this.server = this.app.listen(port, () => {
+        this.port = this.server.address().port; // Resolves port 0 to the assigned port
         console.log(`[HTTP] Real MCP Server with Streamable HTTP transport running on http://localhost:${port}`);
         console.log(`[HTTP] Protocol: Model Context Protocol (MCP)`);
         console.log(`[HTTP] Transport: Streamable HTTP`);
@@ -209,6 +273,10 @@ class RealMCPHTTPServer {
         });
         this.transports = {};
 
+        if (this.weatherWatcher) {
+          this.weatherWatcher.stop();
+        }
+
         this.server.close(() => {
           console.log('[HTTP] Server stopped');
           resolve();
@@ -7,168 +7,1199 @@
  * with Claude AI integration for intelligent weather analysis.
  */
 
-const { McpServer } = require('@modelcontextprotocol/sdk/server/mcp.js');
+const { McpServer, ResourceTemplate } = require('@modelcontextprotocol/sdk/server/mcp.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
+const { completable } = require('@modelcontextprotocol/sdk/server/completable.js');
+const { SubscribeRequestSchema, UnsubscribeRequestSchema, McpError, ErrorCode } = require('@modelcontextprotocol/sdk/types.js');
 const { z } = require('zod');
 const WeatherService = require('./weather-service');
 const ClaudeService = require('./claude-service');
+const ActivityScorer = require('./activity-scorer');
+const WeatherWatcher = require('./weather-watcher');
+const SamplingService = require('./sampling-service');
+const { SUPPORTED_LOCALES } = require('./i18n');
+const { weatherOutputSchema, geocodeOutputSchema } = require('./output-schemas');
+const { dailyBriefingPrompt, packingListPrompt, eventPlanningPrompt, commuteCheckPrompt } = require('./weather-prompts');
 require('dotenv').config();
 
+// Shared `units` argument: a unit system name or a custom mix of units
+const unitsSchema = z.union([
+  z.enum(['metric', 'imperial']),
+  z.object({
+    temperature: z.enum(['celsius', 'fahrenheit']).optional(),
+    wind: z.enum(['kmh', 'ms', 'mph', 'kn']).optional(),
+    precipitation: z.enum(['mm', 'inch']).optional()
+  })
+]).optional().default('metric').describe('Units: "metric", "imperial", or { temperature, wind, precipitation }');
+
+// Shared location filters for telling apart places with the same name
+const countrySchema = z.string().optional().describe('Optional: Country name or ISO code to narrow the search (e.g. "US", "France")');
+const admin1Schema = z.string().optional().describe('Optional: State, province or region to narrow the search (e.g. "Oregon")');
+
+// Language for formatted responses and Claude's analysis
+const localeSchema = z.enum(SUPPORTED_LOCALES).optional().default('en').describe('Optional: Response language ("en", "es", "fr" or "de")');
+
+// Open-Meteo forecasts reach 16 days ahead
+const forecastDaysSchema = z.number().int().min(1).max(16);
+const FORECAST_DAY_OPTIONS = Array.from({ length: 16 }, (_, index) => String(index + 1));
+const dateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Use the YYYY-MM-DD format');
+
+// Prompt arguments are always strings
+const promptUnitsSchema = z.enum(['metric', 'imperial']).optional().describe('Optional: "metric" (default) or "imperial"');
+const promptLocaleSchema = z.enum(SUPPORTED_LOCALES).optional().describe('Optional: Response language ("en", "es", "fr" or "de")');
+const timeSchema = z.string().regex(/^([01]?\d|2[0-3]):[0-5]\d$/, 'Use the HH:MM format');
+
 class RealMCPWeatherServer {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {WeatherService} [options.weatherService] - Shared weather service (created if omitted)
+   * @param {ClaudeService|null} [options.claudeService] - Shared Claude service; pass null to disable
+   * @param {WeatherWatcher} [options.weatherWatcher] - Shared watcher for resource subscriptions (created if omitted)
+   * @param {boolean} [options.handleSignals=true] - Install SIGINT/SIGTERM handlers (standalone use)
+   */
+  constructor(options = {}) {
     console.log('🚀 Initializing Real MCP Weather Server...');
 
-    // Initialize services
-    this.weatherService = new WeatherService();
+    // Initialize services, reusing injected instances so HTTP sessions share caches and clients
+    this.weatherService = options.weatherService || new WeatherService();
+    this.claudeService = 'claudeService' in options
+      ? options.claudeService
+      : RealMCPWeatherServer.createClaudeService();
+    this.weatherWatcher = options.weatherWatcher || new WeatherWatcher();
+
+    // Create real MCP server using official SDK
+    this.server = new McpServer(
+      {
+        name: 'weather-mcp-server',
+        version: '1.0.0',
+        description: 'Intelligent weather data and forecasting MCP server powered by Claude AI and Open-Meteo APIs'
+      },
+      {
+        capabilities: {
+          tools: {},
+          resources: { subscribe: true },
+          prompts: {}
+        }
+      }
+    );
+
+    this.resourceTemplates = [];
+
+    this.setupTools();
+    this.setupResources();
+    this.setupSubscriptions();
+    this.setupPrompts();
+
+    if (options.handleSignals !== false) {
+      this.setupErrorHandling();
+    }
+  }
 
-    // Initialize Claude service
+  /**
+   * Create the Claude service, or null when no API key is configured
+   */
+  static createClaudeService() {
     try {
-      this.claudeService = new ClaudeService();
+      const claudeService = new ClaudeService();
       console.log('🤖 Claude AI service initialized');
+      return claudeService;
     } catch (error) {
       console.warn('⚠️  Claude service not available:', error.message);
-      this.claudeService = null;
+      return null;
+    }
+  }
+
+  setupTools() {
+    // Register get_weather tool
+    this.server.registerTool(
+      'get_weather',
+      {
+        title: 'Get Weather',
+        description: 'Get current weather data with AI-powered analysis and recommendations',
+        inputSchema: {
+          city: z.string().describe('The city name to get weather for'),
+          country: countrySchema,
+          admin1: admin1Schema,
+          units: unitsSchema,
+          locale: localeSchema
+        },
+        outputSchema: weatherOutputSchema
+      },
+      async ({ city, country, admin1, units, locale }, extra) => {
+        return await this.handleGetWeather(city, units, { country, admin1, locale }, this.getAnalyst(extra));
+      }
+    );
+
+    // Register get_forecast tool
+    this.server.registerTool(
+      'get_forecast',
+      {
+        title: 'Get Weather Forecast',
+        description: 'Get weather forecast with intelligent insights and planning advice',
+        inputSchema: {
+          city: z.string().describe('The city name to get forecast for'),
+          days: forecastDaysSchema.optional().default(7).describe('Number of days to forecast from today (1-16)'),
+          start_date: dateSchema.optional().describe('Optional: First day of a forecast window (YYYY-MM-DD), used instead of days'),
+          end_date: dateSchema.optional().describe('Optional: Last day of the forecast window, inclusive (YYYY-MM-DD)'),
+          country: countrySchema,
+          admin1: admin1Schema,
+          units: unitsSchema,
+          locale: localeSchema
+        },
+        outputSchema: weatherOutputSchema
+      },
+      async ({ city, days, start_date, end_date, country, admin1, units, locale }, extra) => {
+        return await this.handleGetForecast(city, days, units, { country, admin1, startDate: start_date, endDate: end_date, locale }, this.getAnalyst(extra));
+      }
+    );
+
+    // Register get_hourly_forecast tool
+    this.server.registerTool(
+      'get_hourly_forecast',
+      {
+        title: 'Get Hourly Forecast',
+        description: 'Get an hour-by-hour forecast of temperature, precipitation chance, wind and conditions',
+        inputSchema: {
+          city: z.string().describe('The city name to get the hourly forecast for'),
+          hours: z.number().int().min(1).max(48).optional().default(24).describe('Number of hours to forecast (1-48)'),
+          country: countrySchema,
+          admin1: admin1Schema,
+          units: unitsSchema
+        }
+      },
+      async ({ city, hours, country, admin1, units }) => {
+        return await this.handleGetHourlyForecast(city, hours, units, { country, admin1 });
+      }
+    );
+
+    // Register get_historical_weather tool
+    this.server.registerTool(
+      'get_historical_weather',
+      {
+        title: 'Get Historical Weather',
+        description: 'Get observed daily weather for a past date range (up to 31 days, ending at least 5 days ago) by city or coordinates',
+        inputSchema: {
+          city: z.string().optional().describe('The city name to look up (or provide latitude and longitude)'),
+          latitude: z.number().optional().describe('Latitude coordinate'),
+          longitude: z.number().optional().describe('Longitude coordinate'),
+          start_date: dateSchema.describe('First day of the range (YYYY-MM-DD)'),
+          end_date: dateSchema.describe('Last day of the range, inclusive (YYYY-MM-DD)'),
+          country: countrySchema,
+          admin1: admin1Schema,
+          units: unitsSchema,
+          locale: localeSchema
+        }
+      },
+      async ({ city, latitude, longitude, start_date, end_date, country, admin1, units, locale }) => {
+        return await this.handleGetHistoricalWeather({ city, latitude, longitude, startDate: start_date, endDate: end_date, country, admin1, units, locale });
+      }
+    );
+
+    // Register get_air_quality tool
+    this.server.registerTool(
+      'get_air_quality',
+      {
+        title: 'Get Air Quality',
+        description: 'Get current air quality (US and European AQI, PM2.5, PM10, ozone) and pollen levels',
+        inputSchema: {
+          city: z.string().describe('The city name to get air quality for'),
+          country: countrySchema,
+          admin1: admin1Schema
+        }
+      },
+      async ({ city, country, admin1 }) => {
+        return await this.handleGetAirQuality(city, { country, admin1 });
+      }
+    );
+
+    // Register get_weather_alerts tool
+    this.server.registerTool(
+      'get_weather_alerts',
+      {
+        title: 'Get Weather Alerts',
+        description: 'Check the forecast for severe weather: heat, frost, high wind gusts, heavy precipitation, high UV and thunderstorms',
+        inputSchema: {
+          city: z.string().describe('The city name to check for weather alerts'),
+          days: forecastDaysSchema.optional().default(7).describe('Number of days ahead to check (1-16)'),
+          country: countrySchema,
+          admin1: admin1Schema,
+          units: unitsSchema
+        }
+      },
+      async ({ city, days, country, admin1, units }) => {
+        return await this.handleGetWeatherAlerts(city, { days, units, country, admin1 });
+      }
+    );
+
+    // Register score_activities tool
+    this.server.registerTool(
+      'score_activities',
+      {
+        title: 'Score Outdoor Activities',
+        description: 'Score and rank days or hours (0-100) for hiking, running, cycling, beach, skiing, picnics and photography',
+        inputSchema: {
+          city: z.string().describe('The city name to score activities for'),
+          activities: z.array(z.enum(Object.keys(ActivityScorer.ACTIVITIES))).min(1).optional().describe('Optional: Activities to score (defaults to all)'),
+          granularity: z.enum(['days', 'hours']).optional().default('days').describe('Rank forecast days or individual hours'),
+          days: forecastDaysSchema.optional().default(7).describe('Number of days to rank when granularity is "days" (1-16)'),
+          hours: z.number().int().min(1).max(48).optional().default(24).describe('Number of hours to rank when granularity is "hours" (1-48)'),
+          country: countrySchema,
+          admin1: admin1Schema,
+          units: unitsSchema
+        }
+      },
+      async ({ city, activities, granularity, days, hours, country, admin1, units }) => {
+        return await this.handleScoreActivities(city, { activities, granularity, days, hours, units, country, admin1 });
+      }
+    );
+
+    // Register get_marine_conditions tool
+    this.server.registerTool(
+      'get_marine_conditions',
+      {
+        title: 'Get Marine Conditions',
+        description: 'Get wave height, wave period, swell direction, sea surface temperature and wind for a coastal location',
+        inputSchema: {
+          city: z.string().describe('The coastal city or town to get marine conditions for'),
+          country: countrySchema,
+          admin1: admin1Schema,
+          units: unitsSchema
+        }
+      },
+      async ({ city, country, admin1, units }) => {
+        return await this.handleGetMarineConditions(city, { units, country, admin1 });
+      }
+    );
+
+    // Register get_climate_context tool
+    this.server.registerTool(
+      'get_climate_context',
+      {
+        title: 'Get Climate Context',
+        description: 'Compare the forecast with long-term climate normals for the same dates, e.g. "6°C warmer than usual for mid-October"',
+        inputSchema: {
+          city: z.string().describe('The city name to compare with its climate normals'),
+          days: forecastDaysSchema.optional().default(7).describe('Number of forecast days to compare (1-16)'),
+          start_date: dateSchema.optional().describe('Optional: First forecast day to compare (YYYY-MM-DD), used with end_date instead of days'),
+          end_date: dateSchema.optional().describe('Optional: Last forecast day to compare (YYYY-MM-DD)'),
+          country: countrySchema,
+          admin1: admin1Schema,
+          units: unitsSchema
+        }
+      },
+      async ({ city, days, start_date, end_date, country, admin1, units }) => {
+        return await this.handleGetClimateContext(city, { days, startDate: start_date, endDate: end_date, units, country, admin1 });
+      }
+    );
+
+    // Register get_astronomy tool
+    this.server.registerTool(
+      'get_astronomy',
+      {
+        title: 'Get Sun & Moon Times',
+        description: 'Get sunrise, sunset, twilight, golden hour, day length, moon phase and moonrise/moonset for a city, computed locally',
+        inputSchema: {
+          city: z.string().describe('The city name to get sun and moon times for'),
+          date: dateSchema.optional().describe('Optional: Local date (YYYY-MM-DD), defaults to today'),
+          country: countrySchema,
+          admin1: admin1Schema
+        }
+      },
+      async ({ city, date, country, admin1 }) => {
+        return await this.handleGetAstronomy(city, { date, country, admin1 });
+      }
+    );
+
+    // Register compare_weather tool
+    this.server.registerTool(
+      'compare_weather',
+      {
+        title: 'Compare Weather',
+        description: 'Compare current conditions and forecast highlights for 2-10 places side by side, with a recommendation',
+        inputSchema: {
+          cities: z.array(z.string()).min(2).max(10).describe('The city names to compare (2-10)'),
+          days: forecastDaysSchema.optional().default(7).describe('Number of days to compare (1-16)'),
+          purpose: z.string().optional().describe('Optional: What the place is for, e.g. "beach holiday" or "city sightseeing"'),
+          units: unitsSchema
+        }
+      },
+      async ({ cities, days, purpose, units }) => {
+        return await this.handleCompareWeather(cities, { days, purpose, units });
+      }
+    );
+
+    // Register plan_trip_weather tool
+    this.server.registerTool(
+      'plan_trip_weather',
+      {
+        title: 'Plan Trip Weather',
+        description: 'Get the forecast for each stop of a trip for just the days you are there, plus packing advice',
+        inputSchema: {
+          stops: z.array(z.object({
+            city: z.string().describe('The city name for this stop'),
+            arrival: dateSchema.describe('Arrival date (YYYY-MM-DD)'),
+            departure: dateSchema.describe('Departure date, inclusive (YYYY-MM-DD)'),
+            country: countrySchema,
+            admin1: admin1Schema
+          })).min(1).max(10).describe('The stops in travel order (1-10)'),
+          units: unitsSchema
+        }
+      },
+      async ({ stops, units }) => {
+        return await this.handlePlanTripWeather(stops, units);
+      }
+    );
+
+    // Register get_weather_by_coords tool
+    this.server.registerTool(
+      'get_weather_by_coords',
+      {
+        title: 'Get Weather by Coordinates',
+        description: 'Get weather data using geographic coordinates with location-specific analysis',
+        inputSchema: {
+          latitude: z.number().describe('Latitude coordinate'),
+          longitude: z.number().describe('Longitude coordinate'),
+          days: forecastDaysSchema.optional().default(1).describe('Number of days to forecast (1-16)'),
+          units: unitsSchema,
+          locale: localeSchema
+        },
+        outputSchema: weatherOutputSchema
+      },
+      async ({ latitude, longitude, days, units, locale }) => {
+        return await this.handleGetWeatherByCoords(latitude, longitude, days, units, { locale });
+      }
+    );
+
+    // Register geocode_city tool
+    this.server.registerTool(
+      'geocode_city',
+      {
+        title: 'Geocode City',
+        description: 'Get geographic coordinates and detailed information for a city name',
+        inputSchema: {
+          city: z.string().describe('The city name to geocode'),
+          count: z.number().optional().default(1).describe('Maximum number of results'),
+          country: countrySchema,
+          admin1: admin1Schema
+        },
+        outputSchema: geocodeOutputSchema
+      },
+      async ({ city, count, country, admin1 }) => {
+        return await this.handleGeocodeCity(city, count, { country, admin1 });
+      }
+    );
+
+    // Register ask_weather_question tool
+    this.server.registerTool(
+      'ask_weather_question',
+      {
+        title: 'Ask Weather Question',
+        description: 'Ask any weather-related question and get an AI-powered answer',
+        inputSchema: {
+          question: z.string().describe('Your weather question (e.g., "Is it good hiking weather?", "Should I bring an umbrella?")'),
+          city: z.string().optional().describe('Optional: City name for context'),
+          units: unitsSchema,
+          locale: localeSchema
+        }
+      },
+      async ({ question, city, units, locale }, extra) => {
+        return await this.handleWeatherQuestion(question, city, units, { locale }, this.getAnalyst(extra));
+      }
+    );
+
+    console.log('📋 Registered MCP tools: get_weather, get_forecast, get_hourly_forecast, get_historical_weather, get_air_quality, get_weather_alerts, score_activities, get_astronomy, get_climate_context, get_marine_conditions, compare_weather, plan_trip_weather, get_weather_by_coords, geocode_city, ask_weather_question');
+  }
+
+  /**
+   * Weather as JSON resources, so clients can attach it as context without a tool call.
+   * City resources list recently requested cities; coordinates can't be listed.
+   */
+  setupResources() {
+    this.registerWeatherResource(
+      'current-weather',
+      new ResourceTemplate('weather://current/{city}', {
+        list: () => this.listRecentCityResources(location => ({
+          uri: `weather://current/${encodeURIComponent(formatPlace(location))}`,
+          name: `Current weather in ${formatPlace(location)}`
+        })),
+        complete: {
+          city: value => this.completeCity(value)
+        }
+      }),
+      {
+        title: 'Current Weather',
+        description: 'Current conditions, today\'s forecast and alerts for a city (metric units)',
+        mimeType: 'application/json'
+      },
+      ({ city }) => this.loadCityWeather(decodeURIComponent(city))
+    );
+
+    this.registerWeatherResource(
+      'weather-forecast',
+      new ResourceTemplate('weather://forecast/{city}/{days}', {
+        list: () => this.listRecentCityResources(location => ({
+          uri: `weather://forecast/${encodeURIComponent(formatPlace(location))}/7`,
+          name: `7-day forecast for ${formatPlace(location)}`
+        })),
+        complete: {
+          city: value => this.completeCity(value),
+          days: value => FORECAST_DAY_OPTIONS.filter(days => days.startsWith(value))
+        }
+      }),
+      {
+        title: 'Weather Forecast',
+        description: 'Daily forecast (1-16 days) and alerts for a city (metric units)',
+        mimeType: 'application/json'
+      },
+      ({ city, days }) => this.loadCityWeather(decodeURIComponent(city), parseInt(days, 10))
+    );
+
+    this.registerWeatherResource(
+      'location-weather',
+      new ResourceTemplate('weather://location/{lat},{lon}', { list: undefined }),
+      {
+        title: 'Weather at Coordinates',
+        description: 'Current conditions, today\'s forecast and alerts for a latitude,longitude pair (metric units)',
+        mimeType: 'application/json'
+      },
+      async ({ lat, lon }) => {
+        const latitude = parseFloat(lat);
+        const longitude = parseFloat(lon);
+        if (isNaN(latitude) || isNaN(longitude)) {
+          throw new Error(`Invalid coordinates "${lat},${lon}"`);
+        }
+
+        const weatherData = await this.weatherService.getWeatherForCoordinates(latitude, longitude, 1);
+        return {
+          location: weatherData.location,
+          weatherData,
+          alerts: this.weatherService.alertEngine.evaluate(weatherData)
+        };
+      }
+    );
+  }
+
+  /**
+   * Register a JSON resource template whose data comes from `load(variables)`.
+   * Templates are kept so subscriptions can load a resource from its URI.
+   */
+  registerWeatherResource(name, template, metadata, load) {
+    this.resourceTemplates.push({ template, load });
+    this.server.registerResource(name, template, metadata, async (uri, variables) =>
+      this.formatJsonResource(uri, await load(variables))
+    );
+  }
+
+  /**
+   * Load the data behind any weather:// URI, or null if no template matches
+   */
+  async loadResource(uri) {
+    for (const { template, load } of this.resourceTemplates) {
+      const variables = template.uriTemplate.match(uri);
+      if (variables) {
+        return load(variables);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * resources/list entries for the cities WeatherService has resolved recently
+   */
+  listRecentCityResources(describe) {
+    return {
+      resources: this.weatherService.getRecentLocations().map(location => ({
+        ...describe(location),
+        mimeType: 'application/json'
+      }))
+    };
+  }
+
+  /**
+   * Current weather for a city, or a forecast when `days` is given.
+   * Ambiguous names return the candidates so the client can pick a qualified name.
+   */
+  async loadCityWeather(city, days = null) {
+    const result = await this.weatherService.getWeatherForChat(city, days !== null, 'metric', days !== null ? { days } : {});
+
+    if (result.error) {
+      throw new Error(`Error getting weather for ${city}: ${result.message}`);
+    }
+
+    if (result.ambiguous) {
+      return { ambiguous: true, candidates: result.candidates };
     }
 
-    // Create real MCP server using official SDK
-    this.server = new McpServer(
-      {
-        name: 'weather-mcp-server',
-        version: '1.0.0',
-        description: 'Intelligent weather data and forecasting MCP server powered by Claude AI and Open-Meteo APIs'
-      },
-      {
-        capabilities: {
-          tools: {}
-        }
+    return {
+      location: result.weatherData.location,
+      weatherData: result.weatherData,
+      alerts: result.alerts
+    };
+  }
+
+  formatJsonResource(uri, data) {
+    return {
+      contents: [
+        {
+          uri: uri.href,
+          mimeType: 'application/json',
+          text: JSON.stringify(data, null, 2)
+        }
+      ]
+    };
+  }
+
+  /**
+   * resources/subscribe and resources/unsubscribe for the weather:// resources.
+   * The watcher polls subscribed resources and each change is pushed to this
+   * session as notifications/resources/updated (over the GET /mcp SSE stream).
+   */
+  setupSubscriptions() {
+    this.subscriptions = new Map(); // uri -> stop watching
+
+    this.server.server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+      const { uri } = request.params;
+      const key = normalizeResourceUri(uri);
+
+      if (!key || !this.resourceTemplates.some(({ template }) => template.uriTemplate.match(key))) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown weather resource: ${uri}`);
+      }
+
+      if (!this.subscriptions.has(uri)) {
+        const stop = this.weatherWatcher.watch(key, () => this.loadResource(key), () => {
+          this.server.server.sendResourceUpdated({ uri }).catch(error => {
+            console.warn(`⚠️  Could not send resource update for ${uri}:`, error.message);
+          });
+        });
+        this.subscriptions.set(uri, stop);
+      }
+
+      return {};
+    });
+
+    this.server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      const stop = this.subscriptions.get(request.params.uri);
+      if (stop) {
+        stop();
+        this.subscriptions.delete(request.params.uri);
+      }
+      return {};
+    });
+
+    // Sessions that go away stop their subscriptions
+    this.server.server.onclose = () => this.closeSubscriptions();
+  }
+
+  closeSubscriptions() {
+    this.subscriptions.forEach(stop => stop());
+    this.subscriptions.clear();
+  }
+
+  /**
+   * Prompts that embed live weather, so any MCP client can run them with its own model
+   */
+  setupPrompts() {
+    this.server.registerPrompt(
+      'daily_briefing',
+      {
+        title: 'Daily Weather Briefing',
+        description: 'Morning briefing with current conditions, today\'s forecast, alerts and what to wear',
+        argsSchema: {
+          city: completable(z.string().describe('The city to brief on'), value => this.completeCity(value)),
+          units: promptUnitsSchema,
+          locale: promptLocaleSchema
+        }
+      },
+      async ({ city, units = 'metric', locale = 'en' }) => {
+        const { place, weatherData, alerts } = await this.loadPromptWeather(city, units, { days: 2 });
+        return this.formatPromptMessages(`Daily weather briefing for ${place}`, dailyBriefingPrompt(weatherData, place, { alerts, locale }));
+      }
+    );
+
+    this.server.registerPrompt(
+      'packing_list',
+      {
+        title: 'Packing List',
+        description: 'Packing list for a stay, based on the daily forecast and planned activities',
+        argsSchema: {
+          city: completable(z.string().describe('The city being visited'), value => this.completeCity(value)),
+          days: z.string().regex(/^([1-9]|1[0-6])$/, 'Use a number of days from 1 to 16').optional().describe('Optional: Length of the stay in days from today (1-16, default 7)'),
+          activities: z.string().optional().describe('Optional: Planned activities, e.g. "hiking and a wedding"'),
+          units: promptUnitsSchema,
+          locale: promptLocaleSchema
+        }
+      },
+      async ({ city, days = '7', activities, units = 'metric', locale = 'en' }) => {
+        const { place, weatherData, alerts } = await this.loadPromptWeather(city, units, { days: parseInt(days, 10) });
+        return this.formatPromptMessages(`Packing list for ${place}`, packingListPrompt(weatherData, place, { activities, alerts, locale }));
+      }
+    );
+
+    this.server.registerPrompt(
+      'event_planning',
+      {
+        title: 'Event Planning',
+        description: 'Whether the forecast suits an outdoor event, with the best timing and a backup plan',
+        argsSchema: {
+          city: completable(z.string().describe('The city the event is in'), value => this.completeCity(value)),
+          date: dateSchema.describe('Date of the event (YYYY-MM-DD, within the next 16 days)'),
+          event: z.string().describe('The event, e.g. "garden party for 40 people"'),
+          units: promptUnitsSchema,
+          locale: promptLocaleSchema
+        }
+      },
+      async ({ city, date, event, units = 'metric', locale = 'en' }) => {
+        const { place, weatherData, alerts } = await this.loadPromptWeather(city, units, { startDate: date, endDate: date });
+        return this.formatPromptMessages(`Event planning for ${place} on ${date}`, eventPlanningPrompt(weatherData, place, { event, date, alerts, locale }));
+      }
+    );
+
+    this.server.registerPrompt(
+      'commute_check',
+      {
+        title: 'Commute Check',
+        description: 'Hour-by-hour weather for the trips to and from work over the next 24 hours',
+        argsSchema: {
+          city: completable(z.string().describe('The city of the commute'), value => this.completeCity(value)),
+          departure: timeSchema.describe('Local time of the outbound trip (HH:MM)'),
+          returnTime: timeSchema.describe('Local time of the trip back (HH:MM)'),
+          mode: z.enum(['walking', 'cycling', 'driving', 'transit']).optional().describe('Optional: How you travel (default "transit")'),
+          units: promptUnitsSchema,
+          locale: promptLocaleSchema
+        }
+      },
+      async ({ city, departure, returnTime, mode = 'transit', units = 'metric', locale = 'en' }) => {
+        const location = await this.resolvePromptLocation(city);
+        const place = formatPlace(location);
+        const hourlyData = await this.weatherService.getHourlyForecast(location.latitude, location.longitude, 24, units);
+        return this.formatPromptMessages(`Commute check for ${place}`, commuteCheckPrompt(hourlyData, place, { departure, returnTime, mode, locale }));
+      }
+    );
+  }
+
+  /**
+   * completion/complete suggestions for city arguments of prompts and resource templates
+   */
+  async completeCity(value) {
+    try {
+      return await this.weatherService.suggestCities(value);
+    } catch (error) {
+      console.warn('⚠️  City completion failed:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Resolve a prompt's city to one place; unknown and ambiguous names are invalid arguments
+   */
+  async resolvePromptLocation(city) {
+    const { location, candidates } = await this.weatherService.resolveLocation(city);
+
+    if (candidates) {
+      throw this.ambiguousPromptCity(city, candidates);
+    }
+    if (!location) {
+      throw new McpError(ErrorCode.InvalidParams, `Could not find location for "${city}"`);
+    }
+
+    return location;
+  }
+
+  /**
+   * Forecast and alerts for a prompt's city, labelled with its qualified place name
+   */
+  async loadPromptWeather(city, units, options) {
+    const result = await this.weatherService.getWeatherForChat(city, true, units, { ...options, climate: true });
+
+    if (result.error) {
+      throw new McpError(ErrorCode.InvalidParams, `Error getting weather for ${city}: ${result.message}`);
+    }
+    if (result.ambiguous) {
+      throw this.ambiguousPromptCity(city, result.candidates);
+    }
+
+    return { place: formatPlace(result.weatherData.location), weatherData: result.weatherData, alerts: result.alerts };
+  }
+
+  ambiguousPromptCity(city, candidates) {
+    return new McpError(ErrorCode.InvalidParams, `"${city}" matches several places (${candidates.map(formatPlace).join('; ')}). Use one of these names.`);
+  }
+
+  formatPromptMessages(description, text) {
+    return {
+      description,
+      messages: [
+        {
+          role: 'user',
+          content: {
+            type: 'text',
+            text
+          }
+        }
+      ]
+    };
+  }
+
+  /**
+   * The service that writes AI analysis for a tool call: the client's own model when
+   * it supports sampling (falling back to the server-side Claude key if sampling fails),
+   * otherwise the Claude service, or null when neither is available
+   */
+  getAnalyst(extra = {}) {
+    const samplingService = new SamplingService(this.server.server, {
+      relatedRequestId: extra.requestId,
+      fallback: this.claudeService
+    });
+    return samplingService.isAvailable() ? samplingService : this.claudeService;
+  }
+
+  /**
+ * Handle get_weather tool call with Claude analysis
+ */
+  async handleGetWeather(city, units = 'metric', options = {}, analyst = this.claudeService) {
+    const { locale = 'en' } = options;
+
+    try {
+      // Climate normals are only worth the archive fetch when they feed an analysis
+      const result = await this.weatherService.getWeatherForChat(city, false, units, { ...options, climate: Boolean(analyst) });
+
+      if (result.error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error getting weather for ${city}: ${result.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+
+      if (result.ambiguous) {
+        return this.formatCandidatesResult(result);
+      }
+
+      // Get AI-powered analysis
+      let intelligentResponse;
+      if (analyst) {
+        try {
+          // Keep the alert banner above the AI analysis
+          intelligentResponse = this.weatherService.formatAlertBanner(result.alerts) +
+            await analyst.analyzeCurrentWeather(result.weatherData, city, { locale });
+        } catch (error) {
+          console.error('AI analysis failed:', error);
+          intelligentResponse = result.response; // Fallback to basic response
+        }
+      } else {
+        intelligentResponse = result.response; // No Claude or client sampling available
+      }
+
+      return this.formatWeatherResult(intelligentResponse, result.weatherData, result.alerts);
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  /**
+ * Handle get_forecast tool call with Claude analysis
+ */
+  async handleGetForecast(city, days = 7, units = 'metric', options = {}, analyst = this.claudeService) {
+    const { locale = 'en' } = options;
+
+    try {
+      const result = await this.weatherService.getWeatherForChat(city, true, units, { days, ...options, climate: Boolean(analyst) });
+
+      if (result.error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error getting forecast for ${city}: ${result.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+
+      if (result.ambiguous) {
+        return this.formatCandidatesResult(result);
+      }
+
+      // Get AI-powered forecast analysis
+      let intelligentResponse;
+      if (analyst) {
+        try {
+          // Keep the alert banner above the AI analysis
+          intelligentResponse = this.weatherService.formatAlertBanner(result.alerts) +
+            await analyst.analyzeWeatherForecast(result.weatherData, city, { locale });
+        } catch (error) {
+          console.error('AI analysis failed:', error);
+          intelligentResponse = result.response; // Fallback to basic response
+        }
+      } else {
+        intelligentResponse = result.response; // No Claude or client sampling available
+      }
+
+      return this.formatWeatherResult(intelligentResponse, result.weatherData, result.alerts);
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * Handle get_hourly_forecast tool call
+   */
+  async handleGetHourlyForecast(city, hours = 24, units = 'metric', filters = {}) {
+    try {
+      const result = await this.weatherService.getHourlyWeatherForChat(city, hours, units, filters);
+
+      if (result.error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error getting hourly forecast for ${city}: ${result.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+
+      if (result.ambiguous) {
+        return this.formatCandidatesResult(result);
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: result.response
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * Handle get_historical_weather tool call
+   */
+  async handleGetHistoricalWeather({ city, latitude, longitude, startDate, endDate, country, admin1, units = 'metric', locale = 'en' }) {
+    const place = city || `${latitude}, ${longitude}`;
+
+    try {
+      const result = await this.weatherService.getHistoricalWeatherForChat({ city, latitude, longitude, startDate, endDate, country, admin1, units, locale });
+
+      if (result.error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error getting historical weather for ${place}: ${result.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+
+      if (result.ambiguous) {
+        return this.formatCandidatesResult(result);
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: result.response
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * Handle get_air_quality tool call
+   */
+  async handleGetAirQuality(city, filters = {}) {
+    try {
+      const result = await this.weatherService.getAirQualityForChat(city, filters);
+
+      if (result.error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error getting air quality for ${city}: ${result.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+
+      if (result.ambiguous) {
+        return this.formatCandidatesResult(result);
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: result.response
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * Handle get_weather_alerts tool call
+   */
+  async handleGetWeatherAlerts(city, options = {}) {
+    try {
+      const result = await this.weatherService.getAlertsForChat(city, options);
+
+      if (result.error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error getting weather alerts for ${city}: ${result.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+
+      if (result.ambiguous) {
+        return this.formatCandidatesResult(result);
+      }
+
+      return {
+        content: [
+          {
+            type: 'text',
+            text: result.response
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * Handle get_marine_conditions tool call
+   */
+  async handleGetMarineConditions(city, options = {}) {
+    try {
+      const result = await this.weatherService.getMarineForChat(city, options);
+
+      if (result.error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error getting marine conditions for ${city}: ${result.message}`
+            }
+          ],
+          isError: true
+        };
+      }
+
+      if (result.ambiguous) {
+        return this.formatCandidatesResult(result);
       }
-    );
 
-    this.setupTools();
-    this.setupErrorHandling();
+      return {
+        content: [
+          {
+            type: 'text',
+            text: result.response
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
   }
 
-  setupTools() {
-    // Register get_weather tool
-    this.server.registerTool(
-      'get_weather',
-      {
-        title: 'Get Weather',
-        description: 'Get current weather data with AI-powered analysis and recommendations',
-        inputSchema: {
-          city: z.string().describe('The city name to get weather for')
-        }
-      },
-      async ({ city }) => {
-        return await this.handleGetWeather(city);
-      }
-    );
+  /**
+   * Handle get_climate_context tool call
+   */
+  async handleGetClimateContext(city, options = {}) {
+    try {
+      const result = await this.weatherService.getClimateContextForChat(city, options);
 
-    // Register get_forecast tool
-    this.server.registerTool(
-      'get_forecast',
-      {
-        title: 'Get Weather Forecast',
-        description: 'Get weather forecast with intelligent insights and planning advice',
-        inputSchema: {
-          city: z.string().describe('The city name to get forecast for'),
-          days: z.number().optional().default(7).describe('Number of days to forecast (1-7)')
-        }
-      },
-      async ({ city, days }) => {
-        return await this.handleGetForecast(city, days);
+      if (result.error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error getting climate context for ${city}: ${result.message}`
+            }
+          ],
+          isError: true
+        };
       }
-    );
 
-    // Register get_weather_by_coords tool
-    this.server.registerTool(
-      'get_weather_by_coords',
-      {
-        title: 'Get Weather by Coordinates',
-        description: 'Get weather data using geographic coordinates with location-specific analysis',
-        inputSchema: {
-          latitude: z.number().describe('Latitude coordinate'),
-          longitude: z.number().describe('Longitude coordinate'),
-          days: z.number().optional().default(1).describe('Number of days to forecast (1-7)')
-        }
-      },
-      async ({ latitude, longitude, days }) => {
-        return await this.handleGetWeatherByCoords(latitude, longitude, days);
+      if (result.ambiguous) {
+        return this.formatCandidatesResult(result);
       }
-    );
 
-    // Register geocode_city tool
-    this.server.registerTool(
-      'geocode_city',
-      {
-        title: 'Geocode City',
-        description: 'Get geographic coordinates and detailed information for a city name',
-        inputSchema: {
-          city: z.string().describe('The city name to geocode'),
-          count: z.number().optional().default(1).describe('Maximum number of results')
-        }
-      },
-      async ({ city, count }) => {
-        return await this.handleGeocodeCity(city, count);
+      return {
+        content: [
+          {
+            type: 'text',
+            text: result.response
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
+  }
+
+  /**
+   * Handle get_astronomy tool call
+   */
+  async handleGetAstronomy(city, options = {}) {
+    try {
+      const result = await this.weatherService.getAstronomyForChat(city, options);
+
+      if (result.error) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: `Error getting sun and moon times for ${city}: ${result.message}`
+            }
+          ],
+          isError: true
+        };
       }
-    );
 
-    // Register ask_weather_question tool
-    this.server.registerTool(
-      'ask_weather_question',
-      {
-        title: 'Ask Weather Question',
-        description: 'Ask any weather-related question and get an AI-powered answer',
-        inputSchema: {
-          question: z.string().describe('Your weather question (e.g., "Is it good hiking weather?", "Should I bring an umbrella?")'),
-          city: z.string().optional().describe('Optional: City name for context')
-        }
-      },
-      async ({ question, city }) => {
-        return await this.handleWeatherQuestion(question, city);
+      if (result.ambiguous) {
+        return this.formatCandidatesResult(result);
       }
-    );
 
-    console.log('📋 Registered MCP tools: get_weather, get_forecast, get_weather_by_coords, geocode_city, ask_weather_question');
+      return {
+        content: [
+          {
+            type: 'text',
+            text: result.response
+          }
+        ]
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: ${error.message}`
+          }
+        ],
+        isError: true
+      };
+    }
   }
 
   /**
- * Handle get_weather tool call with Claude analysis
- */
-  async handleGetWeather(city) {
+   * Handle score_activities tool call
+   */
+  async handleScoreActivities(city, options = {}) {
     try {
-      const result = await this.weatherService.getWeatherForChat(city, false);
+      const result = await this.weatherService.getActivityScoresForChat(city, options);
 
       if (result.error) {
         return {
           content: [
             {
               type: 'text',
-              text: `Error getting weather for ${city}: ${result.message}`
+              text: `Error scoring activities for ${city}: ${result.message}`
             }
           ],
           isError: true
         };
       }
 
-      // Get AI-powered analysis
-      let intelligentResponse;
-      if (this.claudeService) {
-        try {
-          intelligentResponse = await this.claudeService.analyzeCurrentWeather(result.weatherData, city);
-        } catch (error) {
-          console.error('Claude analysis failed:', error);
-          intelligentResponse = result.response; // Fallback to basic response
-        }
-      } else {
-        intelligentResponse = result.response; // No Claude available
+      if (result.ambiguous) {
+        return this.formatCandidatesResult(result);
       }
 
       return {
         content: [
           {
             type: 'text',
-            text: intelligentResponse
+            text: result.response
           }
         ]
       };
@@ -186,42 +1217,41 @@ class RealMCPWeatherServer {
   }
 
   /**
- * Handle get_forecast tool call with Claude analysis
- */
-  async handleGetForecast(city, days = 7) {
+   * Handle compare_weather tool call with a Claude recommendation
+   */
+  async handleCompareWeather(cities, { days = 7, purpose, units = 'metric' } = {}) {
     try {
-      const result = await this.weatherService.getWeatherForChat(city, true);
+      const comparison = await this.weatherService.compareWeather(cities, { days, units });
 
-      if (result.error) {
+      if (comparison.entries.length === 0) {
         return {
           content: [
             {
               type: 'text',
-              text: `Error getting forecast for ${city}: ${result.message}`
+              text: `Error comparing weather: ${comparison.failures.map(failure => failure.message).join('; ')}`
             }
           ],
           isError: true
         };
       }
 
-      // Get AI-powered forecast analysis
-      let intelligentResponse;
+      const result = this.weatherService.formatComparisonForChat(comparison);
+
+      // Get AI-powered recommendation below the table
+      let response = result.response;
       if (this.claudeService) {
         try {
-          intelligentResponse = await this.claudeService.analyzeWeatherForecast(result.weatherData, city);
+          response += `\n${await this.claudeService.compareLocations(comparison, purpose)}`;
         } catch (error) {
-          console.error('Claude analysis failed:', error);
-          intelligentResponse = result.response; // Fallback to basic response
+          console.error('Claude comparison failed:', error);
         }
-      } else {
-        intelligentResponse = result.response; // No Claude available
       }
 
       return {
         content: [
           {
             type: 'text',
-            text: intelligentResponse
+            text: response
           }
         ]
       };
@@ -239,50 +1269,79 @@ class RealMCPWeatherServer {
   }
 
   /**
-   * Handle get_weather_by_coords tool call with Claude analysis
+   * Handle plan_trip_weather tool call with Claude packing advice
    */
-  async handleGetWeatherByCoords(latitude, longitude, days = 1) {
+  async handlePlanTripWeather(stops, units = 'metric') {
     try {
-      const weatherData = await this.weatherService.getWeatherForecast(latitude, longitude, days);
+      const trip = await this.weatherService.planTrip(stops, { units });
+      const result = this.weatherService.formatTripForChat(trip);
+
+      // Get AI-powered packing advice below the itinerary
+      let response = result.response;
+      if (this.claudeService) {
+        try {
+          response += `🧳 **Packing advice:** ${await this.claudeService.getPackingAdvice(trip)}`;
+        } catch (error) {
+          console.error('Claude packing advice failed:', error);
+        }
+      }
 
-      // Add mock location data for consistency
-      weatherData.location = {
-        name: `Location (${latitude.toFixed(2)}, ${longitude.toFixed(2)})`,
-        latitude,
-        longitude
+      return {
+        content: [
+          {
+            type: 'text',
+            text: response
+          }
+        ],
+        isError: trip.stops.every(plan => plan.error) || undefined
+      };
+    } catch (error) {
+      return {
+        content: [
+          {
+            type: 'text',
+            text: `Error: ${error.message}`
+          }
+        ],
+        isError: true
       };
+    }
+  }
+
+  /**
+   * Handle get_weather_by_coords tool call with Claude analysis
+   */
+  async handleGetWeatherByCoords(latitude, longitude, days = 1, units = 'metric', { locale = 'en' } = {}) {
+    try {
+      const weatherData = await this.weatherService.getWeatherForCoordinates(latitude, longitude, days, units);
+      const alerts = this.weatherService.alertEngine.evaluate(weatherData, { locale });
 
       // Get AI-powered analysis
       let intelligentResponse;
       if (this.claudeService) {
         try {
-          intelligentResponse = await this.claudeService.analyzeLocationWeather(weatherData, latitude, longitude, days);
+          // Keep the alert banner above Claude's analysis
+          intelligentResponse = this.weatherService.formatAlertBanner(alerts) +
+            await this.claudeService.analyzeLocationWeather(weatherData, latitude, longitude, days, { locale });
         } catch (error) {
           console.error('Claude analysis failed:', error);
           // Fallback to basic formatting
           if (days === 1) {
-            intelligentResponse = this.weatherService.formatCurrentWeatherForChat(weatherData).response;
+            intelligentResponse = this.weatherService.formatCurrentWeatherForChat(weatherData, { locale }).response;
           } else {
-            intelligentResponse = this.weatherService.formatForecastForChat(weatherData).response;
+            intelligentResponse = this.weatherService.formatForecastForChat(weatherData, { locale }).response;
           }
         }
       } else {
         // Fallback to basic formatting
         if (days === 1) {
-          intelligentResponse = this.weatherService.formatCurrentWeatherForChat(weatherData).response;
+          intelligentResponse = this.weatherService.formatCurrentWeatherForChat(weatherData, { locale }).response;
         } else {
-          intelligentResponse = this.weatherService.formatForecastForChat(weatherData).response;
+          intelligentResponse = this.weatherService.formatForecastForChat(weatherData, { locale }).response;
         }
       }
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: intelligentResponse
-          }
-        ]
-      };
+      return this.formatWeatherResult(intelligentResponse, weatherData, alerts);
     } catch (error) {
       return {
         content: [
@@ -299,26 +1358,50 @@ class RealMCPWeatherServer {
   /**
  * Handle weather question with Claude
  */
-  async handleWeatherQuestion(question, city = null) {
-    if (!this.claudeService) {
+  async handleWeatherQuestion(question, city = null, units = 'metric', { locale = 'en' } = {}, analyst = this.claudeService) {
+    // Activity questions ("is it good hiking weather?") get reproducible scores
+    const activities = city ? this.weatherService.activityScorer.detectActivities(question) : [];
+    let activityResult = null;
+
+    if (activities.length > 0) {
+      try {
+        const result = await this.weatherService.getActivityScoresForChat(city, { activities, granularity: 'hours', hours: 24, units });
+        if (!result.error && !result.ambiguous) {
+          activityResult = result;
+        }
+      } catch (error) {
+        console.warn('Could not score activities for question:', error);
+      }
+    }
+
+    if (!analyst) {
       return {
         content: [
           {
             type: 'text',
-            text: "I'd be happy to help with weather questions! However, AI analysis is not available right now. Try asking about specific weather data for a city."
+            text: activityResult
+              ? activityResult.response
+              : "I'd be happy to help with weather questions! However, AI analysis is not available right now. Try asking about specific weather data for a city."
           }
         ]
       };
     }
 
     let weatherData = null;
+    let airQuality = null;
 
-    // If city is provided, get current weather for context
+    // If city is provided, get current weather and air quality for context
     if (city) {
       try {
-        const result = await this.weatherService.getWeatherForChat(city, false);
-        if (!result.error) {
-          weatherData = result.weatherData;
+        const [weatherResult, airQualityResult] = await Promise.all([
+          this.weatherService.getWeatherForChat(city, false, units, { locale, climate: true }),
+          this.weatherService.getAirQualityForChat(city)
+        ]);
+        if (!weatherResult.error) {
+          weatherData = weatherResult.weatherData;
+        }
+        if (!airQualityResult.error) {
+          airQuality = airQualityResult.airQualityData;
         }
       } catch (error) {
         console.warn('Could not get weather context for question:', error);
@@ -327,7 +1410,9 @@ class RealMCPWeatherServer {
 
     // Get AI-powered answer
     try {
-      const intelligentResponse = await this.claudeService.answerWeatherQuestion(question, weatherData, city);
+      const intelligentResponse = await analyst.answerWeatherQuestion(
+        question, weatherData, city, airQuality, activityResult ? activityResult.scores : null, { locale }
+      );
 
       return {
         content: [
@@ -338,7 +1423,17 @@ class RealMCPWeatherServer {
         ]
       };
     } catch (error) {
-      console.error('Claude question analysis failed:', error);
+      console.error('AI question analysis failed:', error);
+      if (activityResult) {
+        return {
+          content: [
+            {
+              type: 'text',
+              text: activityResult.response
+            }
+          ]
+        };
+      }
       return {
         content: [
           {
@@ -354,9 +1449,9 @@ class RealMCPWeatherServer {
   /**
    * Handle geocode_city tool call
    */
-  async handleGeocodeCity(city, count = 1) {
+  async handleGeocodeCity(city, count = 1, filters = {}) {
     try {
-      const locations = await this.weatherService.geocodeCity(city, count);
+      const locations = await this.weatherService.findLocations(city, { count, ...filters });
 
       let response = `**Geocoding results for "${city}":**\n\n`;
 
@@ -384,7 +1479,11 @@ class RealMCPWeatherServer {
             type: 'text',
             text: response
           }
-        ]
+        ],
+        structuredContent: {
+          query: city,
+          locations
+        }
       };
     } catch (error) {
       return {
@@ -399,7 +1498,44 @@ class RealMCPWeatherServer {
     }
   }
 
+  /**
+   * Tool result with the response text plus the weather data behind it as
+   * structured content (see output-schemas.js)
+   */
+  formatWeatherResult(text, weatherData, alerts = []) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text
+        }
+      ],
+      structuredContent: {
+        location: weatherData.location,
+        weatherData,
+        alerts
+      }
+    };
+  }
 
+  /**
+   * Tool result asking the user to pick a location. The candidates are also returned
+   * as structured content so clients can offer them as choices.
+   */
+  formatCandidatesResult(result) {
+    return {
+      content: [
+        {
+          type: 'text',
+          text: result.response
+        }
+      ],
+      structuredContent: {
+        ambiguous: true,
+        candidates: result.candidates
+      }
+    };
+  }
 
   setupErrorHandling() {
     process.on('SIGINT', async () => {
@@ -432,6 +1568,25 @@ class RealMCPWeatherServer {
   }
 }
 
+/**
+ * "Portland, Maine, United States", which resolveLocation reads back as one place
+ */
+function formatPlace(location) {
+  return [location.name, location.admin1, location.country].filter(Boolean).join(', ');
+}
+
+/**
+ * Canonical form of a resource URI ("New York" and "New%20York" are the same resource),
+ * or null if it isn't a URI at all
+ */
+function normalizeResourceUri(uri) {
+  try {
+    return new URL(uri).href;
+  } catch (error) {
+    return null;
+  }
+}
+
 // If this file is run directly, start with stdio transport
 if (require.main === module) {
   const args = process.argv.slice(2);
@@ -0,0 +1,94 @@
+/**
+ * Sampling Service for Weather Analysis
+ *
+ * Runs the weather analysis prompts through the connected MCP client's own
+ * model with sampling/createMessage, so clients like Claude Desktop get AI
+ * analysis without a CLAUDE_API_KEY on the server. Offers the same analysis
+ * methods as ClaudeService, and hands over to it (when configured) if the
+ * client declines or fails a request.
+ */
+
+const { currentWeatherPrompt, forecastPrompt, weatherQuestionPrompt } = require('./weather-prompts');
+
+class SamplingService {
+  /**
+   * @param {Server} server - Low-level MCP server connected to the client
+   * @param {Object} [options]
+   * @param {string|number} [options.relatedRequestId] - Tool call the requests belong to, so HTTP clients get them on that call's response stream
+   * @param {ClaudeService|null} [options.fallback] - Server-side Claude service used when sampling fails
+   */
+  constructor(server, options = {}) {
+    this.server = server;
+    this.relatedRequestId = options.relatedRequestId;
+    this.fallback = options.fallback || null;
+    this.maxTokens = 1000;
+  }
+
+  /**
+   * Whether the connected client declared the sampling capability
+   */
+  isAvailable() {
+    return Boolean(this.server.getClientCapabilities()?.sampling);
+  }
+
+  async analyzeCurrentWeather(weatherData, city, options = {}) {
+    return this.sample(
+      currentWeatherPrompt(weatherData, city, options),
+      fallback => fallback.analyzeCurrentWeather(weatherData, city, options)
+    );
+  }
+
+  async analyzeWeatherForecast(weatherData, city, options = {}) {
+    return this.sample(
+      forecastPrompt(weatherData, city, options),
+      fallback => fallback.analyzeWeatherForecast(weatherData, city, options)
+    );
+  }
+
+  async answerWeatherQuestion(question, weatherData = null, city = null, airQuality = null, activityScores = null, options = {}) {
+    return this.sample(
+      weatherQuestionPrompt(question, weatherData, city, airQuality, activityScores, options),
+      fallback => fallback.answerWeatherQuestion(question, weatherData, city, airQuality, activityScores, options)
+    );
+  }
+
+  /**
+   * Ask the client's model, or the fallback service if that fails. Without a
+   * fallback the sampling error is thrown for the caller to handle.
+   */
+  async sample(prompt, useFallback) {
+    try {
+      return await this.createMessage(prompt);
+    } catch (error) {
+      if (!this.fallback) {
+        throw error;
+      }
+      console.warn('⚠️  Sampling failed, using the server-side Claude key:', error.message);
+      return useFallback(this.fallback);
+    }
+  }
+
+  async createMessage(prompt) {
+    const result = await this.server.createMessage({
+      messages: [{
+        role: 'user',
+        content: {
+          type: 'text',
+          text: prompt
+        }
+      }],
+      maxTokens: this.maxTokens,
+      modelPreferences: {
+        hints: [{ name: 'claude' }]
+      }
+    }, { relatedRequestId: this.relatedRequestId });
+
+    if (result.content.type !== 'text') {
+      throw new Error(`Client returned ${result.content.type} content instead of text`);
+    }
+
+    return result.content.text;
+  }
+}
+
+module.exports = SamplingService;
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ActivityScorer = require('../activity-scorer');
+
+const scorer = new ActivityScorer();
+
+// Mild, dry, calm hours: nothing to deduct for hiking except darkness
+function hour(time, isDay) {
+  return { time, isDay, temperature: 15, precipitationProbability: 0, precipitation: 0, windGusts: 10, weatherCode: 1 };
+}
+
+test('scores ideal conditions as excellent', () => {
+  const [hiking] = scorer.scoreHours({ unitSystem: 'metric', hourly: [hour('2025-06-02T12:00', true)] }, ['hiking']);
+
+  assert.deepStrictEqual(hiking.periods[0], { label: 'Mon, 12 PM', time: '2025-06-02T12:00', score: 100, rating: 'Excellent', reasons: [] });
+});
+
+test('leaves dark hours out of the best-time ranking', () => {
+  const hourly = [hour('2025-06-02T03:00', false), hour('2025-06-02T10:00', true), hour('2025-06-02T22:00', false)];
+  const [hiking] = scorer.scoreHours({ unitSystem: 'metric', hourly }, ['hiking']);
+
+  assert.deepStrictEqual(hiking.periods.map(period => period.time), ['2025-06-02T10:00']);
+});
+
+test('rates an all-dark window no better than fair', () => {
+  const hourly = [hour('2025-06-02T01:00', false), hour('2025-06-02T02:00', false)];
+  const [hiking] = scorer.scoreHours({ unitSystem: 'metric', hourly }, ['hiking']);
+
+  assert.strictEqual(hiking.periods.length, 2);
+  assert.strictEqual(hiking.periods[0].score, 55);
+  assert.strictEqual(hiking.periods[0].rating, 'Fair');
+  assert.deepStrictEqual(hiking.periods[0].reasons, ['dark']);
+});
+
+test('treats hours without day/night data as daylight', () => {
+  const hourly = [hour('2025-06-02T03:00', false), hour('2025-06-02T04:00', undefined)];
+  const [hiking] = scorer.scoreHours({ unitSystem: 'metric', hourly }, ['hiking']);
+
+  assert.deepStrictEqual(hiking.periods.map(period => period.time), ['2025-06-02T04:00']);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getSunTimes, getMoonIllumination, getMoonTimes, zonedMidnight, localDate } = require('../astronomy');
+
+const LONDON = [51.5074, -0.1278];
+const TROMSO = [69.65, 18.96];
+
+// Published almanac times are rounded to the minute, and the formulas are good to about a minute
+function assertNear(actual, expected, toleranceMinutes) {
+  const minutes = Math.abs(actual.getTime() - new Date(expected).getTime()) / 60000;
+  assert.ok(minutes <= toleranceMinutes, `${actual.toISOString()} is ${minutes.toFixed(1)} min from ${expected}`);
+}
+
+test('matches published sunrise and sunset times for London', () => {
+  const summer = getSunTimes(new Date('2024-06-21T12:00:00Z'), ...LONDON);
+  assertNear(summer.sunrise, '2024-06-21T03:43:00Z', 3);
+  assertNear(summer.sunset, '2024-06-21T20:21:00Z', 3);
+  assert.ok(summer.civilDawn < summer.sunrise && summer.sunset < summer.civilDusk);
+
+  const winter = getSunTimes(new Date('2024-12-21T12:00:00Z'), ...LONDON);
+  assertNear(winter.sunrise, '2024-12-21T08:04:00Z', 3);
+  assertNear(winter.sunset, '2024-12-21T15:53:00Z', 3);
+  assert.strictEqual(winter.alwaysUp, false);
+  assert.strictEqual(winter.alwaysDown, false);
+});
+
+test('reports midnight sun and polar night', () => {
+  const summer = getSunTimes(new Date('2024-06-21T12:00:00Z'), ...TROMSO);
+  assert.strictEqual(summer.alwaysUp, true);
+  assert.strictEqual(summer.sunrise, null);
+  assert.strictEqual(summer.sunset, null);
+
+  const winter = getSunTimes(new Date('2024-12-21T12:00:00Z'), ...TROMSO);
+  assert.strictEqual(winter.alwaysDown, true);
+  assert.strictEqual(winter.sunrise, null);
+  // The sun still gets close enough to the horizon for civil twilight
+  assert.ok(winter.civilDawn instanceof Date);
+});
+
+test('names the moon phase at new and full moon', () => {
+  const full = getMoonIllumination(new Date('2024-01-25T17:54:00Z'));
+  assert.strictEqual(full.name, 'Full Moon');
+  assert.ok(full.fraction > 0.99);
+
+  const newMoon = getMoonIllumination(new Date('2024-01-11T11:57:00Z'));
+  assert.strictEqual(newMoon.name, 'New Moon');
+  assert.ok(newMoon.fraction < 0.01);
+});
+
+test('finds moonrise and moonset within the day', () => {
+  const times = getMoonTimes(new Date('2024-01-25T00:00:00Z'), ...LONDON);
+  assertNear(times.rise, '2024-01-25T16:07:00Z', 15);
+  assertNear(times.set, '2024-01-25T08:25:00Z', 15);
+  assert.strictEqual(times.alwaysUp, false);
+  assert.strictEqual(times.alwaysDown, false);
+});
+
+test('finds local midnight across daylight saving changes', () => {
+  assert.strictEqual(zonedMidnight('2024-03-31', 'Europe/London').toISOString(), '2024-03-31T00:00:00.000Z');
+  assert.strictEqual(zonedMidnight('2024-10-27', 'Europe/London').toISOString(), '2024-10-26T23:00:00.000Z');
+  assert.strictEqual(zonedMidnight('2024-07-01', 'America/New_York').toISOString(), '2024-07-01T04:00:00.000Z');
+  assert.strictEqual(zonedMidnight('2024-07-01').toISOString(), '2024-07-01T00:00:00.000Z');
+});
+
+test('gives today\'s date in a timezone', () => {
+  const now = new Date('2024-01-01T12:00:00Z');
+  assert.strictEqual(localDate('Pacific/Auckland', now), '2024-01-02');
+  assert.strictEqual(localDate('America/Los_Angeles', now), '2024-01-01');
+});
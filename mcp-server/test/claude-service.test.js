@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ClaudeService = require('../claude-service');
+const { resolveUnits } = require('../units');
+
+// Only the fields the comparison prompt and its fallback read
+function place(name, highlights, alerts = []) {
+  return {
+    weatherData: {
+      location: { name, country: 'Spain' },
+      current: { temperature: 21, weatherCode: 1 },
+      daily: new Array(5).fill({})
+    },
+    highlights: { averageLow: 12, warmest: 26, coldest: 10, totalPrecipitation: 0, maxWindGust: 30, maxUvIndex: 7, ...highlights },
+    alerts
+  };
+}
+
+const comparison = {
+  days: 5,
+  unitSystem: resolveUnits('metric'),
+  failures: [],
+  entries: [
+    place('Bilbao', { averageHigh: 19, rainyDays: 3, totalPrecipitation: 14.2 }),
+    place('Seville', { averageHigh: 29, rainyDays: 0 }),
+    place('Madrid', { averageHigh: 24, rainyDays: 0 })
+  ]
+};
+
+function claude(t, create) {
+  process.env.CLAUDE_API_KEY = 'test-key';
+  const service = new ClaudeService();
+  t.mock.method(service.client.messages, 'create', create);
+  return service;
+}
+
+test('asks which place suits the purpose, listing every place', async t => {
+  const service = claude(t, async () => ({ content: [{ text: 'Seville.' }] }));
+
+  assert.strictEqual(await service.compareLocations(comparison, 'a beach weekend'), 'Seville.');
+
+  const [{ arguments: [request] }] = service.client.messages.create.mock.calls;
+  const prompt = request.messages[0].content;
+  assert.match(prompt, /over the next 5 days in these places/);
+  assert.match(prompt, /Bilbao, Spain:\n- Now: 21°C, Mainly clear\n- Average high\/low: 19\/12°C/);
+  assert.match(prompt, /Rainy days: 3 of 5, total 14.2mm/);
+  assert.match(prompt, /which place is best for: "a beach weekend"/);
+});
+
+test('falls back to the driest and warmest place when Claude is unavailable', async t => {
+  t.mock.method(console, 'error', () => {});
+  const service = claude(t, async () => { throw new Error('overloaded'); });
+
+  // Seville and Madrid are equally dry, so the order they were asked in breaks the tie
+  assert.strictEqual(
+    await service.compareLocations(comparison),
+    'Seville looks like the driest option with 0 rainy days and the warmest average highs (29°C).'
+  );
+  assert.strictEqual(
+    service.fallbackComparisonResponse({ ...comparison, entries: [comparison.entries[0], place('Valencia', { averageHigh: 18, rainyDays: 1 })] }),
+    'Valencia looks like the driest option with 1 rainy day, while Bilbao is warmest with average highs of 19°C.'
+  );
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const ClimateNormals = require('../climate-normals');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// An archive `daily` block for every date from start to end, with values from `valuesFor(date)`
+function archive(start, end, valuesFor) {
+  const daily = { time: [], temperature_2m_max: [], temperature_2m_min: [], precipitation_sum: [] };
+  for (let time = Date.parse(`${start}T00:00:00Z`); time <= Date.parse(`${end}T00:00:00Z`); time += DAY_MS) {
+    const date = new Date(time).toISOString().slice(0, 10);
+    const { max, min, precipitation } = valuesFor(date);
+    daily.time.push(date);
+    daily.temperature_2m_max.push(max);
+    daily.temperature_2m_min.push(min);
+    daily.precipitation_sum.push(precipitation);
+  }
+  return daily;
+}
+
+function forecastDays(dates, { max, min, precipitation }) {
+  return {
+    unitSystem: 'metric',
+    daily: dates.map(date => ({ date, temperatureMax: max, temperatureMin: min, precipitationSum: precipitation }))
+  };
+}
+
+const normals = new ClimateNormals();
+const baseline = { startYear: 2021, endYear: 2024 };
+const table = normals.buildTable(archive('2021-01-01', '2024-12-31', () => ({ max: 20, min: 10, precipitation: 2 })));
+
+test('uses the last 30 complete years as the baseline', () => {
+  assert.deepStrictEqual(normals.getBaseline(new Date('2025-06-02T12:00:00Z')), {
+    startYear: 1995,
+    endYear: 2024,
+    startDate: '1995-01-01',
+    endDate: '2024-12-31'
+  });
+  assert.strictEqual(new ClimateNormals({ years: 10 }).getBaseline(new Date('2025-01-01T00:00:00Z')).startYear, 2015);
+});
+
+test('builds one normal per day of a non-leap year', () => {
+  assert.strictEqual(table.length, 365);
+  assert.deepStrictEqual(table[0], { temperatureMax: 20, temperatureMin: 10, precipitation: 2 });
+  assert.deepStrictEqual(table[364], table[0]);
+});
+
+test('smooths across neighbouring days and the turn of the year', () => {
+  // Only 1 January is warm, so 31 December's 15-day window picks up one warm day in fifteen
+  const smoothed = normals.buildTable(archive('2023-01-01', '2023-12-31', date => ({
+    max: date.endsWith('-01-01') ? 35 : 20,
+    min: 10,
+    precipitation: 0
+  })));
+
+  assert.strictEqual(smoothed[364].temperatureMax, 21);
+  assert.strictEqual(smoothed[180].temperatureMax, 20);
+});
+
+test('folds 29 February into 28 February and skips missing values', () => {
+  const daily = archive('2024-02-28', '2024-03-01', date => (
+    date === '2024-02-29' ? { max: 30, min: 20, precipitation: null } : { max: 10, min: 0, precipitation: 4 }
+  ));
+  daily.temperature_2m_max.push(null);
+  daily.temperature_2m_min.push(5);
+  daily.precipitation_sum.push(100);
+  daily.time.push('2024-03-02');
+
+  const leap = normals.buildTable(daily);
+  // Feb 28 (x2, one from Feb 29) and Mar 1 count; Mar 2 has no high so is skipped
+  assert.strictEqual(leap[58].temperatureMax, (10 + 30 + 10) / 3);
+  assert.strictEqual(leap[58].precipitation, 4);
+  // Days more than a week from any data have no normal
+  assert.strictEqual(leap[200], null);
+});
+
+test('reports a warm, wet spell against the normals', () => {
+  const dates = ['2025-10-14', '2025-10-15', '2025-10-16'];
+  const climate = normals.compare(table, forecastDays(dates, { max: 26, min: 14, precipitation: 4 }), baseline);
+
+  assert.deepStrictEqual(climate.anomaly, {
+    temperature: 5,
+    temperatureMax: 6,
+    temperatureMin: 4,
+    precipitationPercent: 200
+  });
+  assert.deepStrictEqual(climate.period, { start: { part: 'mid', month: 10 }, end: { part: 'mid', month: 10 } });
+  assert.deepStrictEqual(climate.baseline, baseline);
+  assert.deepStrictEqual(climate.assessment, { temperature: 'warmer', precipitation: 'wetter' });
+});
+
+test('reports a cold, dry spell against the normals', () => {
+  const climate = normals.compare(table, forecastDays(['2025-01-29', '2025-01-30', '2025-01-31'], { max: 14, min: 4, precipitation: 0.5 }), baseline);
+
+  assert.strictEqual(climate.anomaly.temperature, -6);
+  assert.strictEqual(climate.anomaly.precipitationPercent, 25);
+  assert.deepStrictEqual(climate.assessment, { temperature: 'colder', precipitation: 'drier' });
+});
+
+test('calls small anomalies normal and leaves short spells\' rain unjudged', () => {
+  const climate = normals.compare(table, forecastDays(['2025-05-30', '2025-06-02'], { max: 20.5, min: 10, precipitation: 0 }), baseline);
+
+  assert.deepStrictEqual(climate.period, { start: { part: 'late', month: 5 }, end: { part: 'early', month: 6 } });
+  assert.deepStrictEqual(climate.assessment, { temperature: 'normal', precipitation: null });
+});
+
+test('returns null without normals for the forecast dates', () => {
+  const empty = normals.buildTable(archive('2024-01-01', '2024-01-02', () => ({ max: null, min: null, precipitation: null })));
+  assert.strictEqual(normals.compare(empty, forecastDays(['2025-07-01'], { max: 20, min: 10, precipitation: 0 }), baseline), null);
+});
+
+test('reports imperial forecasts in Fahrenheit against the metric normals', () => {
+  const climate = normals.compare(table, { ...forecastDays(['2025-10-14', '2025-10-15', '2025-10-16'], { max: 78.8, min: 57.2, precipitation: 0.16 }), unitSystem: 'imperial' }, baseline);
+
+  assert.deepStrictEqual(climate.normal, { temperatureMax: 68, temperatureMin: 50, precipitation: 0.08 });
+  assert.strictEqual(climate.forecast.precipitation, 0.16);
+  assert.deepStrictEqual(climate.anomaly, { temperature: 9, temperatureMax: 10.8, temperatureMin: 7.2, precipitationPercent: 203 });
+  assert.deepStrictEqual(climate.assessment, { temperature: 'warmer', precipitation: 'wetter' });
+});
+
+test('judges close-to-normal temperatures in Celsius for every unit system', () => {
+  const dates = ['2025-10-14'];
+  // 0.8°C above normal is 1.4°F: still normal in both
+  const metric = normals.compare(table, forecastDays(dates, { max: 20.8, min: 10.8, precipitation: 0 }), baseline);
+  const imperial = normals.compare(table, { ...forecastDays(dates, { max: 69.4, min: 51.4, precipitation: 0 }), unitSystem: 'imperial' }, baseline);
+
+  assert.strictEqual(metric.assessment.temperature, 'normal');
+  assert.strictEqual(imperial.anomaly.temperature, 1.4);
+  assert.strictEqual(imperial.assessment.temperature, 'normal');
+});
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FixtureProvider, createWeatherProvider } = require('../providers');
+
+const LONDON = { latitude: 51.51, longitude: -0.13 };
+
+// A throwaway fixtures folder holding only the given files
+function fixturesDir(t, files = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'weather-fixtures-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  for (const [file, data] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), JSON.stringify(data));
+  }
+  return dir;
+}
+
+test('selects providers by name and rejects unknown ones', () => {
+  assert.ok(createWeatherProvider('fixtures') instanceof FixtureProvider);
+  assert.throws(() => createWeatherProvider('met-office'), /Unknown weather provider "met-office". Available providers: open-meteo, fixtures/);
+});
+
+test('geocodes by slug and honours the result count', async () => {
+  const provider = new FixtureProvider();
+
+  const { results } = await provider.geocode({ name: ' SPRINGFIELD ', count: 2 });
+
+  assert.deepStrictEqual(results.map(result => result.admin1), ['Missouri', 'Massachusetts']);
+});
+
+test('serves the default forecast at the requested coordinates, cut to the requested length', async () => {
+  const provider = new FixtureProvider();
+
+  const data = await provider.forecast({ latitude: 35.6895, longitude: 139.6917, forecast_days: 3, forecast_hours: 12 });
+
+  assert.strictEqual(data.latitude, 35.6895);
+  assert.strictEqual(data.longitude, 139.6917);
+  assert.deepStrictEqual(data.daily.time, ['2025-06-02', '2025-06-03', '2025-06-04']);
+  assert.strictEqual(data.hourly.time.length, 12);
+});
+
+test('converts metric recordings to the requested units', async () => {
+  const provider = new FixtureProvider();
+
+  const data = await provider.forecast({ ...LONDON, temperature_unit: 'fahrenheit', wind_speed_unit: 'kn', precipitation_unit: 'inch' });
+
+  assert.strictEqual(data.current.temperature_2m, 67.3);
+  assert.strictEqual(data.current.wind_speed_10m, 7.4);
+  assert.strictEqual(data.current_units.temperature_2m, '°F');
+  assert.strictEqual(data.current_units.wind_speed_10m, 'kn');
+  assert.strictEqual(data.daily_units.precipitation_sum, 'inch');
+  // Snowfall is in cm and humidity in %, so neither is touched
+  assert.strictEqual(data.current_units.snowfall, 'cm');
+  assert.strictEqual(data.current.relative_humidity_2m, 58);
+});
+
+test('prefers a recording made in the requested units over converting', async t => {
+  const dir = fixturesDir(t, {
+    'forecast/default.json': { current: { temperature_2m: 20 }, current_units: { temperature_2m: '°C' } },
+    'forecast/51.51_-0.13.fahrenheit_kmh_mm.json': { current: { temperature_2m: 71 }, current_units: { temperature_2m: '°F' } }
+  });
+  const provider = new FixtureProvider({ fixturesDir: dir });
+
+  assert.strictEqual((await provider.forecast({ ...LONDON, temperature_unit: 'fahrenheit' })).current.temperature_2m, 71);
+  assert.strictEqual((await provider.forecast({ latitude: 0, longitude: 0, temperature_unit: 'fahrenheit' })).current.temperature_2m, 68);
+});
+
+test('replays a year-long archive recording onto any requested dates', async () => {
+  const provider = new FixtureProvider();
+
+  const { daily } = await provider.archive({ ...LONDON, start_date: '2019-12-31', end_date: '2020-01-01' });
+
+  assert.deepStrictEqual(daily.time, ['2019-12-31', '2020-01-01']);
+  assert.ok(daily.sunrise.every((sunrise, index) => sunrise.startsWith(daily.time[index])));
+});
+
+test('falls back to Feb 28 when a recording has no leap day', async t => {
+  const dir = fixturesDir(t, {
+    'archive/default.json': {
+      daily: { time: ['2023-02-28', '2023-03-01'], temperature_2m_max: [7, 9], sunrise: ['2023-02-28T06:58', '2023-03-01T06:56'] }
+    }
+  });
+  const provider = new FixtureProvider({ fixturesDir: dir });
+
+  const { daily } = await provider.archive({ ...LONDON, start_date: '2024-02-28', end_date: '2024-03-01' });
+
+  assert.deepStrictEqual(daily, {
+    time: ['2024-02-28', '2024-02-29', '2024-03-01'],
+    temperature_2m_max: [7, 7, 9],
+    sunrise: ['2024-02-28T06:58', '2024-02-29T06:58', '2024-03-01T06:56']
+  });
+  await assert.rejects(provider.archive({ ...LONDON, start_date: '2024-03-02', end_date: '2024-03-02' }), /no recording for 03-02/);
+});
+
+test('names every file it looked for when a fixture is missing', async t => {
+  const provider = new FixtureProvider({ fixturesDir: fixturesDir(t) });
+
+  await assert.rejects(
+    provider.forecast({ ...LONDON, wind_speed_unit: 'mph' }),
+    { message: `No forecast fixture found (looked for ${[
+      'forecast/51.51_-0.13.celsius_mph_mm.json', 'forecast/51.51_-0.13.json',
+      'forecast/default.celsius_mph_mm.json', 'forecast/default.json'
+    ].map(file => path.normalize(file)).join(', ')})` }
+  );
+});
+
+test('records missing fixtures from the upstream provider', async t => {
+  const dir = fixturesDir(t);
+  const upstream = { marine: t.mock.fn(async () => ({ current: { wave_height: 0.8 } })) };
+  t.mock.method(console, 'error', () => {});
+  const provider = new FixtureProvider({ fixturesDir: dir, recordFrom: upstream });
+
+  await provider.marine(LONDON);
+  const replayed = await provider.marine(LONDON);
+
+  assert.strictEqual(upstream.marine.mock.callCount(), 1);
+  assert.deepStrictEqual(replayed, { current: { wave_height: 0.8 } });
+  assert.ok(fs.existsSync(path.join(dir, 'marine', '51.51_-0.13.json')));
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Gazetteer = require('../gazetteer');
+const WeatherService = require('../weather-service');
+const { FixtureProvider } = require('../providers');
+
+// Shared by every test below; the bundled extract is only read once
+const gazetteer = new Gazetteer();
+
+test('finds the nearest bundled city to a pair of coordinates', () => {
+  const { place, distanceKm } = gazetteer.nearest(48.85, 2.35);
+
+  assert.strictEqual(place.name, 'Paris');
+  assert.strictEqual(place.timezone, 'Europe/Paris');
+  assert.ok(distanceKm < 1);
+});
+
+test('measures great-circle distances in kilometres', () => {
+  // London to Paris is about 344 km; a degree of longitude at the equator about 111 km
+  assert.strictEqual(Math.round(Gazetteer.haversineKm(51.5085, -0.1257, 48.8534, 2.3488)), 344);
+  assert.strictEqual(Math.round(Gazetteer.haversineKm(0, 179.5, 0, -179.5)), 111);
+});
+
+test('searches names by prefix regardless of case and accents, largest first', () => {
+  assert.deepStrictEqual(gazetteer.search('SAO').map(place => place.name), ['São Paulo']);
+  assert.deepStrictEqual(gazetteer.search('malm').map(place => place.name), ['Malmö']);
+  assert.deepStrictEqual(gazetteer.search('', 3).map(place => place.name), ['Shanghai', 'Beijing', 'Shenzhen']);
+});
+
+test('reads extracts in the same format, skipping comments and broken lines', t => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'gazetteer-')), 'cities.tsv');
+  t.after(() => fs.rmSync(path.dirname(file), { recursive: true, force: true }));
+  fs.writeFileSync(file, [
+    '# name\tadmin1\tcountry\tlatitude\tlongitude\tpopulation\ttimezone',
+    'Longyearbyen\t\tSvalbard\t78.2232\t15.6267\t2060\tArctic/Longyearbyen',
+    'Nowhere\t\tAtlantis\tunknown\t0\t0\tUTC',
+    ''
+  ].join('\n'));
+
+  const places = new Gazetteer({ filePath: file }).load();
+
+  assert.deepStrictEqual(places, [{
+    name: 'Longyearbyen',
+    admin1: undefined,
+    country: 'Svalbard',
+    latitude: 78.2232,
+    longitude: 15.6267,
+    population: 2060,
+    timezone: 'Arctic/Longyearbyen'
+  }]);
+});
+
+test('names coordinate lookups after the nearest place, with its timezone', async () => {
+  const weather = new WeatherService({ provider: new FixtureProvider(), gazetteer });
+
+  const { location } = await weather.getWeatherForCoordinates(51.5, -0.12);
+
+  assert.deepStrictEqual(
+    { name: location.name, admin1: location.admin1, country: location.country, timezone: location.timezone },
+    { name: 'London', admin1: 'England', country: 'United Kingdom', timezone: 'Europe/London' }
+  );
+  assert.deepStrictEqual([location.latitude, location.longitude], [51.5, -0.12]);
+});
+
+test('keeps a coordinate label far from any city, noting the nearest one', async () => {
+  const weather = new WeatherService({ provider: new FixtureProvider(), gazetteer });
+
+  assert.deepStrictEqual(await weather.reverseGeocode(0, -30), {
+    name: 'Location (0.00, -30.00)',
+    latitude: 0,
+    longitude: -30,
+    nearestPlace: 'Fortaleza, Brazil',
+    distanceKm: 1035
+  });
+});
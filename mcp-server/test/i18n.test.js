@@ -0,0 +1,54 @@
+// West of UTC, where `new Date('2025-06-02')` falls on the evening of 1 June
+process.env.TZ = 'America/Los_Angeles';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SUPPORTED_LOCALES, resolveLocale, translate, formatLocalDate, getLanguageName } = require('../i18n');
+const WeatherService = require('../weather-service');
+const { FixtureProvider } = require('../providers');
+
+test('maps locale tags onto the supported languages', () => {
+  assert.deepStrictEqual(SUPPORTED_LOCALES, ['en', 'es', 'fr', 'de']);
+  assert.strictEqual(resolveLocale('fr-CA'), 'fr');
+  assert.strictEqual(resolveLocale('DE_at'), 'de');
+  assert.strictEqual(resolveLocale('pt-BR'), 'en');
+  assert.strictEqual(resolveLocale(undefined), 'en');
+  assert.strictEqual(getLanguageName('es-MX'), 'Spanish');
+});
+
+test('fills in placeholders and falls back to English', () => {
+  assert.strictEqual(translate('de', 'feelsLike', { value: '18°C' }), 'gefühlt 18°C');
+  assert.strictEqual(translate('es', 'currentTitle', {}), 'Tiempo actual en {place}');
+  assert.strictEqual(translate('pt', 'humidity'), 'Humidity');
+  assert.strictEqual(translate('fr', 'noSuchKey'), 'noSuchKey');
+});
+
+test('keeps dates on the same calendar day west of UTC', () => {
+  assert.strictEqual(new Date('2025-06-02').getDate(), 1);
+  assert.strictEqual(formatLocalDate('2025-06-02', 'en', { weekday: 'long', month: 'long', day: 'numeric' }), 'Monday, June 2');
+  assert.strictEqual(formatLocalDate('2025-06-02', 'es', { weekday: 'short' }), 'lun');
+  assert.strictEqual(formatLocalDate('2025-06-02', 'fr', { month: 'short', day: 'numeric' }), '2 juin');
+  assert.strictEqual(formatLocalDate('2024-12-31', 'de', { year: 'numeric', month: 'long', day: 'numeric' }), '31. Dezember 2024');
+});
+
+test('localizes forecast labels and dates', async () => {
+  const weather = new WeatherService({ provider: new FixtureProvider() });
+
+  const { response } = await weather.getWeatherForChat('London', true, 'metric', { days: 2, locale: 'es' });
+
+  assert.match(response, /^\*\*Pronóstico del tiempo a 2 días para London, England, United Kingdom\*\*/);
+  assert.match(response, /📅 \*\*Hoy, 2 jun\*\*/);
+  assert.match(response, /📅 \*\*mar, 3 jun\*\*/);
+  assert.match(response, /Viento de hasta 17 km\/h/);
+});
+
+test('localizes current weather labels', async () => {
+  const weather = new WeatherService({ provider: new FixtureProvider() });
+
+  const { response } = await weather.getWeatherForChat('London', false, 'metric', { locale: 'de' });
+
+  assert.match(response, /^\*\*Aktuelles Wetter in London/);
+  assert.match(response, /🌡️ \*\*Temperatur:\*\* 20°C \(gefühlt 18°C\)/);
+  assert.match(response, /⛅ \*\*Wetterlage:\*\* Teilweise bewölkt/);
+  assert.doesNotMatch(response, /Humidity|Pressure|Location/);
+});
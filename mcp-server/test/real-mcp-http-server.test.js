@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+const RealMCPHTTPServer = require('../real-mcp-http-server');
+const { FixtureProvider } = require('../providers');
+
+async function startServer(t, shareServices) {
+  delete process.env.CLAUDE_API_KEY;
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const provider = new FixtureProvider();
+  const forecast = t.mock.method(provider, 'forecast');
+  const httpServer = new RealMCPHTTPServer({ shareServices, weatherServiceOptions: { provider } });
+  await httpServer.start(0);
+  t.after(() => httpServer.close());
+  return { httpServer, forecast };
+}
+
+async function londonFromNewSession(t, httpServer) {
+  const client = new Client({ name: 'session-test', version: '1.0.0' });
+  // The browser origin the server's DNS rebinding protection lets through
+  await client.connect(new StreamableHTTPClientTransport(new URL(`http://localhost:${httpServer.port}/mcp`), {
+    requestInit: { headers: { Origin: 'http://localhost:3000' } }
+  }));
+  t.after(() => client.close());
+  return client.callTool({ name: 'get_weather', arguments: { city: 'London' } });
+}
+
+test('sessions share one weather cache and report it on /health', async t => {
+  const { httpServer, forecast } = await startServer(t, true);
+
+  const first = await londonFromNewSession(t, httpServer);
+  const second = await londonFromNewSession(t, httpServer);
+
+  assert.strictEqual(forecast.mock.callCount(), 1);
+  assert.strictEqual(second.content[0].text, first.content[0].text);
+
+  const health = await (await fetch(`http://localhost:${httpServer.port}/health`)).json();
+  assert.strictEqual(health.sessions, 2);
+  assert.strictEqual(health.sharedServices, true);
+  assert.strictEqual(health.claude, false);
+  assert.ok(health.cache.hits >= 1);
+});
+
+test('gives each session its own services when sharing is turned off', async t => {
+  const { httpServer, forecast } = await startServer(t, false);
+
+  await londonFromNewSession(t, httpServer);
+  await londonFromNewSession(t, httpServer);
+
+  assert.strictEqual(forecast.mock.callCount(), 2);
+  const health = await (await fetch(`http://localhost:${httpServer.port}/health`)).json();
+  assert.strictEqual(health.cache, undefined);
+});
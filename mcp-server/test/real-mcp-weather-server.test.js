@@ -0,0 +1,201 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { InMemoryTransport } = require('@modelcontextprotocol/sdk/inMemory.js');
+const RealMCPWeatherServer = require('../real-mcp-weather-server');
+const WeatherService = require('../weather-service');
+const { FixtureProvider } = require('../providers');
+
+// An MCP client talking to a fresh server over an in-memory transport, without Claude
+async function connect(t) {
+  t.mock.method(console, 'log', () => {});
+  const weatherServer = new RealMCPWeatherServer({
+    weatherService: new WeatherService({ provider: new FixtureProvider() }),
+    claudeService: null,
+    handleSignals: false
+  });
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const client = new Client({ name: 'weather-test', version: '1.0.0' });
+
+  await weatherServer.getServer().connect(serverTransport);
+  await client.connect(clientTransport);
+  t.after(() => client.close());
+  return client;
+}
+
+test('declares output schemas for the tools that return weather data', async t => {
+  const { tools } = await (await connect(t)).listTools();
+  const withSchemas = tools.filter(tool => tool.outputSchema).map(tool => tool.name);
+
+  assert.deepStrictEqual(withSchemas, ['get_weather', 'get_forecast', 'get_weather_by_coords', 'geocode_city']);
+  const forecast = tools.find(tool => tool.name === 'get_forecast');
+  assert.deepStrictEqual(Object.keys(forecast.outputSchema.properties), ['location', 'weatherData', 'alerts', 'ambiguous', 'candidates']);
+});
+
+test('returns the weather behind the text as structured content', async t => {
+  const client = await connect(t);
+
+  const { content, structuredContent } = await client.callTool({ name: 'get_forecast', arguments: { city: 'London', days: 3, units: 'imperial' } });
+
+  assert.match(content[0].text, /London/);
+  assert.strictEqual(structuredContent.location.name, 'London');
+  assert.strictEqual(structuredContent.weatherData.daily.length, 3);
+  assert.strictEqual(structuredContent.weatherData.unitSystem.labels.temperature, '°F');
+  assert.ok(Array.isArray(structuredContent.alerts));
+});
+
+test('names coordinate lookups and geocoding results in structured content', async t => {
+  const client = await connect(t);
+
+  const coords = await client.callTool({ name: 'get_weather_by_coords', arguments: { latitude: 48.85, longitude: 2.35 } });
+  const geocoded = await client.callTool({ name: 'geocode_city', arguments: { city: 'Portland', count: 2 } });
+
+  assert.strictEqual(coords.structuredContent.location.name, 'Paris');
+  assert.strictEqual(coords.structuredContent.location.timezone, 'Europe/Paris');
+  assert.strictEqual(geocoded.structuredContent.query, 'Portland');
+  assert.deepStrictEqual(geocoded.structuredContent.locations.map(location => location.admin1), ['Oregon', 'Maine']);
+});
+
+test('returns candidates instead of weather for ambiguous names', async t => {
+  const { structuredContent } = await (await connect(t)).callTool({ name: 'get_weather', arguments: { city: 'Portland' } });
+
+  assert.strictEqual(structuredContent.ambiguous, true);
+  assert.strictEqual(structuredContent.weatherData, undefined);
+  assert.deepStrictEqual(structuredContent.candidates.map(candidate => candidate.admin1), ['Oregon', 'Maine']);
+});
+
+test('rejects forecasts longer than the 16-day horizon before fetching', async t => {
+  const client = await connect(t);
+
+  await assert.rejects(
+    client.callTool({ name: 'get_forecast', arguments: { city: 'London', days: 17 } }),
+    /Invalid arguments for tool get_forecast[\s\S]*less than or equal to 16/
+  );
+});
+
+// The JSON body of a weather:// resource
+async function readJson(client, uri) {
+  const { contents: [content] } = await client.readResource({ uri });
+  assert.strictEqual(content.mimeType, 'application/json');
+  return JSON.parse(content.text);
+}
+
+test('serves current weather, forecasts and coordinates as JSON resources', async t => {
+  const client = await connect(t);
+
+  const { resourceTemplates } = await client.listResourceTemplates();
+  assert.deepStrictEqual(resourceTemplates.map(template => template.uriTemplate), [
+    'weather://current/{city}', 'weather://forecast/{city}/{days}', 'weather://location/{lat},{lon}'
+  ]);
+
+  const current = await readJson(client, 'weather://current/London');
+  const forecast = await readJson(client, 'weather://forecast/New%20York/4');
+  const here = await readJson(client, 'weather://location/48.85,2.35');
+
+  assert.strictEqual(current.weatherData.current.temperature, 20);
+  assert.strictEqual(current.weatherData.unitSystem.system, 'metric');
+  assert.deepStrictEqual([forecast.location.name, forecast.weatherData.daily.length], ['New York', 4]);
+  assert.strictEqual(here.location.name, 'Paris');
+  assert.ok(Array.isArray(here.alerts));
+});
+
+test('lists recently requested cities under qualified names that read back', async t => {
+  const client = await connect(t);
+  assert.deepStrictEqual((await client.listResources()).resources, []);
+
+  await readJson(client, 'weather://current/London');
+  const { resources } = await client.listResources();
+
+  assert.deepStrictEqual(resources.map(resource => resource.uri), [
+    'weather://current/London%2C%20England%2C%20United%20Kingdom',
+    'weather://forecast/London%2C%20England%2C%20United%20Kingdom/7'
+  ]);
+  assert.strictEqual((await readJson(client, resources[1].uri)).weatherData.daily.length, 7);
+});
+
+test('answers ambiguous or malformed resource URIs without weather', async t => {
+  const client = await connect(t);
+
+  const portland = await readJson(client, 'weather://current/Portland');
+  assert.strictEqual(portland.ambiguous, true);
+  assert.strictEqual(portland.candidates.length, 2);
+
+  await assert.rejects(client.readResource({ uri: 'weather://location/north,west' }), /Invalid coordinates "north,west"/);
+  await assert.rejects(client.readResource({ uri: 'weather://tomorrow/London' }), /Resource weather:\/\/tomorrow\/London not found/);
+});
+
+test('lists the weather prompts with their required arguments', async t => {
+  const { prompts } = await (await connect(t)).listPrompts();
+
+  assert.deepStrictEqual(
+    Object.fromEntries(prompts.map(prompt => [prompt.name, prompt.arguments.filter(arg => arg.required).map(arg => arg.name)])),
+    {
+      daily_briefing: ['city'],
+      packing_list: ['city'],
+      event_planning: ['city', 'date', 'event'],
+      commute_check: ['city', 'departure', 'returnTime']
+    }
+  );
+});
+
+test('embeds live weather for the qualified place in a daily briefing', async t => {
+  const { description, messages } = await (await connect(t)).getPrompt({ name: 'daily_briefing', arguments: { city: 'London', locale: 'fr' } });
+  const [{ role, content }] = messages;
+
+  assert.strictEqual(description, 'Daily weather briefing for London, England, United Kingdom');
+  assert.strictEqual(role, 'user');
+  assert.ok(content.text.includes('Right Now:\n- 20°C (feels like 18°C), Partly cloudy\n- Wind: 13.7 km/h, gusts up to 29.5 km/h'));
+  assert.match(content.text, /Forecast:\nToday: 14-21°C, Partly cloudy[^\n]*\nTomorrow: 15-23°C, Overcast/);
+  assert.match(content.text, /- Compared with \d{4}-\d{4} normals for/);
+  assert.match(content.text, /Write your whole response in French\.$/);
+});
+
+test('keeps only the hours around each commute', async t => {
+  const { messages } = await (await connect(t)).getPrompt({
+    name: 'commute_check',
+    arguments: { city: 'Tokyo', departure: '08:00', returnTime: '17:30', mode: 'cycling' }
+  });
+  const text = messages[0].content.text;
+
+  assert.ok(text.startsWith('You are a helpful weather assistant. Check the commute in Tokyo, Tokyo, Japan by cycling: leaving at 08:00 and heading back at 17:30 (local time).'));
+  assert.deepStrictEqual(text.match(/^2025-06-02 \d\d:00/gm), [
+    '2025-06-02 07:00', '2025-06-02 08:00', '2025-06-02 09:00',
+    '2025-06-02 16:00', '2025-06-02 17:00', '2025-06-02 18:00'
+  ]);
+  assert.ok(text.includes('2025-06-02 08:00: 18°C (feels like 17°C), Partly cloudy, 5% chance of rain, wind 13 km/h gusting 27.9'));
+});
+
+test('turns bad prompt arguments into invalid-params errors', async t => {
+  const client = await connect(t);
+
+  await assert.rejects(client.getPrompt({ name: 'packing_list', arguments: { city: 'London', days: '17' } }), /Use a number of days from 1 to 16/);
+  await assert.rejects(
+    client.getPrompt({ name: 'daily_briefing', arguments: { city: 'Portland' } }),
+    { code: -32602, message: /"Portland" matches several places \(Portland, Oregon, United States; Portland, Maine, United States\)\. Use one of these names\./ }
+  );
+});
+
+test('completes city arguments of resource templates and prompts', async t => {
+  const client = await connect(t);
+  const complete = async (ref, name, value) => (await client.complete({ ref, argument: { name, value } })).completion.values;
+
+  assert.deepStrictEqual(
+    await complete({ type: 'ref/resource', uri: 'weather://current/{city}' }, 'city', 'Portland, M'),
+    ['Portland, Maine, United States']
+  );
+  assert.deepStrictEqual(await complete({ type: 'ref/resource', uri: 'weather://forecast/{city}/{days}' }, 'days', '1'), ['1', '10', '11', '12', '13', '14', '15', '16']);
+  assert.deepStrictEqual(
+    (await complete({ type: 'ref/prompt', name: 'daily_briefing' }, 'city', 'Tok')).slice(0, 1),
+    ['Tokyo, Tokyo, Japan']
+  );
+});
+
+test('completes nothing rather than failing when the lookup breaks', async t => {
+  const client = await connect(t);
+  t.mock.method(console, 'warn', () => {});
+  t.mock.method(WeatherService.prototype, 'suggestCities', async () => { throw new Error('gazetteer unreadable'); });
+
+  const { completion } = await client.complete({ ref: { type: 'ref/prompt', name: 'packing_list' }, argument: { name: 'city', value: 'Lon' } });
+
+  assert.deepStrictEqual(completion.values, []);
+});
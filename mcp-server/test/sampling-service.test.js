@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const SamplingService = require('../sampling-service');
+const WeatherService = require('../weather-service');
+const { FixtureProvider } = require('../providers');
+const { currentWeatherPrompt, forecastPrompt } = require('../weather-prompts');
+
+// Real WeatherService output for London, from the recorded fixtures
+let weatherData;
+test.before(async () => {
+  const weather = new WeatherService({ provider: new FixtureProvider() });
+  ({ weatherData } = await weather.getWeatherForChat('London', true, 'imperial', { days: 3 }));
+});
+
+// A low-level server stand-in whose client answers with `reply` (or throws it)
+function fakeServer({ capabilities = { sampling: {} }, reply = { type: 'text', text: 'Mild and dry.' } } = {}) {
+  const requests = [];
+  return {
+    requests,
+    getClientCapabilities: () => capabilities,
+    createMessage: async (params, options) => {
+      requests.push({ params, options });
+      if (reply instanceof Error) throw reply;
+      return { role: 'assistant', model: 'client-model', content: reply };
+    }
+  };
+}
+
+function fakeFallback() {
+  return {
+    calls: [],
+    async answerWeatherQuestion(question) {
+      this.calls.push(question);
+      return 'Fallback answer';
+    }
+  };
+}
+
+test('is available only when the client declares sampling', () => {
+  assert.strictEqual(new SamplingService(fakeServer()).isAvailable(), true);
+  assert.strictEqual(new SamplingService(fakeServer({ capabilities: {} })).isAvailable(), false);
+  assert.strictEqual(new SamplingService(fakeServer({ capabilities: null })).isAvailable(), false);
+});
+
+test('asks the client model and returns its text', async () => {
+  const server = fakeServer();
+  const sampling = new SamplingService(server, { relatedRequestId: 7 });
+
+  const analysis = await sampling.analyzeCurrentWeather(weatherData, 'London', { locale: 'fr' });
+
+  assert.strictEqual(analysis, 'Mild and dry.');
+  assert.strictEqual(server.requests.length, 1);
+  const { params, options } = server.requests[0];
+  assert.strictEqual(params.maxTokens, 1000);
+  assert.deepStrictEqual(params.messages, [{
+    role: 'user',
+    content: { type: 'text', text: currentWeatherPrompt(weatherData, 'London', { locale: 'fr' }) }
+  }]);
+  assert.deepStrictEqual(options, { relatedRequestId: 7 });
+});
+
+test('sends prompts built from the real weather data', async () => {
+  const server = fakeServer();
+  const sampling = new SamplingService(server);
+  const { current, daily } = weatherData;
+
+  await sampling.analyzeCurrentWeather(weatherData, 'London');
+  await sampling.analyzeWeatherForecast(weatherData, 'London');
+  const [currentPrompt, forecast] = server.requests.map(({ params }) => params.messages[0].content.text);
+
+  assert.ok(currentPrompt.includes(`- Temperature: ${current.temperature}°F (feels like ${current.apparentTemperature}°F)`));
+  assert.ok(currentPrompt.includes(`- Wind: ${current.windSpeed} mph`));
+  assert.ok(forecast.includes(`${daily[0].temperatureMin}-${daily[0].temperatureMax}°F`));
+  assert.strictEqual(forecast, forecastPrompt(weatherData, 'London'));
+  for (const prompt of [currentPrompt, forecast]) {
+    assert.doesNotMatch(prompt, /undefined|null|NaN/);
+  }
+});
+
+test('rejects non-text replies', async () => {
+  const sampling = new SamplingService(fakeServer({ reply: { type: 'image', data: '', mimeType: 'image/png' } }));
+
+  await assert.rejects(sampling.analyzeCurrentWeather(weatherData, 'London'), /returned image content instead of text/);
+});
+
+test('rethrows sampling errors without a fallback', async () => {
+  const sampling = new SamplingService(fakeServer({ reply: new Error('User rejected sampling request') }));
+
+  await assert.rejects(sampling.answerWeatherQuestion('Will it rain?'), /User rejected/);
+});
+
+test('hands over to the fallback service when sampling fails', async t => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const fallback = fakeFallback();
+  const sampling = new SamplingService(fakeServer({ reply: new Error('User rejected sampling request') }), { fallback });
+
+  const answer = await sampling.answerWeatherQuestion('Will it rain?', weatherData, 'London');
+
+  assert.strictEqual(answer, 'Fallback answer');
+  assert.deepStrictEqual(fallback.calls, ['Will it rain?']);
+  assert.strictEqual(warn.mock.callCount(), 1);
+  assert.match(warn.mock.calls[0].arguments[1], /User rejected/);
+});
+
+test('does not use the fallback when sampling succeeds', async () => {
+  const fallback = fakeFallback();
+  const sampling = new SamplingService(fakeServer(), { fallback });
+
+  assert.strictEqual(await sampling.answerWeatherQuestion('Will it rain?'), 'Mild and dry.');
+  assert.deepStrictEqual(fallback.calls, []);
+});
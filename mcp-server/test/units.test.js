@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  resolveUnits,
+  toOpenMeteoParams,
+  unitsCacheKey,
+  toCelsius,
+  toKmh,
+  toMillimetres,
+  fromCelsius,
+  fromMetres,
+  heightLabel
+} = require('../units');
+
+test('resolves the named unit systems', () => {
+  assert.deepStrictEqual(resolveUnits('metric').labels, { temperature: '°C', wind: 'km/h', precipitation: 'mm' });
+  assert.deepStrictEqual(resolveUnits('imperial').labels, { temperature: '°F', wind: 'mph', precipitation: 'in' });
+  assert.strictEqual(resolveUnits().system, 'metric');
+});
+
+test('fills custom units from metric and names matching mixes', () => {
+  const custom = resolveUnits({ wind: 'kn' });
+  assert.strictEqual(custom.system, 'custom');
+  assert.strictEqual(custom.temperature, 'celsius');
+  assert.strictEqual(custom.labels.wind, 'kn');
+
+  assert.strictEqual(resolveUnits({ temperature: 'fahrenheit', wind: 'mph', precipitation: 'inch' }).system, 'imperial');
+});
+
+test('returns already resolved units unchanged', () => {
+  const units = resolveUnits('imperial');
+  assert.strictEqual(resolveUnits(units), units);
+});
+
+test('rejects unknown systems and units', () => {
+  assert.throws(() => resolveUnits('nautical'), /Unknown unit system "nautical"/);
+  assert.throws(() => resolveUnits({ temperature: 'kelvin' }), /Unknown temperature unit "kelvin"/);
+  assert.throws(() => resolveUnits({ wind: 'knots' }), /Unknown wind speed unit "knots"/);
+  assert.throws(() => resolveUnits({ precipitation: 'cm' }), /Unknown precipitation unit "cm"/);
+});
+
+test('builds Open-Meteo parameters and cache keys', () => {
+  const units = resolveUnits({ temperature: 'fahrenheit', wind: 'ms' });
+  assert.deepStrictEqual(toOpenMeteoParams(units), {
+    temperature_unit: 'fahrenheit',
+    wind_speed_unit: 'ms',
+    precipitation_unit: 'mm'
+  });
+  assert.strictEqual(unitsCacheKey(units), 'fahrenheit_ms_mm');
+});
+
+test('converts values back to metric for thresholds', () => {
+  const imperial = resolveUnits('imperial');
+  assert.strictEqual(toCelsius(212, imperial), 100);
+  assert.strictEqual(toCelsius(-40, imperial), -40);
+  assert.strictEqual(toCelsius(21, resolveUnits('metric')), 21);
+
+  assert.ok(Math.abs(toKmh(10, imperial) - 16.09344) < 1e-9);
+  assert.strictEqual(toKmh(10, resolveUnits({ wind: 'ms' })), 36);
+  assert.strictEqual(toKmh(10, resolveUnits({ wind: 'kn' })), 18.52);
+
+  assert.strictEqual(toMillimetres(2, imperial), 50.8);
+  assert.strictEqual(toMillimetres(2, resolveUnits('metric')), 2);
+});
+
+test('converts metric-only values into the caller\'s units', () => {
+  const imperial = resolveUnits('imperial');
+  assert.strictEqual(fromCelsius(20, imperial), 68);
+  assert.strictEqual(fromCelsius(-3.3, imperial), 26.1);
+  assert.strictEqual(fromCelsius(20, resolveUnits('metric')), 20);
+
+  assert.strictEqual(fromMetres(2, imperial), 6.6);
+  assert.strictEqual(heightLabel(imperial), 'ft');
+  assert.strictEqual(fromMetres(2, resolveUnits('metric')), 2);
+  assert.strictEqual(heightLabel(resolveUnits('metric')), 'm');
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WeatherAlertEngine = require('../weather-alert-engine');
+
+// A forecast day with nothing alert-worthy, to override per test
+function day(date, overrides = {}) {
+  return {
+    date,
+    temperatureMax: 20,
+    temperatureMin: 10,
+    windGustsMax: 20,
+    precipitationSum: 0,
+    uvIndexMax: 3,
+    weatherCode: 1,
+    ...overrides
+  };
+}
+
+function forecast(days, { unitSystem = 'metric', current } = {}) {
+  return {
+    unitSystem,
+    current: current || { time: '2025-06-02T10:00', weatherCode: 1, windGusts: 10 },
+    daily: days
+  };
+}
+
+test('raises nothing for mild weather', () => {
+  const engine = new WeatherAlertEngine({ thresholds: {} });
+  assert.deepStrictEqual(engine.evaluate(forecast([day('2025-06-02'), day('2025-06-03')])), []);
+});
+
+test('applies advisory and warning thresholds inclusively', () => {
+  const engine = new WeatherAlertEngine({ thresholds: {} });
+
+  const [advisory] = engine.evaluate(forecast([day('2025-06-02', { temperatureMax: 32 })]));
+  assert.strictEqual(advisory.type, 'heat');
+  assert.strictEqual(advisory.severity, 'advisory');
+
+  const [warning] = engine.evaluate(forecast([day('2025-06-02', { temperatureMax: 38 })]));
+  assert.strictEqual(warning.severity, 'warning');
+
+  assert.deepStrictEqual(engine.evaluate(forecast([day('2025-06-02', { temperatureMax: 31.9 })])), []);
+});
+
+test('treats frost as a lower bound', () => {
+  const engine = new WeatherAlertEngine({ thresholds: {} });
+  const [frost] = engine.evaluate(forecast([day('2025-06-02', { temperatureMin: -10 })]));
+
+  assert.strictEqual(frost.type, 'frost');
+  assert.strictEqual(frost.severity, 'warning');
+  assert.strictEqual(frost.message, 'Lows of -10°C (today)');
+});
+
+test('describes the worst day and lists every triggered day', () => {
+  const engine = new WeatherAlertEngine({ thresholds: {} });
+  const [wind] = engine.evaluate(forecast([
+    day('2025-06-02', { windGustsMax: 65 }),
+    day('2025-06-03', { windGustsMax: 80 }),
+    day('2025-06-04')
+  ]));
+
+  assert.strictEqual(wind.title, 'Wind advisory');
+  assert.strictEqual(wind.message, 'Gusts up to 80 km/h (today, Tue, Jun 3)');
+  assert.deepStrictEqual(wind.dates, ['2025-06-02', '2025-06-03']);
+});
+
+test('compares imperial values against the metric thresholds', () => {
+  const engine = new WeatherAlertEngine({ thresholds: {} });
+  const alerts = engine.evaluate(forecast([
+    day('2025-06-02', { temperatureMax: 90, temperatureMin: 50, windGustsMax: 38, precipitationSum: 1.2 })
+  ], { unitSystem: 'imperial' }));
+
+  // 90°F is 32.2°C, 38 mph is 61 km/h and 1.2 in is 30.5 mm
+  assert.deepStrictEqual(alerts.map(alert => alert.type), ['heat', 'wind', 'precipitation']);
+  assert.strictEqual(alerts[0].message, 'Highs of 90°F (today)');
+});
+
+test('matches thunderstorm and freezing rain codes by severity', () => {
+  const engine = new WeatherAlertEngine({ thresholds: {} });
+  const alerts = engine.evaluate(forecast([
+    day('2025-06-02', { weatherCode: 95 }),
+    day('2025-06-03', { weatherCode: 99 }),
+    day('2025-06-04', { weatherCode: 66 })
+  ]));
+
+  const thunderstorm = alerts.find(alert => alert.type === 'thunderstorm');
+  assert.strictEqual(thunderstorm.severity, 'warning');
+  assert.strictEqual(thunderstorm.title, 'Thunderstorm with hail warning');
+
+  const ice = alerts.find(alert => alert.type === 'ice');
+  assert.strictEqual(ice.severity, 'advisory');
+});
+
+test('counts current conditions as "now"', () => {
+  const engine = new WeatherAlertEngine({ thresholds: {} });
+  const [storm] = engine.evaluate(forecast([day('2025-06-02')], {
+    current: { time: '2025-06-02T10:00', weatherCode: 95, windGusts: 10 }
+  }));
+
+  assert.strictEqual(storm.type, 'thunderstorm');
+  assert.deepStrictEqual(storm.dates, ['now']);
+});
+
+test('sorts warnings before advisories', () => {
+  const engine = new WeatherAlertEngine({ thresholds: {} });
+  const alerts = engine.evaluate(forecast([day('2025-06-02', { uvIndexMax: 8, precipitationSum: 60 })]));
+
+  assert.deepStrictEqual(alerts.map(alert => `${alert.type}:${alert.severity}`), ['precipitation:warning', 'uv:advisory']);
+});
+
+test('merges threshold overrides with the defaults', () => {
+  const engine = new WeatherAlertEngine({ thresholds: { heat: { advisory: 25 } } });
+
+  assert.deepStrictEqual(engine.thresholds.heat, { advisory: 25, warning: 38 });
+  assert.strictEqual(engine.evaluate(forecast([day('2025-06-02', { temperatureMax: 26 })]))[0].severity, 'advisory');
+});
+
+test('reads threshold overrides from WEATHER_ALERT_THRESHOLDS', (t) => {
+  const original = process.env.WEATHER_ALERT_THRESHOLDS;
+  t.after(() => {
+    if (original === undefined) delete process.env.WEATHER_ALERT_THRESHOLDS;
+    else process.env.WEATHER_ALERT_THRESHOLDS = original;
+  });
+
+  process.env.WEATHER_ALERT_THRESHOLDS = JSON.stringify({ wind: { warning: 70 } });
+  assert.deepStrictEqual(new WeatherAlertEngine().thresholds.wind, { advisory: 60, warning: 70 });
+});
+
+test('localizes titles, messages and dates', () => {
+  const engine = new WeatherAlertEngine({ thresholds: {} });
+  const [heat] = engine.evaluate(forecast([
+    day('2025-06-02'),
+    day('2025-06-03', { temperatureMax: 33 })
+  ]), { locale: 'fr' });
+
+  assert.strictEqual(heat.title, 'Vigilance chaleur');
+  assert.strictEqual(heat.message, 'Maximales de 33°C (mar. 3 juin)');
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WeatherCache = require('../weather-cache');
+
+const MINUTE = 60 * 1000;
+
+// A cache on a clock the test moves by hand
+function createCache(options = {}) {
+  const clock = { now: 0 };
+  const cache = new WeatherCache({
+    now: () => clock.now,
+    policies: { test: { ttl: 10 * MINUTE, stale: 5 * MINUTE, errorTtl: 2 * MINUTE } },
+    ...options
+  });
+  return { cache, clock };
+}
+
+function counter(...results) {
+  const fetcher = async () => {
+    const result = results[Math.min(fetcher.calls, results.length - 1)];
+    fetcher.calls++;
+    if (result instanceof Error) throw result;
+    return result;
+  };
+  fetcher.calls = 0;
+  return fetcher;
+}
+
+// Let background refreshes settle
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+test('serves fresh entries without calling upstream again', async () => {
+  const { cache, clock } = createCache();
+  const fetcher = counter('first', 'second');
+
+  assert.strictEqual(await cache.getOrFetch('key', 'test', fetcher), 'first');
+  clock.now = 10 * MINUTE - 1;
+  assert.strictEqual(await cache.getOrFetch('key', 'test', fetcher), 'first');
+
+  assert.strictEqual(fetcher.calls, 1);
+  assert.strictEqual(cache.getStats().hits, 1);
+});
+
+test('serves stale entries while refreshing them in the background', async () => {
+  const { cache, clock } = createCache();
+  const fetcher = counter('first', 'second');
+
+  await cache.getOrFetch('key', 'test', fetcher);
+  clock.now = 12 * MINUTE;
+
+  assert.strictEqual(await cache.getOrFetch('key', 'test', fetcher), 'first');
+  await flush();
+  assert.strictEqual(fetcher.calls, 2);
+  assert.strictEqual(await cache.getOrFetch('key', 'test', fetcher), 'second');
+  assert.strictEqual(cache.getStats().staleHits, 1);
+  assert.strictEqual(cache.getStats().backgroundRefreshes, 1);
+});
+
+test('fetches again once an entry is past its stale window', async () => {
+  const { cache, clock } = createCache();
+  const fetcher = counter('first', 'second');
+
+  await cache.getOrFetch('key', 'test', fetcher);
+  clock.now = 15 * MINUTE;
+
+  assert.strictEqual(await cache.getOrFetch('key', 'test', fetcher), 'second');
+  assert.strictEqual(cache.getStats().misses, 2);
+});
+
+test('coalesces concurrent misses into one upstream call', async () => {
+  const { cache } = createCache();
+  const fetcher = counter('value');
+
+  const results = await Promise.all([1, 2, 3].map(() => cache.getOrFetch('key', 'test', fetcher)));
+
+  assert.deepStrictEqual(results, ['value', 'value', 'value']);
+  assert.strictEqual(fetcher.calls, 1);
+  assert.strictEqual(cache.getStats().coalesced, 2);
+});
+
+test('remembers failures for errorTtl, then tries again', async () => {
+  const { cache, clock } = createCache();
+  const fetcher = counter(new Error('upstream down'), 'recovered');
+
+  await assert.rejects(cache.getOrFetch('key', 'test', fetcher), /upstream down/);
+  clock.now = 2 * MINUTE - 1;
+  await assert.rejects(cache.getOrFetch('key', 'test', fetcher), /upstream down/);
+  assert.strictEqual(fetcher.calls, 1);
+  assert.strictEqual(cache.getStats().failureHits, 1);
+
+  clock.now = 2 * MINUTE;
+  assert.strictEqual(await cache.getOrFetch('key', 'test', fetcher), 'recovered');
+  assert.strictEqual(fetcher.calls, 2);
+});
+
+test('drops expired failures while the cache is under its limit', async () => {
+  const { cache, clock } = createCache();
+  const failing = counter(new Error('upstream down'));
+
+  await assert.rejects(cache.getOrFetch('a', 'test', failing));
+  await assert.rejects(cache.getOrFetch('b', 'test', failing));
+  assert.strictEqual(cache.getStats().failures, 2);
+
+  clock.now = 2 * MINUTE;
+  await cache.getOrFetch('c', 'test', counter('c'));
+  assert.strictEqual(cache.getStats().failures, 0);
+});
+
+test('keeps at most maxEntries failures', async () => {
+  const { cache } = createCache({ maxEntries: 2 });
+  const failing = counter(new Error('upstream down'));
+
+  for (const key of ['a', 'b', 'c']) {
+    await assert.rejects(cache.getOrFetch(key, 'test', failing));
+  }
+
+  assert.deepStrictEqual([...cache.failures.keys()], ['b', 'c']);
+});
+
+test('does not remember failures for types without an errorTtl', async () => {
+  const { cache } = createCache({ policies: { test: { ttl: MINUTE, stale: MINUTE } } });
+  const fetcher = counter(new Error('upstream down'), 'recovered');
+
+  await assert.rejects(cache.getOrFetch('key', 'test', fetcher));
+  assert.strictEqual(await cache.getOrFetch('key', 'test', fetcher), 'recovered');
+});
+
+test('evicts the least recently used entry when full', async () => {
+  const { cache } = createCache({ maxEntries: 2 });
+
+  await cache.getOrFetch('a', 'test', counter('a'));
+  await cache.getOrFetch('b', 'test', counter('b'));
+  await cache.getOrFetch('a', 'test', counter('unused')); // a is now the most recent
+  await cache.getOrFetch('c', 'test', counter('c'));
+
+  assert.deepStrictEqual([...cache.entries.keys()], ['a', 'c']);
+  assert.strictEqual(cache.getStats().evictions, 1);
+});
+
+test('rejects unknown entry types', async () => {
+  const { cache } = createCache();
+  await assert.rejects(cache.getOrFetch('key', 'nope', counter('value')), /Unknown cache entry type "nope"/);
+});
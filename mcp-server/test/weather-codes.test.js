@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  SEVERITY_LEVELS,
+  ICON_EMOJI,
+  WEATHER_CODES,
+  getWeatherCode,
+  describeWeatherCode,
+  getWeatherEmoji,
+  isSeverityAtLeast,
+  findWeatherCodes,
+  getWeatherCodeTable
+} = require('../weather-codes');
+
+test('describes a code with its icon, severity and precipitation', () => {
+  assert.deepStrictEqual(getWeatherCode(65), {
+    code: 65,
+    description: 'Heavy rain',
+    icon: 'rain',
+    emoji: '🌧️',
+    severity: 'high',
+    group: 'rain',
+    precipitation: 'rain'
+  });
+  assert.strictEqual(getWeatherCode(96).precipitation, 'hail');
+  assert.strictEqual(getWeatherCode(56).precipitation, 'freezing-rain');
+});
+
+test('switches to night icons after dark', () => {
+  assert.strictEqual(getWeatherCode(0, { isDay: false }).icon, 'clear-night');
+  assert.strictEqual(getWeatherEmoji(0), '☀️');
+  assert.strictEqual(getWeatherEmoji(0, false), '🌙');
+  assert.strictEqual(getWeatherEmoji(80, false), '🌧️');
+  // Overcast looks the same day and night
+  assert.strictEqual(getWeatherEmoji(3, false), getWeatherEmoji(3));
+});
+
+test('translates descriptions, falling back to English', () => {
+  assert.strictEqual(describeWeatherCode(2, 'es'), 'Parcialmente nublado');
+  assert.strictEqual(describeWeatherCode(95, 'fr-CA'), 'Orage');
+  assert.strictEqual(describeWeatherCode(71, 'de'), 'Leichter Schneefall');
+  assert.strictEqual(describeWeatherCode(71, 'it'), 'Slight snow fall');
+  assert.strictEqual(getWeatherCode(45, { locale: 'de' }).description, 'Nebel');
+});
+
+test('gives unknown codes a generic entry', () => {
+  const unknown = getWeatherCode(42, { locale: 'es' });
+
+  assert.strictEqual(unknown.description, 'Weather code 42');
+  assert.strictEqual(unknown.emoji, ICON_EMOJI.unknown);
+  assert.strictEqual(unknown.severity, 'none');
+});
+
+test('every code has a known severity, icons and translations', () => {
+  for (const [code, entry] of Object.entries(WEATHER_CODES)) {
+    assert.ok(SEVERITY_LEVELS.includes(entry.severity), `severity of ${code}`);
+    assert.ok(ICON_EMOJI[entry.icon.day] && ICON_EMOJI[entry.icon.night], `icons of ${code}`);
+    for (const locale of ['es', 'fr', 'de']) {
+      assert.notStrictEqual(describeWeatherCode(Number(code), locale), entry.description, `${locale} description of ${code}`);
+    }
+  }
+});
+
+test('ranks severities and finds codes by their entries', () => {
+  assert.strictEqual(isSeverityAtLeast('high', 'moderate'), true);
+  assert.strictEqual(isSeverityAtLeast('minor', 'moderate'), false);
+  assert.deepStrictEqual(findWeatherCodes(entry => entry.group === 'thunderstorm'), [95, 96, 99]);
+  assert.deepStrictEqual(findWeatherCodes(entry => entry.severity === 'severe'), [67, 96, 99]);
+});
+
+test('serves the whole table in one language for the client', () => {
+  const table = getWeatherCodeTable('de');
+
+  assert.deepStrictEqual(table.severityLevels, SEVERITY_LEVELS);
+  assert.strictEqual(table.codes[61].description, 'Leichter Regen');
+  assert.deepStrictEqual(table.codes[61].icon, WEATHER_CODES[61].icon);
+  assert.strictEqual(Object.keys(table.codes).length, Object.keys(WEATHER_CODES).length);
+});
@@ -0,0 +1,354 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WeatherService = require('../weather-service');
+const { FixtureProvider } = require('../providers');
+const { forecastPrompt } = require('../weather-prompts');
+
+// Recorded responses from mcp-server/fixtures, so no test touches the network
+const service = () => new WeatherService({ provider: new FixtureProvider() });
+
+test('builds climate normals once, in metric, for every unit system', async t => {
+  const weather = service();
+  const archive = t.mock.method(weather.provider, 'archive');
+
+  const metric = await weather.getClimateContextForChat('London', { days: 3 });
+  const imperial = await weather.getClimateContextForChat('London', { days: 3, units: 'imperial' });
+
+  assert.strictEqual(archive.mock.callCount(), 1);
+  assert.strictEqual(archive.mock.calls[0].arguments[0].temperature_unit, 'celsius');
+  assert.strictEqual(imperial.weatherData.climate.anomaly.precipitationPercent, metric.weatherData.climate.anomaly.precipitationPercent);
+  assert.match(imperial.response, /°F warmer than usual/);
+});
+
+test('leaves climate normals out of weather lookups unless asked', async t => {
+  const weather = service();
+  const archive = t.mock.method(weather.provider, 'archive');
+
+  const plain = await weather.getWeatherForChat('London', true, 'metric', { days: 3 });
+  assert.strictEqual(archive.mock.callCount(), 0);
+  assert.strictEqual(plain.weatherData.climate, undefined);
+  assert.doesNotMatch(plain.response, /Climate/);
+
+  const withClimate = await weather.getWeatherForChat('London', true, 'metric', { days: 3, climate: true });
+  assert.strictEqual(archive.mock.callCount(), 1);
+  assert.ok(withClimate.weatherData.climate);
+  assert.match(withClimate.response, /📈 \*\*Climate:\*\*/);
+});
+
+test('puts climate comparisons into words in each language', () => {
+  const weather = service();
+  const climate = {
+    period: { start: { part: 'late', month: 5 }, end: { part: 'early', month: 6 } },
+    anomaly: { temperature: -2.5, precipitationPercent: 40 },
+    assessment: { temperature: 'colder', precipitation: 'drier' }
+  };
+
+  assert.strictEqual(weather.formatClimateSummary(climate, 'metric'),
+    '2.5°C colder than usual for late May to early June, drier than usual (40% of normal precipitation)');
+  assert.strictEqual(weather.formatClimateSummary(climate, 'imperial', 'es'),
+    '2.5°F más frío de lo habitual para finales de mayo a principios de junio, más seco de lo habitual (40% de la precipitación normal)');
+  assert.strictEqual(weather.formatClimateSummary(climate, 'metric', 'fr'),
+    "2.5°C de moins que la normale pour fin mai à début juin, plus sec que d'habitude (40 % des précipitations normales)");
+  assert.strictEqual(weather.formatClimateSummary({ ...climate, assessment: { temperature: 'normal', precipitation: null } }, 'metric', 'de'),
+    'Temperaturen nahe am Normalwert für Ende Mai bis Anfang Juni');
+});
+
+test('localizes the climate line of weather responses', async () => {
+  const result = await service().getWeatherForChat('London', true, 'imperial', { days: 3, climate: true, locale: 'de' });
+
+  assert.match(result.response, /📈 \*\*Klima:\*\* [\d.]+°F wärmer als üblich für Anfang Juni/);
+  assert.doesNotMatch(result.response, /than usual|June/);
+});
+
+test('validates historical date ranges before asking the archive', async t => {
+  const weather = service();
+  const archive = t.mock.method(weather.provider, 'archive');
+  const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const historical = (startDate, endDate) => weather.getHistoricalWeather(51.51, -0.13, startDate, endDate);
+
+  await assert.rejects(historical('2024/01/01', '2024-01-02'), /YYYY-MM-DD/);
+  await assert.rejects(historical('2024-01-05', '2024-01-02'), /is after end date/);
+  await assert.rejects(historical(daysAgo(3), daysAgo(-1)), /is in the future/);
+  await assert.rejects(historical(daysAgo(10), daysAgo(2)), /only available up to .*Use get_forecast/);
+  await assert.rejects(historical('2024-01-01', '2024-02-01'), /at most 31 days/);
+  assert.strictEqual(archive.mock.callCount(), 0);
+
+  const observed = await historical(daysAgo(12), daysAgo(5));
+  assert.strictEqual(observed.daily.length, 8);
+  assert.strictEqual(observed.daily[7].date, daysAgo(5));
+});
+
+test('leaves gaps in marine readings out of the response', async () => {
+  const weather = service();
+  const { marineData } = await weather.getMarineForChat('New York');
+  const [first, second, ...rest] = marineData.daily;
+  const patchy = {
+    ...marineData,
+    current: { ...marineData.current, wavePeriod: null, swellWaveHeight: null, seaSurfaceTemperature: undefined },
+    daily: [
+      { ...first, wavePeriodMax: null },
+      { ...second, waveHeightMax: null, wavePeriodMax: null, waveDirection: null },
+      ...rest
+    ]
+  };
+
+  const { response } = weather.formatMarineForChat(patchy);
+
+  assert.doesNotMatch(response, /null|undefined|Swell|Sea Temperature/);
+  assert.match(response, /🌊 \*\*Waves:\*\* 1\.12 m from the SE\n/);
+  assert.match(response, /📅 Mon, Jun 2: waves up to 1\.34 m, from the WSW\n/);
+  assert.match(response, /📅 Tue, Jun 3: no wave data\n/);
+});
+
+test('says when a place is inland instead of listing empty marine readings', async () => {
+  const result = await service().getMarineForChat('London');
+
+  assert.strictEqual(result.marineData.inland, true);
+  assert.match(result.response, /London is inland/);
+  assert.doesNotMatch(result.response, /null/);
+});
+
+test('checks forecast lengths and date windows against the 16-day horizon', () => {
+  const weather = service();
+  const inDays = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  assert.strictEqual(weather.validateForecastWindow(16), null);
+  for (const days of [0, 17, 2.5]) {
+    assert.throws(() => weather.validateForecastWindow(days), /between 1 and 16 days/);
+  }
+  assert.throws(() => weather.validateForecastWindow(7, inDays(2)), /both a start date and an end date/);
+  assert.throws(() => weather.validateForecastWindow(7, inDays(4), inDays(2)), /is after end date/);
+  assert.throws(() => weather.validateForecastWindow(7, inDays(-3), inDays(2)), /in the past. Use get_historical_weather/);
+  assert.throws(() => weather.validateForecastWindow(7, inDays(10), inDays(16)), /beyond the 16-day forecast horizon/);
+  assert.deepStrictEqual(weather.validateForecastWindow(7, inDays(-1), inDays(15)), { startDate: inDays(-1), endDate: inDays(15) });
+});
+
+test('asks for the requested number of forecast days and titles them', async t => {
+  const weather = service();
+  const forecast = t.mock.method(weather.provider, 'forecast');
+
+  const { response, weatherData } = await weather.getWeatherForChat('London', true, 'metric', { days: 3 });
+
+  assert.strictEqual(forecast.mock.calls[0].arguments[0].forecast_days, 3);
+  assert.strictEqual(weatherData.daily.length, 3);
+  assert.match(response, /^\*\*3-Day Weather Forecast for London/);
+  assert.match(forecastPrompt(weatherData, 'London'), /Analyze this 3-day forecast for London/);
+});
+
+test('asks for a date window instead of a day count', async t => {
+  const weather = service();
+  const forecast = t.mock.method(weather.provider, 'forecast');
+  const today = new Date().toISOString().slice(0, 10);
+  const startDate = today;
+  const endDate = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+  const { response, weatherData } = await weather.getWeatherForChat('London', true, 'metric', { startDate, endDate });
+
+  const params = forecast.mock.calls[0].arguments[0];
+  assert.strictEqual(params.start_date, startDate);
+  assert.strictEqual(params.end_date, endDate);
+  assert.strictEqual(params.forecast_days, undefined);
+  assert.deepStrictEqual(weatherData.window, { startDate, endDate });
+  assert.match(response, new RegExp(`^\\*\\*Weather Forecast ${startDate} to ${endDate} for London`));
+  assert.match(forecastPrompt(weatherData, 'London'), new RegExp(`Analyze this forecast for ${startDate} to ${endDate}`));
+});
+
+test('returns candidates for ambiguous city names instead of guessing', async () => {
+  const weather = service();
+  const regions = result => result.candidates.map(location => location.admin1);
+
+  assert.deepStrictEqual(regions(await weather.resolveLocation('Portland')), ['Oregon', 'Maine']);
+  assert.deepStrictEqual(regions(await weather.resolveLocation('Springfield', { country: 'US' })),
+    ['Missouri', 'Massachusetts', 'Illinois', 'Ohio', 'Oregon']);
+  assert.strictEqual((await weather.resolveLocation('Paris')).location.countryCode, 'FR');
+});
+
+test('narrows ambiguous names by region, country or a qualified name', async () => {
+  const weather = service();
+
+  assert.strictEqual((await weather.resolveLocation('Portland', { admin1: 'maine' })).location.admin1, 'Maine');
+  assert.strictEqual((await weather.resolveLocation('Portland', { country: 'Australia' })).location.admin1, 'Victoria');
+  assert.strictEqual((await weather.resolveLocation('Portland, Texas')).location.admin1, 'Texas');
+  assert.deepStrictEqual(await weather.resolveLocation('Portland', { admin1: 'Alaska' }), { location: null });
+});
+
+test('asks which place was meant from every city tool', async () => {
+  const weather = service();
+
+  const results = await Promise.all([
+    weather.getWeatherForChat('Portland'),
+    weather.getHourlyWeatherForChat('Portland', 6),
+    weather.getAirQualityForChat('Portland'),
+    weather.getHistoricalWeatherForChat({ city: 'Portland', startDate: '2024-01-01', endDate: '2024-01-02' })
+  ]);
+
+  for (const result of results) {
+    assert.strictEqual(result.ambiguous, true);
+    assert.match(result.response, /Portland, Oregon, United States/);
+    assert.match(result.response, /Portland, Maine, United States/);
+  }
+  const resolved = await weather.getAirQualityForChat('Portland', { admin1: 'Oregon' });
+  assert.strictEqual(resolved.airQualityData.location.admin1, 'Oregon');
+});
+
+test('fetches the requested hours once per hour count and unit system', async t => {
+  const weather = service();
+  const forecast = t.mock.method(weather.provider, 'forecast');
+
+  const sixHours = await weather.getHourlyWeatherForChat('London', 6);
+  await weather.getHourlyWeatherForChat('London', 6);
+  await weather.getHourlyWeatherForChat('London', 12);
+  await weather.getHourlyWeatherForChat('London', 6, 'imperial');
+
+  assert.strictEqual(forecast.mock.callCount(), 3);
+  assert.strictEqual(forecast.mock.calls[0].arguments[0].forecast_hours, 6);
+  assert.strictEqual(sixHours.type, 'hourly');
+  assert.strictEqual(sixHours.weatherData.hourly.length, 6);
+  assert.match(sixHours.response, /^\*\*6-Hour Forecast for London, England, United Kingdom\*\*/);
+});
+
+test('lists each hour with rain and gusts only when they add something', () => {
+  const hour = (time, fields) => ({
+    time, temperature: 17, weatherCode: 61, isDay: true,
+    precipitationProbability: 0, precipitation: 0, windSpeed: 12, windGusts: 12, ...fields
+  });
+  const { response } = service().formatHourlyForecastForChat({
+    unitSystem: 'metric',
+    location: { name: 'Paris', country: 'France' },
+    hourly: [
+      hour('2025-06-02T16:00', {}),
+      hour('2025-06-02T17:00', { precipitationProbability: 40 }),
+      hour('2025-06-02T18:00', { precipitationProbability: 80, precipitation: 1.6, windGusts: 30 })
+    ]
+  });
+
+  assert.deepStrictEqual(response.trim().split('\n').slice(2), [
+    '🌧️ **06-02 16:00** - 17°C, Slight rain, 🌬️ 12 km/h',
+    '🌧️ **06-02 17:00** - 17°C, Slight rain, 🌧️ 40%, 🌬️ 12 km/h',
+    '🌧️ **06-02 18:00** - 17°C, Slight rain, 🌧️ 80% (1.6 mm), 🌬️ 12 km/h (gusts 30 km/h)'
+  ]);
+});
+
+test('reports AQI, particulates and pollen for a city', async () => {
+  const { response, type } = await service().getAirQualityForChat('Tokyo');
+
+  assert.strictEqual(type, 'air_quality');
+  assert.ok(response.startsWith('**Air Quality in Tokyo, Tokyo, Japan**'));
+  for (const line of ['🫁 **US AQI:** 42 (Good)', '🇪🇺 **European AQI:** 31 (Fair)', '🌫️ **PM2.5:** 8.6 µg/m³', '   Grass: 38.5 (Moderate)']) {
+    assert.ok(response.includes(line), line);
+  }
+});
+
+test('says when a region has no pollen readings', () => {
+  const { response } = service().formatAirQualityForChat({
+    location: { name: 'Tokyo', country: 'Japan' },
+    current: { usAqi: null, europeanAqi: 12, pm25: 3, pm10: 5, ozone: 60, pollen: { alder: null, birch: null } }
+  });
+
+  assert.match(response, /US AQI:\*\* null \(Unknown\)/);
+  assert.match(response, /🌼 \*\*Pollen:\*\* Not available for this region/);
+});
+
+test('puts AQI and pollen readings into the right band', () => {
+  const weather = service();
+  const bands = [
+    ['getUsAqiCategory', [[50, 'Good'], [51, 'Moderate'], [150, 'Unhealthy for Sensitive Groups'], [200, 'Unhealthy'], [300, 'Very Unhealthy'], [301, 'Hazardous']]],
+    ['getEuropeanAqiCategory', [[20, 'Good'], [40, 'Fair'], [60, 'Moderate'], [80, 'Poor'], [100, 'Very Poor'], [101, 'Extremely Poor']]],
+    ['getPollenLevel', [[0, 'None'], [9.9, 'Low'], [10, 'Moderate'], [50, 'High'], [200, 'Very High']]]
+  ];
+
+  for (const [method, cases] of bands) {
+    for (const [value, expected] of cases) {
+      assert.strictEqual(weather[method](value), expected, `${method}(${value})`);
+    }
+  }
+});
+
+test('compares places side by side and skips the ones it cannot pin down', async t => {
+  const weather = service();
+  const forecast = t.mock.method(weather.provider, 'forecast');
+
+  const comparison = await weather.compareWeather(['London', 'Paris', 'Springfield', 'Atlantis'], { days: 3 });
+  const { response } = weather.formatComparisonForChat(comparison);
+
+  assert.strictEqual(forecast.mock.callCount(), 2);
+  assert.deepStrictEqual(comparison.entries.map(entry => entry.city), ['London', 'Paris']);
+  assert.deepStrictEqual(comparison.entries[0].highlights, {
+    averageHigh: 23, averageLow: 15, warmest: 24, coldest: 14,
+    totalPrecipitation: 4.2, rainyDays: 1, maxWindGust: 38.7, maxUvIndex: 6.8
+  });
+  assert.ok(response.includes('| London, England | 20°C | Partly cloudy | 23° / 15°C | 1/3 | 4.2 mm | 38.7 km/h | - |'));
+  assert.match(response, /⚠️ Skipped Springfield: "Springfield" matches several places \(Springfield, Missouri; .*\)\. Add a state or country\./);
+  assert.match(response, /⚠️ Skipped Atlantis: Failed to geocode Atlantis/);
+});
+
+// YYYY-MM-DD a number of days from today (UTC), since trip dates are checked against the real clock
+const fromToday = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+test('forecasts each trip stop for just its own dates', async () => {
+  const trip = await service().planTrip([
+    { city: 'London', arrival: fromToday(0), departure: fromToday(2) },
+    { city: 'Paris', arrival: fromToday(3), departure: fromToday(3) }
+  ]);
+
+  assert.deepStrictEqual(trip.stops.map(plan => plan.weatherData.daily.length), [3, 1]);
+  assert.deepStrictEqual(trip.stops.map(plan => plan.warnings), [[], []]);
+  assert.deepStrictEqual(trip.stops.map(plan => plan.location.name), ['London', 'Paris']);
+});
+
+test('warns about trip dates the forecast cannot cover', async () => {
+  const trip = await service().planTrip([
+    { city: 'London', arrival: fromToday(-3), departure: fromToday(1) },
+    { city: 'London', arrival: fromToday(12), departure: fromToday(20) },
+    { city: 'London', arrival: fromToday(30), departure: fromToday(32) },
+    { city: 'London', arrival: fromToday(-9), departure: fromToday(-7) }
+  ]);
+  const [started, overrunning, tooFar, past] = trip.stops;
+
+  assert.deepStrictEqual(started.warnings, [`Days before today (${fromToday(0)}) are not included.`]);
+  assert.strictEqual(started.weatherData.daily.length, 2);
+
+  assert.deepStrictEqual(overrunning.warnings, [
+    `Only ${fromToday(12)} to ${fromToday(15)} can be forecast so far; the rest is beyond the 16-day forecast horizon.`
+  ]);
+  assert.strictEqual(overrunning.weatherData.daily.length, 4);
+
+  assert.deepStrictEqual(tooFar.warnings, [`These dates are beyond the 16-day forecast horizon. A forecast will be available from ${fromToday(15)}.`]);
+  assert.deepStrictEqual(past.warnings, ['These dates are in the past.']);
+  assert.strictEqual(tooFar.weatherData, null);
+  assert.strictEqual(past.weatherData, null);
+});
+
+test('reports broken trip stops without dropping the rest', async () => {
+  const weather = service();
+  const trip = await weather.planTrip([
+    { city: 'London', arrival: fromToday(4), departure: fromToday(2) },
+    { city: 'Portland', arrival: fromToday(1), departure: fromToday(2) },
+    { city: 'Portland', admin1: 'Maine', arrival: fromToday(1), departure: fromToday(2) }
+  ]);
+  const { response } = weather.formatTripForChat(trip);
+
+  assert.strictEqual(trip.stops[0].error, `Departure ${fromToday(2)} is before arrival ${fromToday(4)}`);
+  assert.match(trip.stops[1].error, /"Portland" matches several places \(Portland, Oregon; Portland, Maine\)/);
+  assert.ok(response.includes(`**3. Portland, Maine, United States** (${fromToday(1)} to ${fromToday(2)})\n   📅 `));
+  assert.ok(response.includes(`**1. London** (${fromToday(4)} to ${fromToday(2)})\n   ❌ Departure`));
+});
+
+test('suggests qualified city names, recent ones first', async t => {
+  const weather = service();
+  const geocode = t.mock.method(weather.provider, 'geocode');
+
+  // Too short to geocode: only the bundled gazetteer answers
+  assert.deepStrictEqual((await weather.suggestCities('Pa', 3)), ['Paris, Île-de-France, France', 'Palermo, Sicily, Italy', 'Panama City, Panamá, Panama']);
+  assert.strictEqual(geocode.mock.callCount(), 0);
+
+  // Long enough to geocode, merged with the gazetteer's Portland without duplicates
+  assert.deepStrictEqual(await weather.suggestCities('portland', 3), [
+    'Portland, Oregon, United States', 'Portland, Maine, United States', 'Portland, Texas, United States'
+  ]);
+  assert.deepStrictEqual(await weather.suggestCities('Portland, ma'), ['Portland, Maine, United States']);
+  assert.deepStrictEqual(await weather.suggestCities('sao p'), ['São Paulo, São Paulo, Brazil']);
+
+  await weather.getWeatherForChat('Tokyo');
+  assert.deepStrictEqual(await weather.suggestCities('', 2), ['Tokyo, Tokyo, Japan', 'Shanghai, Shanghai, China']);
+});
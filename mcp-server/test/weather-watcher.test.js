@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const WeatherWatcher = require('../weather-watcher');
+
+// A resource whose next load returns whatever the test set last
+function resource(temperature, { weatherCode = 1, alerts = [] } = {}) {
+  const state = { temperature, weatherCode, alerts, error: null };
+  state.load = async () => {
+    if (state.error) throw state.error;
+    return {
+      weatherData: { current: { temperature: state.temperature, weatherCode: state.weatherCode } },
+      alerts: state.alerts
+    };
+  };
+  return state;
+}
+
+// Let the baseline load from watch() finish
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+async function watchResource(state, options = {}) {
+  const watcher = new WeatherWatcher({ intervalMs: 60 * 60 * 1000, ...options });
+  const notified = [];
+  const unwatch = watcher.watch('weather://current/London', state.load, key => notified.push(key));
+  await flush();
+  return { watcher, notified, unwatch };
+}
+
+test('notifies when the temperature moves by the threshold', async () => {
+  const state = resource(15);
+  const { watcher, notified, unwatch } = await watchResource(state);
+
+  state.temperature = 16.5;
+  await watcher.poll();
+  assert.deepStrictEqual(notified, []);
+
+  state.temperature = 17;
+  await watcher.poll();
+  assert.deepStrictEqual(notified, ['weather://current/London']);
+  unwatch();
+});
+
+test('adds up slow drifts since the last notification', async () => {
+  const state = resource(15);
+  const { watcher, notified, unwatch } = await watchResource(state);
+
+  for (const temperature of [15.8, 16.5, 17.2]) {
+    state.temperature = temperature;
+    await watcher.poll();
+  }
+
+  assert.strictEqual(notified.length, 1);
+  unwatch();
+});
+
+test('notifies when the weather turns or alerts change', async () => {
+  const state = resource(15);
+  const { watcher, notified, unwatch } = await watchResource(state);
+
+  state.weatherCode = 61; // Clear to rain
+  await watcher.poll();
+  assert.strictEqual(notified.length, 1);
+
+  state.alerts = [{ type: 'wind', severity: 'advisory' }];
+  await watcher.poll();
+  assert.strictEqual(notified.length, 2);
+
+  state.alerts = [{ type: 'wind', severity: 'warning' }];
+  await watcher.poll();
+  assert.strictEqual(notified.length, 3);
+
+  await watcher.poll();
+  assert.strictEqual(notified.length, 3);
+  unwatch();
+});
+
+test('keeps the last snapshot when a load fails', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const state = resource(15);
+  const { watcher, notified, unwatch } = await watchResource(state);
+
+  state.error = new Error('upstream down');
+  await watcher.poll();
+  state.error = null;
+  await watcher.poll();
+
+  assert.deepStrictEqual(notified, []);
+  unwatch();
+});
+
+test('keeps notifying other listeners when one throws', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const state = resource(15);
+  const watcher = new WeatherWatcher({ intervalMs: 60 * 60 * 1000 });
+  const notified = [];
+  const stopFailing = watcher.watch('key', state.load, () => { throw new Error('listener broke'); });
+  const stopWorking = watcher.watch('key', state.load, key => notified.push(key));
+  await flush();
+
+  state.temperature = 20;
+  await watcher.poll();
+
+  assert.deepStrictEqual(notified, ['key']);
+  stopFailing();
+  stopWorking();
+});
+
+test('shares one watch per key and stops polling once nobody listens', async () => {
+  const state = resource(15);
+  let loads = 0;
+  const load = () => {
+    loads++;
+    return state.load();
+  };
+  const watcher = new WeatherWatcher({ intervalMs: 60 * 60 * 1000 });
+
+  const first = watcher.watch('key', load, () => {});
+  const second = watcher.watch('key', load, () => {});
+  await flush();
+  assert.strictEqual(loads, 1);
+  assert.ok(watcher.timer);
+
+  first();
+  assert.ok(watcher.timer);
+  second();
+  assert.strictEqual(watcher.timer, null);
+  assert.strictEqual(watcher.watches.size, 0);
+});
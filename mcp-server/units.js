@@ -0,0 +1,162 @@
+/**
+ * Unit Systems
+ *
+ * Resolves a caller's unit choice ("metric", "imperial" or a custom mix)
+ * into Open-Meteo request parameters and display labels.
+ */
+
+const TEMPERATURE_UNITS = {
+  celsius: '°C',
+  fahrenheit: '°F'
+};
+
+const WIND_UNITS = {
+  kmh: 'km/h',
+  ms: 'm/s',
+  mph: 'mph',
+  kn: 'kn'
+};
+
+const PRECIPITATION_UNITS = {
+  mm: 'mm',
+  inch: 'in'
+};
+
+const UNIT_SYSTEMS = {
+  metric: { temperature: 'celsius', wind: 'kmh', precipitation: 'mm' },
+  imperial: { temperature: 'fahrenheit', wind: 'mph', precipitation: 'inch' }
+};
+
+/**
+ * Normalize a units option into { system, temperature, wind, precipitation, labels }.
+ * Accepts a system name or an object with any of temperature/wind/precipitation;
+ * missing fields fall back to metric.
+ */
+function resolveUnits(units = 'metric') {
+  if (units && units.labels) {
+    return units; // Already resolved
+  }
+
+  let system;
+  let selected;
+
+  if (typeof units === 'string') {
+    if (!UNIT_SYSTEMS[units]) {
+      throw new Error(`Unknown unit system "${units}". Use "metric", "imperial" or custom units.`);
+    }
+    system = units;
+    selected = UNIT_SYSTEMS[units];
+  } else {
+    selected = { ...UNIT_SYSTEMS.metric, ...(units || {}) };
+    system = Object.keys(UNIT_SYSTEMS).find(name =>
+      Object.entries(UNIT_SYSTEMS[name]).every(([key, value]) => selected[key] === value)
+    ) || 'custom';
+  }
+
+  if (!TEMPERATURE_UNITS[selected.temperature]) {
+    throw new Error(`Unknown temperature unit "${selected.temperature}"`);
+  }
+  if (!WIND_UNITS[selected.wind]) {
+    throw new Error(`Unknown wind speed unit "${selected.wind}"`);
+  }
+  if (!PRECIPITATION_UNITS[selected.precipitation]) {
+    throw new Error(`Unknown precipitation unit "${selected.precipitation}"`);
+  }
+
+  return {
+    system,
+    temperature: selected.temperature,
+    wind: selected.wind,
+    precipitation: selected.precipitation,
+    labels: {
+      temperature: TEMPERATURE_UNITS[selected.temperature],
+      wind: WIND_UNITS[selected.wind],
+      precipitation: PRECIPITATION_UNITS[selected.precipitation]
+    }
+  };
+}
+
+/**
+ * Open-Meteo query parameters for resolved units
+ */
+function toOpenMeteoParams(units) {
+  return {
+    temperature_unit: units.temperature,
+    wind_speed_unit: units.wind,
+    precipitation_unit: units.precipitation
+  };
+}
+
+/**
+ * Stable string for cache keys
+ */
+function unitsCacheKey(units) {
+  return `${units.temperature}_${units.wind}_${units.precipitation}`;
+}
+
+/**
+ * Convert a temperature in the given units back to Celsius (for thresholds)
+ */
+function toCelsius(value, units) {
+  return units.temperature === 'fahrenheit' ? (value - 32) * 5 / 9 : value;
+}
+
+/**
+ * Convert a wind speed in the given units to km/h (for thresholds)
+ */
+function toKmh(value, units) {
+  const factors = { kmh: 1, ms: 3.6, mph: 1.609344, kn: 1.852 };
+  return value * factors[units.wind];
+}
+
+/**
+ * Convert a precipitation amount in the given units to millimetres (for thresholds)
+ */
+function toMillimetres(value, units) {
+  return units.precipitation === 'inch' ? value * 25.4 : value;
+}
+
+/**
+ * Convert a Celsius temperature into the given units (for APIs without unit options)
+ */
+function fromCelsius(value, units) {
+  return units.temperature === 'fahrenheit' ? Math.round((value * 9 / 5 + 32) * 10) / 10 : value;
+}
+
+/**
+ * Convert a precipitation amount in millimetres into the given units
+ */
+function fromMillimetres(value, units) {
+  return units.precipitation === 'inch' ? Math.round(value / 25.4 * 100) / 100 : value;
+}
+
+/**
+ * Convert a height in metres into the given units: feet alongside inches of precipitation
+ */
+function fromMetres(value, units) {
+  return units.precipitation === 'inch' ? Math.round(value * 3.28084 * 10) / 10 : value;
+}
+
+/**
+ * Label for heights converted with fromMetres
+ */
+function heightLabel(units) {
+  return units.precipitation === 'inch' ? 'ft' : 'm';
+}
+
+module.exports = {
+  TEMPERATURE_UNITS,
+  WIND_UNITS,
+  PRECIPITATION_UNITS,
+  UNIT_SYSTEMS,
+  resolveUnits,
+  toOpenMeteoParams,
+  unitsCacheKey,
+  toCelsius,
+  toKmh,
+  toMillimetres,
+  fromCelsius,
+  fromMillimetres,
+  fromMetres,
+  heightLabel
+};
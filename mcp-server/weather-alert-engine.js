@@ -0,0 +1,207 @@
+/**
+ * Weather Alert Engine
+ *
+ * Rules engine that derives severe weather alerts (heat, frost, wind gusts,
+ * heavy precipitation, high UV, thunderstorms, freezing rain) from forecast data returned by
+ * WeatherService.getWeatherForecast. Thresholds are metric and can be
+ * overridden per rule through options or the WEATHER_ALERT_THRESHOLDS env var (JSON).
+ * Titles and messages come from the ./i18n catalogs.
+ */
+
+const { resolveUnits, toCelsius, toKmh, toMillimetres } = require('./units');
+const { getWeatherCode, findWeatherCodes, isSeverityAtLeast, describeWeatherCode } = require('./weather-codes');
+const { translate, formatLocalDate } = require('./i18n');
+
+// Each rule has an advisory and a (more severe) warning level
+const DEFAULT_THRESHOLDS = {
+  heat: { advisory: 32, warning: 38 }, // Daily high, °C
+  frost: { advisory: 0, warning: -10 }, // Daily low, °C
+  wind: { advisory: 60, warning: 90 }, // Gusts, km/h
+  precipitation: { advisory: 25, warning: 50 }, // Daily total, mm
+  uv: { advisory: 8, warning: 11 }, // UV index
+  // WMO weather codes, split by their severity in weather-codes.js
+  thunderstorm: {
+    advisory: findWeatherCodes(entry => entry.group === 'thunderstorm' && !isSeverityAtLeast(entry.severity, 'severe')),
+    warning: findWeatherCodes(entry => entry.group === 'thunderstorm' && isSeverityAtLeast(entry.severity, 'severe')) // Hail
+  },
+  ice: {
+    advisory: findWeatherCodes(entry => entry.precipitation === 'freezing-rain' && !isSeverityAtLeast(entry.severity, 'severe')),
+    warning: findWeatherCodes(entry => entry.precipitation === 'freezing-rain' && isSeverityAtLeast(entry.severity, 'severe'))
+  }
+};
+
+const SEVERITY_RANK = { advisory: 1, warning: 2 };
+
+/**
+ * `value` converts a forecast day to the metric value compared against the thresholds;
+ * `describe` renders the worst day in the caller's units and locale.
+ * `titles` are i18n message keys.
+ */
+const RULES = [
+  {
+    type: 'heat',
+    titles: { advisory: 'alertHeatAdvisory', warning: 'alertHeatWarning' },
+    direction: 'above',
+    value: (day, units) => day.temperatureMax === null ? null : toCelsius(day.temperatureMax, units),
+    describe: (day, labels, locale) => translate(locale, 'alertHeatMessage', { value: `${day.temperatureMax}${labels.temperature}` })
+  },
+  {
+    type: 'frost',
+    titles: { advisory: 'alertFrostAdvisory', warning: 'alertFrostWarning' },
+    direction: 'below',
+    value: (day, units) => day.temperatureMin === null ? null : toCelsius(day.temperatureMin, units),
+    describe: (day, labels, locale) => translate(locale, 'alertFrostMessage', { value: `${day.temperatureMin}${labels.temperature}` })
+  },
+  {
+    type: 'wind',
+    titles: { advisory: 'alertWindAdvisory', warning: 'alertWindWarning' },
+    direction: 'above',
+    value: (day, units) => day.windGustsMax === null ? null : toKmh(day.windGustsMax, units),
+    describe: (day, labels, locale) => translate(locale, 'alertWindMessage', { value: `${day.windGustsMax} ${labels.wind}` })
+  },
+  {
+    type: 'precipitation',
+    titles: { advisory: 'alertPrecipitationAdvisory', warning: 'alertPrecipitationWarning' },
+    direction: 'above',
+    value: (day, units) => day.precipitationSum === null ? null : toMillimetres(day.precipitationSum, units),
+    describe: (day, labels, locale) => translate(locale, 'alertPrecipitationMessage', { value: `${day.precipitationSum}${labels.precipitation}` })
+  },
+  {
+    type: 'uv',
+    titles: { advisory: 'alertUvAdvisory', warning: 'alertUvWarning' },
+    direction: 'above',
+    value: day => day.uvIndexMax,
+    describe: (day, labels, locale) => translate(locale, 'alertUvMessage', { value: Math.round(day.uvIndexMax) })
+  },
+  {
+    type: 'thunderstorm',
+    titles: { advisory: 'alertThunderstormAdvisory', warning: 'alertThunderstormWarning' },
+    direction: 'codes',
+    value: day => day.weatherCode,
+    describe: (day, labels, locale) => translate(locale, getWeatherCode(day.weatherCode).precipitation === 'hail' ? 'alertThunderstormHailMessage' : 'alertThunderstormMessage')
+  },
+  {
+    type: 'ice',
+    titles: { advisory: 'alertIceAdvisory', warning: 'alertIceWarning' },
+    direction: 'codes',
+    value: day => day.weatherCode,
+    describe: (day, labels, locale) => describeWeatherCode(day.weatherCode, locale)
+  }
+];
+
+class WeatherAlertEngine {
+  constructor(options = {}) {
+    const overrides = options.thresholds || parseThresholdsEnv();
+
+    this.thresholds = {};
+    Object.keys(DEFAULT_THRESHOLDS).forEach(type => {
+      this.thresholds[type] = { ...DEFAULT_THRESHOLDS[type], ...(overrides[type] || {}) };
+    });
+  }
+
+  /**
+   * Evaluate forecast data (with `daily` and optionally `current`) and return
+   * one alert per triggered rule, most severe first:
+   * { type, severity, title, message, dates }, with title and message in `locale`
+   */
+  evaluate(weatherData, { locale = 'en' } = {}) {
+    const units = resolveUnits(weatherData.unitSystem);
+    const today = weatherData.current?.time?.slice(0, 10);
+    const days = [...(weatherData.daily || [])];
+
+    // Conditions right now count too, e.g. an ongoing thunderstorm
+    if (weatherData.current) {
+      days.unshift({
+        date: 'now',
+        weatherCode: weatherData.current.weatherCode,
+        windGustsMax: weatherData.current.windGusts ?? null,
+        temperatureMax: null,
+        temperatureMin: null,
+        precipitationSum: null,
+        uvIndexMax: null
+      });
+    }
+
+    const alerts = [];
+
+    RULES.forEach(rule => {
+      const thresholds = this.thresholds[rule.type];
+      const triggered = [];
+
+      days.forEach(day => {
+        const value = rule.value(day, units);
+        if (value === null || value === undefined) {
+          return;
+        }
+
+        const severity = this.getSeverity(rule, thresholds, value);
+        if (severity) {
+          triggered.push({ day, value, severity });
+        }
+      });
+
+      if (triggered.length === 0) {
+        return;
+      }
+
+      const worst = triggered.reduce((a, b) => this.isWorse(rule, b, a) ? b : a);
+      const dates = [...new Set(triggered.map(({ day }) => formatAlertDate(day.date, today, locale)))];
+
+      alerts.push({
+        type: rule.type,
+        severity: worst.severity,
+        title: translate(locale, rule.titles[worst.severity]),
+        message: `${rule.describe(worst.day, units.labels, locale)} (${dates.join(', ')})`,
+        dates: triggered.map(({ day }) => day.date)
+      });
+    });
+
+    return alerts.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+  }
+
+  getSeverity(rule, thresholds, value) {
+    if (rule.direction === 'codes') {
+      if (thresholds.warning.includes(value)) return 'warning';
+      if (thresholds.advisory.includes(value)) return 'advisory';
+      return null;
+    }
+
+    const exceeds = limit => rule.direction === 'above' ? value >= limit : value <= limit;
+    if (exceeds(thresholds.warning)) return 'warning';
+    if (exceeds(thresholds.advisory)) return 'advisory';
+    return null;
+  }
+
+  isWorse(rule, candidate, current) {
+    if (SEVERITY_RANK[candidate.severity] !== SEVERITY_RANK[current.severity]) {
+      return SEVERITY_RANK[candidate.severity] > SEVERITY_RANK[current.severity];
+    }
+    if (rule.direction === 'codes') {
+      return false;
+    }
+    return rule.direction === 'above' ? candidate.value > current.value : candidate.value < current.value;
+  }
+}
+
+function parseThresholdsEnv() {
+  if (!process.env.WEATHER_ALERT_THRESHOLDS) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(process.env.WEATHER_ALERT_THRESHOLDS);
+  } catch (error) {
+    console.warn('⚠️  Ignoring invalid WEATHER_ALERT_THRESHOLDS:', error.message);
+    return {};
+  }
+}
+
+function formatAlertDate(date, today, locale) {
+  if (date === 'now') return translate(locale, 'alertNow');
+  if (date === today) return translate(locale, 'alertToday');
+  return formatLocalDate(date, locale, { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+WeatherAlertEngine.DEFAULT_THRESHOLDS = DEFAULT_THRESHOLDS;
+
+module.exports = WeatherAlertEngine;
@@ -0,0 +1,243 @@
+/**
+ * Weather Cache
+ *
+ * Bounded in-memory cache for WeatherService with:
+ * - LRU eviction once `maxEntries` is reached
+ * - Per-type TTLs (geocoding results live longer than forecasts)
+ * - Request coalescing: concurrent misses for the same key share one upstream call
+ * - Stale-while-revalidate: expired entries are served while a background refresh runs
+ * - Optional failure caching: types with an `errorTtl` rethrow a failed fetch's error
+ *   for that long instead of calling upstream again
+ */
+
+const MINUTE = 60 * 1000;
+
+// `ttl` is how long an entry is fresh; `stale` is how long after that it may still be served;
+// `errorTtl` (optional) is how long a failed fetch is remembered
+const DEFAULT_POLICIES = {
+  geocode: { ttl: 60 * MINUTE, stale: 24 * 60 * MINUTE },
+  forecast: { ttl: 10 * MINUTE, stale: 20 * MINUTE },
+  hourly: { ttl: 10 * MINUTE, stale: 20 * MINUTE },
+  historical: { ttl: 60 * MINUTE, stale: 24 * 60 * MINUTE },
+  airQuality: { ttl: 30 * MINUTE, stale: 30 * MINUTE },
+  marine: { ttl: 30 * MINUTE, stale: 30 * MINUTE },
+  climate: { ttl: 7 * 24 * 60 * MINUTE, stale: 30 * 24 * 60 * MINUTE, errorTtl: 10 * MINUTE }
+};
+
+class WeatherCache {
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || parseInt(process.env.WEATHER_CACHE_MAX_ENTRIES, 10) || 500;
+    this.policies = { ...DEFAULT_POLICIES, ...(options.policies || {}) };
+    this.now = options.now || Date.now;
+
+    this.entries = new Map(); // Insertion order doubles as LRU order (oldest first)
+    this.inflight = new Map(); // key -> pending fetch promise
+    this.failures = new Map(); // key -> { type, error, timestamp } for types with an errorTtl
+    this.resetStats();
+  }
+
+  /**
+   * Return cached data for `key`, or run `fetcher` to load it.
+   * Fresh entries are returned directly, stale entries are returned while
+   * `fetcher` refreshes them in the background, and missing entries share
+   * a single in-flight `fetcher` call between concurrent callers.
+   */
+  async getOrFetch(key, type, fetcher) {
+    const policy = this.getPolicy(type);
+    const entry = this.entries.get(key);
+    const now = this.now();
+
+    if (entry) {
+      const age = now - entry.timestamp;
+
+      if (age < policy.ttl) {
+        this.stats.hits++;
+        this.touch(key, entry);
+        return entry.data;
+      }
+
+      if (age < policy.ttl + policy.stale) {
+        this.stats.staleHits++;
+        this.touch(key, entry);
+        this.refreshInBackground(key, type, fetcher);
+        return entry.data;
+      }
+
+      // Too old to serve at all
+      this.entries.delete(key);
+    }
+
+    const failure = this.getFailure(key, policy);
+    if (failure) {
+      this.stats.failureHits++;
+      throw failure.error;
+    }
+
+    if (this.inflight.has(key)) {
+      this.stats.coalesced++;
+      return this.inflight.get(key);
+    }
+
+    this.stats.misses++;
+    return this.fetch(key, type, fetcher);
+  }
+
+  /**
+   * Run the fetcher once per key and store its result
+   */
+  fetch(key, type, fetcher) {
+    const pending = (async () => {
+      try {
+        this.stats.upstreamRequests++;
+        const data = await fetcher();
+        this.failures.delete(key);
+        this.set(key, type, data);
+        return data;
+      } catch (error) {
+        if (this.getPolicy(type).errorTtl) {
+          this.rememberFailure(key, type, error);
+        }
+        throw error;
+      } finally {
+        this.inflight.delete(key);
+      }
+    })();
+
+    this.inflight.set(key, pending);
+    return pending;
+  }
+
+  refreshInBackground(key, type, fetcher) {
+    if (this.inflight.has(key) || this.getFailure(key, this.getPolicy(type))) {
+      return;
+    }
+
+    this.stats.backgroundRefreshes++;
+    this.fetch(key, type, fetcher).catch(error => {
+      // Keep serving the stale entry; the next request will try again
+      console.warn(`⚠️  Background refresh failed for ${key}:`, error.message);
+    });
+  }
+
+  set(key, type, data) {
+    this.entries.delete(key);
+    this.entries.set(key, { type, data, timestamp: this.now() });
+    this.pruneFailures();
+
+    if (this.entries.size > this.maxEntries) {
+      this.prune();
+    }
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+      this.stats.evictions++;
+    }
+  }
+
+  /**
+   * Remember a failed fetch, bounded like the entries: expired failures are
+   * dropped first, then the oldest once there are more than `maxEntries`
+   */
+  rememberFailure(key, type, error) {
+    this.failures.delete(key);
+    this.failures.set(key, { type, error, timestamp: this.now() });
+    this.pruneFailures();
+
+    while (this.failures.size > this.maxEntries) {
+      this.failures.delete(this.failures.keys().next().value);
+    }
+  }
+
+  /**
+   * Drop entries that are past their stale window, and expired failures
+   */
+  prune() {
+    const now = this.now();
+
+    for (const [key, entry] of this.entries) {
+      const policy = this.getPolicy(entry.type);
+      if (now - entry.timestamp >= policy.ttl + policy.stale) {
+        this.entries.delete(key);
+        this.stats.expirations++;
+      }
+    }
+
+    this.pruneFailures();
+  }
+
+  pruneFailures() {
+    const now = this.now();
+
+    for (const [key, failure] of this.failures) {
+      const policy = this.getPolicy(failure.type);
+      if (!policy.errorTtl || now - failure.timestamp >= policy.errorTtl) {
+        this.failures.delete(key);
+      }
+    }
+  }
+
+  /**
+   * The remembered failure for `key`, while it's within the type's errorTtl
+   */
+  getFailure(key, policy) {
+    const failure = this.failures.get(key);
+    if (!failure) {
+      return null;
+    }
+
+    if (!policy.errorTtl || this.now() - failure.timestamp >= policy.errorTtl) {
+      this.failures.delete(key);
+      return null;
+    }
+    return failure;
+  }
+
+  touch(key, entry) {
+    // Re-insert to mark as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+  }
+
+  getPolicy(type) {
+    const policy = this.policies[type];
+    if (!policy) {
+      throw new Error(`Unknown cache entry type "${type}"`);
+    }
+    return policy;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      size: this.entries.size,
+      failures: this.failures.size,
+      maxEntries: this.maxEntries,
+      inflight: this.inflight.size
+    };
+  }
+
+  resetStats() {
+    this.stats = {
+      hits: 0,
+      staleHits: 0,
+      misses: 0,
+      coalesced: 0,
+      upstreamRequests: 0,
+      backgroundRefreshes: 0,
+      failureHits: 0,
+      evictions: 0,
+      expirations: 0
+    };
+  }
+
+  clear() {
+    this.entries.clear();
+    this.inflight.clear();
+    this.failures.clear();
+  }
+}
+
+WeatherCache.DEFAULT_POLICIES = DEFAULT_POLICIES;
+
+module.exports = WeatherCache;
@@ -0,0 +1,194 @@
+/**
+ * Weather Codes
+ *
+ * The WMO weather interpretation codes Open-Meteo returns, mapped to a
+ * description (with translations), a day/night icon key, a severity level,
+ * a group and a precipitation category. Formatters, Claude prompts, alert
+ * rules and the React client (via GET /api/weather-codes) all read from here.
+ */
+
+// Ordered from harmless to dangerous
+const SEVERITY_LEVELS = ['none', 'minor', 'moderate', 'high', 'severe'];
+
+// Icon keys with day and night variants; the rest look the same around the clock
+const ICON_EMOJI = {
+  'clear-day': '☀️',
+  'clear-night': '🌙',
+  'mostly-clear-day': '🌤️',
+  'mostly-clear-night': '🌙',
+  'partly-cloudy-day': '⛅',
+  'partly-cloudy-night': '☁️',
+  overcast: '☁️',
+  fog: '🌫️',
+  drizzle: '🌦️',
+  'freezing-drizzle': '🌧️',
+  rain: '🌧️',
+  'freezing-rain': '🌧️',
+  snow: '🌨️',
+  'rain-showers-day': '🌦️',
+  'rain-showers-night': '🌧️',
+  'snow-showers-day': '🌨️',
+  'snow-showers-night': '🌨️',
+  thunderstorm: '⛈️',
+  'thunderstorm-hail': '⛈️',
+  unknown: '🌡️'
+};
+
+const code = (description, icon, severity, group, precipitation) => ({ description, icon, severity, group, precipitation });
+
+const WEATHER_CODES = {
+  0: code('Clear sky', { day: 'clear-day', night: 'clear-night' }, 'none', 'clear', 'none'),
+  1: code('Mainly clear', { day: 'mostly-clear-day', night: 'mostly-clear-night' }, 'none', 'clear', 'none'),
+  2: code('Partly cloudy', { day: 'partly-cloudy-day', night: 'partly-cloudy-night' }, 'none', 'cloudy', 'none'),
+  3: code('Overcast', { day: 'overcast', night: 'overcast' }, 'none', 'cloudy', 'none'),
+  45: code('Fog', { day: 'fog', night: 'fog' }, 'minor', 'fog', 'none'),
+  48: code('Depositing rime fog', { day: 'fog', night: 'fog' }, 'moderate', 'fog', 'none'),
+  51: code('Light drizzle', { day: 'drizzle', night: 'drizzle' }, 'minor', 'drizzle', 'drizzle'),
+  53: code('Moderate drizzle', { day: 'drizzle', night: 'drizzle' }, 'minor', 'drizzle', 'drizzle'),
+  55: code('Dense drizzle', { day: 'drizzle', night: 'drizzle' }, 'moderate', 'drizzle', 'drizzle'),
+  56: code('Light freezing drizzle', { day: 'freezing-drizzle', night: 'freezing-drizzle' }, 'moderate', 'drizzle', 'freezing-rain'),
+  57: code('Dense freezing drizzle', { day: 'freezing-drizzle', night: 'freezing-drizzle' }, 'high', 'drizzle', 'freezing-rain'),
+  61: code('Slight rain', { day: 'rain', night: 'rain' }, 'minor', 'rain', 'rain'),
+  63: code('Moderate rain', { day: 'rain', night: 'rain' }, 'moderate', 'rain', 'rain'),
+  65: code('Heavy rain', { day: 'rain', night: 'rain' }, 'high', 'rain', 'rain'),
+  66: code('Light freezing rain', { day: 'freezing-rain', night: 'freezing-rain' }, 'high', 'rain', 'freezing-rain'),
+  67: code('Heavy freezing rain', { day: 'freezing-rain', night: 'freezing-rain' }, 'severe', 'rain', 'freezing-rain'),
+  71: code('Slight snow fall', { day: 'snow', night: 'snow' }, 'minor', 'snow', 'snow'),
+  73: code('Moderate snow fall', { day: 'snow', night: 'snow' }, 'moderate', 'snow', 'snow'),
+  75: code('Heavy snow fall', { day: 'snow', night: 'snow' }, 'high', 'snow', 'snow'),
+  77: code('Snow grains', { day: 'snow', night: 'snow' }, 'minor', 'snow', 'snow'),
+  80: code('Slight rain showers', { day: 'rain-showers-day', night: 'rain-showers-night' }, 'minor', 'rain', 'rain'),
+  81: code('Moderate rain showers', { day: 'rain-showers-day', night: 'rain-showers-night' }, 'moderate', 'rain', 'rain'),
+  82: code('Violent rain showers', { day: 'rain-showers-day', night: 'rain-showers-night' }, 'high', 'rain', 'rain'),
+  85: code('Slight snow showers', { day: 'snow-showers-day', night: 'snow-showers-night' }, 'moderate', 'snow', 'snow'),
+  86: code('Heavy snow showers', { day: 'snow-showers-day', night: 'snow-showers-night' }, 'high', 'snow', 'snow'),
+  95: code('Thunderstorm', { day: 'thunderstorm', night: 'thunderstorm' }, 'high', 'thunderstorm', 'rain'),
+  96: code('Thunderstorm with slight hail', { day: 'thunderstorm-hail', night: 'thunderstorm-hail' }, 'severe', 'thunderstorm', 'hail'),
+  99: code('Thunderstorm with heavy hail', { day: 'thunderstorm-hail', night: 'thunderstorm-hail' }, 'severe', 'thunderstorm', 'hail')
+};
+
+// Descriptions in other languages, keyed by locale then code. English lives in WEATHER_CODES.
+const TRANSLATIONS = {
+  es: {
+    0: 'Cielo despejado', 1: 'Mayormente despejado', 2: 'Parcialmente nublado', 3: 'Cubierto',
+    45: 'Niebla', 48: 'Niebla con escarcha',
+    51: 'Llovizna ligera', 53: 'Llovizna moderada', 55: 'Llovizna densa',
+    56: 'Llovizna helada ligera', 57: 'Llovizna helada densa',
+    61: 'Lluvia ligera', 63: 'Lluvia moderada', 65: 'Lluvia intensa',
+    66: 'Lluvia helada ligera', 67: 'Lluvia helada intensa',
+    71: 'Nevada ligera', 73: 'Nevada moderada', 75: 'Nevada intensa', 77: 'Granos de nieve',
+    80: 'Chubascos ligeros', 81: 'Chubascos moderados', 82: 'Chubascos violentos',
+    85: 'Chubascos de nieve ligeros', 86: 'Chubascos de nieve intensos',
+    95: 'Tormenta', 96: 'Tormenta con granizo ligero', 99: 'Tormenta con granizo fuerte'
+  },
+  fr: {
+    0: 'Ciel dégagé', 1: 'Plutôt dégagé', 2: 'Partiellement nuageux', 3: 'Couvert',
+    45: 'Brouillard', 48: 'Brouillard givrant',
+    51: 'Bruine légère', 53: 'Bruine modérée', 55: 'Bruine dense',
+    56: 'Bruine verglaçante légère', 57: 'Bruine verglaçante dense',
+    61: 'Pluie faible', 63: 'Pluie modérée', 65: 'Pluie forte',
+    66: 'Pluie verglaçante faible', 67: 'Pluie verglaçante forte',
+    71: 'Chute de neige faible', 73: 'Chute de neige modérée', 75: 'Chute de neige forte', 77: 'Neige en grains',
+    80: 'Averses de pluie faibles', 81: 'Averses de pluie modérées', 82: 'Averses de pluie violentes',
+    85: 'Averses de neige faibles', 86: 'Averses de neige fortes',
+    95: 'Orage', 96: 'Orage avec grêle faible', 99: 'Orage avec forte grêle'
+  },
+  de: {
+    0: 'Klarer Himmel', 1: 'Überwiegend klar', 2: 'Teilweise bewölkt', 3: 'Bedeckt',
+    45: 'Nebel', 48: 'Raureifnebel',
+    51: 'Leichter Nieselregen', 53: 'Mäßiger Nieselregen', 55: 'Starker Nieselregen',
+    56: 'Leichter gefrierender Nieselregen', 57: 'Starker gefrierender Nieselregen',
+    61: 'Leichter Regen', 63: 'Mäßiger Regen', 65: 'Starker Regen',
+    66: 'Leichter gefrierender Regen', 67: 'Starker gefrierender Regen',
+    71: 'Leichter Schneefall', 73: 'Mäßiger Schneefall', 75: 'Starker Schneefall', 77: 'Schneegriesel',
+    80: 'Leichte Regenschauer', 81: 'Mäßige Regenschauer', 82: 'Heftige Regenschauer',
+    85: 'Leichte Schneeschauer', 86: 'Starke Schneeschauer',
+    95: 'Gewitter', 96: 'Gewitter mit leichtem Hagel', 99: 'Gewitter mit starkem Hagel'
+  }
+};
+
+const UNKNOWN_CODE = {
+  description: null,
+  icon: { day: 'unknown', night: 'unknown' },
+  severity: 'none',
+  group: 'unknown',
+  precipitation: 'none'
+};
+
+/**
+ * Everything known about a code, localized. Unknown codes get a generic entry.
+ */
+function getWeatherCode(weatherCode, { isDay = true, locale = 'en' } = {}) {
+  const entry = WEATHER_CODES[weatherCode] || UNKNOWN_CODE;
+  const icon = isDay === false ? entry.icon.night : entry.icon.day;
+
+  return {
+    code: weatherCode,
+    description: describeWeatherCode(weatherCode, locale),
+    icon,
+    emoji: ICON_EMOJI[icon],
+    severity: entry.severity,
+    group: entry.group,
+    precipitation: entry.precipitation
+  };
+}
+
+/**
+ * Human-readable description, falling back to English for unsupported locales
+ */
+function describeWeatherCode(weatherCode, locale = 'en') {
+  const language = String(locale).toLowerCase().split('-')[0];
+  const translated = TRANSLATIONS[language] && TRANSLATIONS[language][weatherCode];
+  if (translated) {
+    return translated;
+  }
+
+  return WEATHER_CODES[weatherCode] ? WEATHER_CODES[weatherCode].description : `Weather code ${weatherCode}`;
+}
+
+function getWeatherEmoji(weatherCode, isDay = true) {
+  return getWeatherCode(weatherCode, { isDay }).emoji;
+}
+
+/**
+ * Compare severities by rank, e.g. isSeverityAtLeast('high', 'moderate') === true
+ */
+function isSeverityAtLeast(severity, minimum) {
+  return SEVERITY_LEVELS.indexOf(severity) >= SEVERITY_LEVELS.indexOf(minimum);
+}
+
+/**
+ * Codes matching a predicate over their entries, e.g. all thunderstorm codes
+ */
+function findWeatherCodes(predicate) {
+  return Object.keys(WEATHER_CODES)
+    .map(Number)
+    .filter(weatherCode => predicate(WEATHER_CODES[weatherCode]));
+}
+
+/**
+ * The whole table for one locale, as served to the React client
+ */
+function getWeatherCodeTable(locale = 'en') {
+  return {
+    severityLevels: SEVERITY_LEVELS,
+    icons: ICON_EMOJI,
+    codes: Object.fromEntries(Object.keys(WEATHER_CODES).map(weatherCode => [weatherCode, {
+      ...WEATHER_CODES[weatherCode],
+      description: describeWeatherCode(Number(weatherCode), locale)
+    }]))
+  };
+}
+
+module.exports = {
+  SEVERITY_LEVELS,
+  ICON_EMOJI,
+  WEATHER_CODES,
+  SUPPORTED_LOCALES: ['en', ...Object.keys(TRANSLATIONS)],
+  getWeatherCode,
+  describeWeatherCode,
+  getWeatherEmoji,
+  isSeverityAtLeast,
+  findWeatherCodes,
+  getWeatherCodeTable
+};
@@ -0,0 +1,323 @@
+/**
+ * Weather Prompts
+ *
+ * Prompt text built around live weather data. ClaudeService sends these to
+ * Claude, and the MCP server publishes them as `prompts` (daily_briefing,
+ * packing_list, event_planning, commute_check) so any MCP client can reuse
+ * them with its own model.
+ */
+
+const { resolveUnits } = require('./units');
+const { getWeatherCode } = require('./weather-codes');
+const { formatLocalDate, getLanguageName, resolveLocale } = require('./i18n');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Description plus severity for prompts, e.g. "Heavy rain (high severity)"
+ */
+function describeCondition(code) {
+  const { description, severity } = getWeatherCode(code);
+  return severity === 'none' ? description : `${description} (${severity} severity)`;
+}
+
+/**
+ * Prompt line comparing the weather with climate normals, if they were available
+ */
+function describeClimate(weatherData) {
+  const { climate } = weatherData;
+  if (!climate) {
+    return '';
+  }
+
+  const { labels } = resolveUnits(weatherData.unitSystem);
+  const { temperature, precipitation } = climate.assessment;
+  let comparison = temperature === 'normal'
+    ? 'temperatures close to normal'
+    : `${Math.abs(climate.anomaly.temperature)}${labels.temperature} ${temperature} than usual`;
+  if (precipitation) {
+    comparison += `, ${precipitation} than usual (${climate.anomaly.precipitationPercent}% of normal precipitation)`;
+  }
+  return `- Compared with ${climate.baseline.startYear}-${climate.baseline.endYear} normals for ${climate.startDate} to ${climate.endDate}: ${comparison}`;
+}
+
+/**
+ * Closing prompt instruction to answer in the user's language; English needs none
+ */
+function describeLanguage(locale) {
+  if (resolveLocale(locale) === 'en') {
+    return '';
+  }
+  return `\n\nWrite your whole response in ${getLanguageName(locale)}.`;
+}
+
+/**
+ * Describe the span of a forecast, e.g. "10-day forecast" or "forecast for 2025-06-05 to 2025-06-08"
+ */
+function describeForecastPeriod(weatherData) {
+  if (weatherData.window) {
+    return `forecast for ${weatherData.window.startDate} to ${weatherData.window.endDate}`;
+  }
+  return `${weatherData.daily.length}-day forecast`;
+}
+
+/**
+ * "Today", "Tomorrow" or a short weekday name for a forecast day. With a preposition
+ * ("on") weekdays read naturally in a sentence: "today", "tomorrow", "on Fri".
+ */
+function getForecastDayName(day, weatherData, preposition = null) {
+  const today = weatherData.current?.time?.slice(0, 10);
+  const tomorrow = today && new Date(new Date(`${today}T00:00:00Z`).getTime() + DAY_MS).toISOString().slice(0, 10);
+
+  if (day.date === today) {
+    return preposition ? 'today' : 'Today';
+  }
+  if (day.date === tomorrow) {
+    return preposition ? 'tomorrow' : 'Tomorrow';
+  }
+
+  const weekday = formatLocalDate(day.date, 'en', { weekday: 'short' });
+  return preposition ? `${preposition} ${weekday}` : weekday;
+}
+
+/**
+ * One line per forecast day: "Tue: 12-19°C, Slight rain (minor severity), 4mm rain, 60% chance, UV 5"
+ */
+function describeDays(weatherData, labels) {
+  return weatherData.daily.map(day => {
+    let line = `${getForecastDayName(day, weatherData)}: ${day.temperatureMin}-${day.temperatureMax}${labels.temperature}, ${describeCondition(day.weatherCode)}`;
+    if (day.precipitationSum > 0) line += `, ${day.precipitationSum}${labels.precipitation} rain`;
+    if (day.precipitationProbability > 0) line += `, ${day.precipitationProbability}% chance`;
+    if (day.windGustsMax) line += `, gusts ${day.windGustsMax} ${labels.wind}`;
+    if (day.uvIndexMax !== null && day.uvIndexMax !== undefined) line += `, UV ${Math.round(day.uvIndexMax)}`;
+    return line;
+  }).join('\n');
+}
+
+/**
+ * One scored period for prompts, e.g. "Sat 10 AM 82/100 Excellent"
+ */
+function describeActivityPeriod({ label, score, rating, reasons }) {
+  return `${label} ${score}/100 ${rating}${reasons.length > 0 ? ` (${reasons.slice(0, 2).join(', ')})` : ''}`;
+}
+
+function describeAlerts(alerts = []) {
+  return alerts.length > 0
+    ? alerts.map(alert => `- ${alert.title}: ${alert.message}`).join('\n')
+    : '- None';
+}
+
+function describeUnits(labels) {
+  return `Use ${labels.temperature}, ${labels.wind} and ${labels.precipitation} for any values you mention.`;
+}
+
+/**
+ * Short analysis of current conditions (ClaudeService.analyzeCurrentWeather)
+ */
+function currentWeatherPrompt(weatherData, city, { locale = 'en' } = {}) {
+  const { labels } = resolveUnits(weatherData.unitSystem);
+  return `You are a helpful weather assistant. Analyze this current weather data for ${city} and provide a short, concise response.
+
+Weather Data:
+- Temperature: ${weatherData.current.temperature}${labels.temperature} (feels like ${weatherData.current.apparentTemperature}${labels.temperature})
+- Condition: ${describeCondition(weatherData.current.weatherCode)}
+- Humidity: ${weatherData.current.humidity}%
+- Wind: ${weatherData.current.windSpeed} ${labels.wind}
+- Pressure: ${weatherData.current.pressure} hPa
+- Cloud Cover: ${weatherData.current.cloudCover}%
+- Time: ${weatherData.current.isDay ? 'Day' : 'Night'}
+${weatherData.current.precipitation > 0 ? `- Precipitation: ${weatherData.current.precipitation}${labels.precipitation}` : ''}
+${describeClimate(weatherData)}
+
+Please provide:
+1. A friendly summary of current conditions
+2. What it feels like outside, and whether that's unusual for the time of year
+3. Any practical advice (clothing, activities, etc.)
+4. Keep it conversational and helpful (2-3 sentences)
+
+${describeUnits(labels)}
+Format as natural conversational text, not bullet points.${describeLanguage(locale)}`;
+}
+
+/**
+ * Insights across a multi-day forecast (ClaudeService.analyzeWeatherForecast)
+ */
+function forecastPrompt(weatherData, city, { locale = 'en' } = {}) {
+  const { labels } = resolveUnits(weatherData.unitSystem);
+  const period = describeForecastPeriod(weatherData);
+  return `You are a helpful weather assistant. Analyze this ${period} for ${city} and provide useful insights.
+
+Current Weather:
+- ${weatherData.current.temperature}${labels.temperature}, ${describeCondition(weatherData.current.weatherCode)}
+
+${period.charAt(0).toUpperCase() + period.slice(1)}:
+${weatherData.daily.map(day => {
+    return `${getForecastDayName(day, weatherData)}: ${day.temperatureMin}-${day.temperatureMax}${labels.temperature}, ${describeCondition(day.weatherCode)}${day.precipitationSum > 0 ? `, ${day.precipitationSum}${labels.precipitation} rain` : ''}`;
+  }).join('\n')}
+${describeClimate(weatherData)}
+
+Please provide:
+1. A summary of the weather pattern over these ${weatherData.daily.length} days
+2. Highlight any significant changes or notable weather, including how it compares with normal
+3. Practical advice for planning activities
+4. Best and worst days in the forecast
+5. Keep it conversational and helpful (3-4 sentences)
+
+${describeUnits(labels)}
+Format as natural conversational text, not bullet points.${describeLanguage(locale)}`;
+}
+
+/**
+ * Answer to a free-form weather question, with whatever context is available
+ * (ClaudeService.answerWeatherQuestion)
+ */
+function weatherQuestionPrompt(question, weatherData = null, city = null, airQuality = null, activityScores = null, { locale = 'en' } = {}) {
+  let prompt = `You are a helpful weather assistant. Answer this weather-related question: "${question}"`;
+
+  if (weatherData && city) {
+    const { labels } = resolveUnits(weatherData.unitSystem);
+    prompt += `
+
+Here's current weather context for ${city}:
+- Temperature: ${weatherData.current.temperature}${labels.temperature}
+- Condition: ${describeCondition(weatherData.current.weatherCode)}
+- Humidity: ${weatherData.current.humidity}%
+- Wind: ${weatherData.current.windSpeed} ${labels.wind}
+
+Use ${labels.temperature} and ${labels.wind} for any values you mention.`;
+  }
+
+  if (airQuality && city) {
+    const pollen = Object.entries(airQuality.current.pollen)
+      .filter(([, value]) => value !== null && value !== undefined)
+      .map(([type, value]) => `${type} ${value} grains/m³`);
+
+    prompt += `
+
+Here's current air quality for ${city}:
+- US AQI: ${airQuality.current.usAqi}
+- European AQI: ${airQuality.current.europeanAqi}
+- PM2.5: ${airQuality.current.pm25} µg/m³
+- PM10: ${airQuality.current.pm10} µg/m³
+- Ozone: ${airQuality.current.ozone} µg/m³
+- Pollen: ${pollen.length > 0 ? pollen.join(', ') : 'not available for this region'}
+
+For questions about outdoor exercise or breathing, consider people with asthma or allergies.`;
+  }
+
+  if (activityScores && city) {
+    prompt += `
+
+Here are deterministic activity scores (0-100) for ${city} over the next ${activityScores[0].periods.length} hours:
+${activityScores.map(({ label, periods }) => `- ${label}: ${periods.slice(0, 3).map(period => describeActivityPeriod(period)).join('; ')}`).join('\n')}
+
+Base your answer on these scores and mention the best times.`;
+  }
+
+  prompt += '\n\nProvide a helpful, conversational response. If you need specific location information, mention that.';
+  prompt += describeLanguage(locale);
+
+  return prompt;
+}
+
+/**
+ * Morning briefing: conditions now, the day ahead and anything to watch for
+ */
+function dailyBriefingPrompt(weatherData, city, { alerts = [], locale = 'en' } = {}) {
+  const { labels } = resolveUnits(weatherData.unitSystem);
+  const { current } = weatherData;
+  return `You are a helpful weather assistant. Write a morning weather briefing for ${city}.
+
+Right Now:
+- ${current.temperature}${labels.temperature} (feels like ${current.apparentTemperature}${labels.temperature}), ${describeCondition(current.weatherCode)}
+- Wind: ${current.windSpeed} ${labels.wind}${current.windGusts > 0 ? `, gusts up to ${current.windGusts} ${labels.wind}` : ''}
+
+Forecast:
+${describeDays(weatherData, labels)}
+${describeClimate(weatherData)}
+
+Alerts:
+${describeAlerts(alerts)}
+
+Cover what today will be like, what to wear, whether to take an umbrella or sunscreen, and any alerts. Finish with one line about tomorrow.
+Keep it to 4-6 short sentences.
+${describeUnits(labels)}${describeLanguage(locale)}`;
+}
+
+/**
+ * Packing list for a stay, grouped by category
+ */
+function packingListPrompt(weatherData, city, { activities, alerts = [], locale = 'en' } = {}) {
+  const { labels } = resolveUnits(weatherData.unitSystem);
+  return `You are a helpful travel weather assistant. Someone is staying in ${city} for the ${describeForecastPeriod(weatherData)} below${activities ? ` and plans to: ${activities}` : ''}.
+
+Forecast:
+${describeDays(weatherData, labels)}
+${describeClimate(weatherData)}
+
+Alerts:
+${describeAlerts(alerts)}
+
+Write a packing list grouped into clothing, rain gear, sun protection${activities ? ', activity gear' : ''} and extras. Base every item on the forecast, say briefly why it's needed, and leave out what the weather doesn't call for.
+${describeUnits(labels)}${describeLanguage(locale)}`;
+}
+
+/**
+ * Whether an event on a given day suits the weather, with timing and a backup plan
+ */
+function eventPlanningPrompt(weatherData, city, { event, date, alerts = [], locale = 'en' } = {}) {
+  const { labels } = resolveUnits(weatherData.unitSystem);
+  return `You are a helpful weather assistant. Someone is planning this event in ${city} on ${date}: "${event}".
+
+Forecast:
+${describeDays(weatherData, labels)}
+${describeClimate(weatherData)}
+
+Alerts:
+${describeAlerts(alerts)}
+
+Say whether the weather suits the event, the main risks (rain, wind, heat, cold, sun), the best time of day if the forecast suggests one, and a backup plan. If the date is more than a few days out, mention that the forecast may still change.
+Keep it to 3-5 conversational sentences.
+${describeUnits(labels)}${describeLanguage(locale)}`;
+}
+
+/**
+ * Hour-by-hour check of the trips to and from work. Only the hours around each
+ * trip (an hour either side of "HH:MM") are included.
+ */
+function commuteCheckPrompt(hourlyData, city, { departure, returnTime, mode = 'transit', locale = 'en' } = {}) {
+  const { labels } = resolveUnits(hourlyData.unitSystem);
+  const tripHours = [departure, returnTime].map(time => parseInt(time, 10));
+  const hours = hourlyData.hourly
+    .filter(hour => {
+      const hourOfDay = parseInt(hour.time.slice(11, 13), 10);
+      return tripHours.some(tripHour => Math.abs(hourOfDay - tripHour) <= 1);
+    })
+    .map(hour => `${hour.time.replace('T', ' ')}: ${hour.temperature}${labels.temperature} (feels like ${hour.apparentTemperature}${labels.temperature}), ${describeCondition(hour.weatherCode)}, ${hour.precipitationProbability}% chance of rain, wind ${hour.windSpeed} ${labels.wind} gusting ${hour.windGusts}`)
+    .join('\n');
+
+  return `You are a helpful weather assistant. Check the commute in ${city} by ${mode}: leaving at ${departure} and heading back at ${returnTime} (local time).
+
+Hourly Forecast (local time):
+${hours}
+
+For each trip, say what the weather will be like, whether to expect delays or hazards (rain, ice, strong wind, poor visibility), what to wear or bring, and whether leaving a little earlier or later would help.
+Keep it to 3-4 short sentences.
+${describeUnits(labels)}${describeLanguage(locale)}`;
+}
+
+module.exports = {
+  describeCondition,
+  describeClimate,
+  describeLanguage,
+  describeForecastPeriod,
+  describeActivityPeriod,
+  getForecastDayName,
+  currentWeatherPrompt,
+  forecastPrompt,
+  weatherQuestionPrompt,
+  dailyBriefingPrompt,
+  packingListPrompt,
+  eventPlanningPrompt,
+  commuteCheckPrompt
+};
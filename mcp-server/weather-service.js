@@ -2,46 +2,84 @@
  * Weather Service
  * 
  * A proper HTTP-based weather service for web applications using Open-Meteo APIs.
- * These APIs are free and don't require API keys.
+ * These APIs are free and don't require API keys. Requests go through a
+ * pluggable provider (see ./providers) so recorded fixtures can stand in offline.
  */
 
-const axios = require('axios');
+const { resolveUnits, toOpenMeteoParams, unitsCacheKey, fromCelsius, fromMetres, heightLabel } = require('./units');
+const { createWeatherProvider } = require('./providers');
+const WeatherCache = require('./weather-cache');
+const Gazetteer = require('./gazetteer');
+const WeatherAlertEngine = require('./weather-alert-engine');
+const ActivityScorer = require('./activity-scorer');
+const ClimateNormals = require('./climate-normals');
+const { describeWeatherCode, getWeatherEmoji } = require('./weather-codes');
+const { translate, formatLocalDate } = require('./i18n');
+const { getSunTimes, getMoonIllumination, getMoonTimes, zonedMidnight, localDate } = require('./astronomy');
 
-// Open-Meteo API configuration
-const GEO_BASE_URL = 'https://geocoding-api.open-meteo.com/v1';
-const WEATHER_BASE_URL = 'https://api.open-meteo.com/v1';
+// The archive API has no forecast-only variables (UV index, precipitation probability)
+const ARCHIVE_DAILY_VARIABLES = 'weather_code,temperature_2m_max,temperature_2m_min,apparent_temperature_max,apparent_temperature_min,sunrise,sunset,daylight_duration,sunshine_duration,precipitation_sum,rain_sum,snowfall_sum,precipitation_hours,wind_speed_10m_max,wind_gusts_10m_max,wind_direction_10m_dominant,shortwave_radiation_sum';
+const MAX_HISTORICAL_DAYS = 31;
+// The archive is filled in from reanalysis data that lags a few days behind today
+const ARCHIVE_LAG_DAYS = 5;
+// How long weather lookups wait for climate normals before answering without them;
+// a slow 30-year archive fetch keeps going in the background and fills the cache
+const CLIMATE_CONTEXT_TIMEOUT_MS = 1500;
+// Catalog keys for ClimateNormals' verdicts and parts of the month
+const CLIMATE_TEMPERATURE_KEYS = { warmer: 'climateWarmer', colder: 'climateColder', normal: 'climateNormal' };
+const CLIMATE_PRECIPITATION_KEYS = { wetter: 'climateWetter', drier: 'climateDrier' };
+const CLIMATE_PERIOD_KEYS = { early: 'climatePeriodEarly', mid: 'climatePeriodMid', late: 'climatePeriodLate' };
+// Open-Meteo forecasts reach 16 days ahead, today included
+const MAX_FORECAST_DAYS = 16;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Coordinates further than this from any gazetteer entry keep a coordinate label
+const MAX_REVERSE_GEOCODE_KM = 100;
+// How many geocoding results to consider when resolving an ambiguous name
+const GEOCODE_CANDIDATES = 10;
+// Places under this share of the largest match's population aren't worth asking about
+const AMBIGUOUS_POPULATION_RATIO = 0.05;
+const MAX_AMBIGUOUS_CANDIDATES = 5;
+// Marine data from a sea cell further away than this doesn't describe the location's coast
+const MAX_MARINE_DISTANCE_KM = 50;
+// Resolved cities remembered for MCP resource listings
+const MAX_RECENT_LOCATIONS = 20;
+// City name completion: how many suggestions, and how much to type before asking Open-Meteo
+const MAX_CITY_SUGGESTIONS = 10;
+const MIN_GEOCODE_QUERY_LENGTH = 3;
 
 class WeatherService {
-  constructor() {
-    this.cache = new Map(); // Simple in-memory cache
-    this.cacheTimeout = 10 * 60 * 1000; // 10 minutes
+  constructor(options = {}) {
+    this.provider = options.provider || createWeatherProvider(options.providerName);
+    this.cache = options.cache || new WeatherCache(options.cacheOptions);
+    this.gazetteer = options.gazetteer || new Gazetteer(options.gazetteerOptions);
+    this.alertEngine = options.alertEngine || new WeatherAlertEngine(options.alertOptions);
+    this.activityScorer = options.activityScorer || new ActivityScorer();
+    this.climateNormals = options.climateNormals || new ClimateNormals(options.climateOptions);
+    this.recentLocations = new Map(); // Insertion order doubles as recency
   }
 
   /**
    * Geocode a city name to get coordinates using Open-Meteo
    */
   async geocodeCity(city, count = 1) {
-    const cacheKey = `geocode_${city}_${count}`;
-
-    // Check cache first
-    if (this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < this.cacheTimeout * 6) { // Cache geocoding longer
-        return cached.data;
-      }
-    }
+    const cacheKey = `geocode_${city.trim().toLowerCase()}_${count}`;
+    return this.cache.getOrFetch(cacheKey, 'geocode', () => this.fetchGeocode(city, count));
+  }
 
+  /**
+   * Fetch geocoding results from the provider (uncached)
+   */
+  async fetchGeocode(city, count) {
     try {
-      const response = await axios.get(`${GEO_BASE_URL}/search`, {
-        params: {
-          name: city,
-          count: count,
-        },
+      const data = await this.provider.geocode({
+        name: city,
+        count: count,
       });
 
-      const locations = response.data.results?.map(location => ({
+      const locations = data.results?.map(location => ({
         name: location.name,
         country: location.country,
+        countryCode: location.country_code,
         admin1: location.admin1, // State/province
         latitude: location.latitude,
         longitude: location.longitude,
@@ -50,46 +88,236 @@ class WeatherService {
         elevation: location.elevation
       })) || [];
 
-      // Cache the result
-      this.cache.set(cacheKey, {
-        data: locations,
-        timestamp: Date.now()
-      });
-
       return locations;
     } catch (error) {
       throw new Error(`Failed to geocode ${city}: ${error.message}`);
     }
   }
 
+  /**
+   * Geocode a city and keep only results matching the optional country
+   * (name or ISO code) and admin1 (state/province) filters
+   */
+  async findLocations(city, { count = 1, country, admin1 } = {}) {
+    const filtered = Boolean(country || admin1);
+    // Filters discard results, so look further down the list before applying them
+    const locations = await this.geocodeCity(city, filtered ? Math.max(count, GEOCODE_CANDIDATES) : count);
+
+    return locations
+      .filter(location => !country || matchesPlace(country, location.country, location.countryCode))
+      .filter(location => !admin1 || matchesPlace(admin1, location.admin1))
+      .slice(0, count);
+  }
+
+  /**
+   * Resolve a city name to one location instead of blindly taking the first result.
+   * "City, Region, Country" qualifiers are treated like the country/admin1 filters.
+   * Returns { location } for a confident match, { candidates } when several
+   * similarly sized places share the name, or { location: null } when nothing matches.
+   */
+  async resolveLocation(city, { country, admin1 } = {}) {
+    const [name, ...qualifiers] = city.split(',').map(part => part.trim()).filter(Boolean);
+
+    const locations = (await this.findLocations(name, { count: GEOCODE_CANDIDATES, country, admin1 }))
+      .filter(location => qualifiers.every(qualifier =>
+        matchesPlace(qualifier, location.admin1, location.country, location.countryCode)
+      ));
+
+    if (locations.length <= 1) {
+      const location = locations[0] || null;
+      if (location) {
+        this.rememberLocation(location);
+      }
+      return { location };
+    }
+
+    // Only exact name matches compete; "Portland" shouldn't be confused with "Portlandville"
+    const sameName = locations.filter(location => normalizePlaceName(location.name) === normalizePlaceName(name));
+    const plausible = sameName.length > 0 ? sameName : locations;
+    const largest = Math.max(...plausible.map(location => location.population || 0));
+    const contenders = plausible.filter(location => (location.population || 0) >= largest * AMBIGUOUS_POPULATION_RATIO);
+
+    if (contenders.length === 1) {
+      this.rememberLocation(contenders[0]);
+      return { location: contenders[0] };
+    }
+
+    return { candidates: contenders.slice(0, MAX_AMBIGUOUS_CANDIDATES) };
+  }
+
+  /**
+   * Record a resolved city as recently requested, moving it to the front if already known
+   */
+  rememberLocation(location) {
+    const key = `${location.latitude.toFixed(2)},${location.longitude.toFixed(2)}`;
+    this.recentLocations.delete(key);
+    this.recentLocations.set(key, location);
+
+    if (this.recentLocations.size > MAX_RECENT_LOCATIONS) {
+      this.recentLocations.delete(this.recentLocations.keys().next().value);
+    }
+  }
+
+  /**
+   * Recently requested cities, most recent first
+   */
+  getRecentLocations() {
+    return [...this.recentLocations.values()].reverse();
+  }
+
+  /**
+   * Qualified city names ("Portland, Oregon, United States") starting with `query`,
+   * for autocompletion. Recently requested cities come first, then matches from the
+   * offline gazetteer of major cities and Open-Meteo geocoding, largest first.
+   * Text after a comma narrows by state or country, e.g. "Portland, O".
+   */
+  async suggestCities(query, limit = MAX_CITY_SUGGESTIONS) {
+    const wanted = normalizePlaceName(query);
+    const name = (query || '').split(',')[0].trim();
+
+    let geocoded = [];
+    if (name.length >= MIN_GEOCODE_QUERY_LENGTH) {
+      try {
+        geocoded = await this.geocodeCity(name, GEOCODE_CANDIDATES);
+      } catch (error) {
+        // Offline or unknown to the provider; local suggestions still work
+      }
+    }
+
+    const places = [...this.gazetteer.search(name, limit), ...geocoded]
+      .sort((a, b) => (b.population || 0) - (a.population || 0));
+
+    const suggestions = new Set();
+    for (const location of [...this.getRecentLocations(), ...places]) {
+      const place = formatPlace(location);
+      if (normalizePlaceName(place).startsWith(wanted)) {
+        suggestions.add(place);
+      }
+    }
+
+    return [...suggestions].slice(0, limit);
+  }
+
+  /**
+   * Reverse geocode coordinates to the nearest place in the offline gazetteer.
+   * The returned location keeps the requested coordinates and records how far
+   * away the matched place is.
+   */
+  async reverseGeocode(latitude, longitude) {
+    const match = this.gazetteer.nearest(latitude, longitude);
+    const coordinateName = `Location (${latitude.toFixed(2)}, ${longitude.toFixed(2)})`;
+
+    if (!match) {
+      return { name: coordinateName, latitude, longitude };
+    }
+
+    const { place } = match;
+    const distanceKm = Math.round(match.distanceKm);
+
+    if (distanceKm > MAX_REVERSE_GEOCODE_KM) {
+      return {
+        name: coordinateName,
+        latitude,
+        longitude,
+        nearestPlace: `${place.name}, ${place.country}`,
+        distanceKm
+      };
+    }
+
+    return {
+      name: place.name,
+      country: place.country,
+      admin1: place.admin1,
+      latitude,
+      longitude,
+      timezone: place.timezone,
+      population: place.population,
+      distanceKm
+    };
+  }
+
+  /**
+   * Forecast for coordinates with the nearest gazetteer place attached as `location`
+   */
+  async getWeatherForCoordinates(latitude, longitude, days = 1, units = 'metric') {
+    const [forecast, location] = await Promise.all([
+      this.getWeatherForecast(latitude, longitude, days, units),
+      this.reverseGeocode(latitude, longitude)
+    ]);
+
+    // Attach the nearest place to a copy (the forecast is cached)
+    return {
+      ...forecast,
+      location: {
+        ...location,
+        timezone: location.timezone || forecast.timezone,
+        elevation: forecast.elevation
+      }
+    };
+  }
+
   /**
    * Get current weather and forecast for coordinates using Open-Meteo
    */
-  async getWeatherForecast(latitude, longitude, days = 7) {
-    const cacheKey = `forecast_${latitude}_${longitude}_${days}`;
+  async getWeatherForecast(latitude, longitude, days = 7, units = 'metric', { startDate, endDate } = {}) {
+    const unitSystem = resolveUnits(units);
+    const dateWindow = this.validateForecastWindow(days, startDate, endDate);
+    const range = dateWindow ? `${dateWindow.startDate}_${dateWindow.endDate}` : days;
+    const cacheKey = `forecast_${latitude}_${longitude}_${range}_${unitsCacheKey(unitSystem)}`;
+    return this.cache.getOrFetch(cacheKey, 'forecast', () => this.fetchWeatherForecast(latitude, longitude, days, unitSystem, dateWindow));
+  }
 
-    // Check cache first
-    if (this.cache.has(cacheKey)) {
-      const cached = this.cache.get(cacheKey);
-      if (Date.now() - cached.timestamp < this.cacheTimeout) {
-        return cached.data;
+  /**
+   * Check a forecast length or an optional start/end date window against the
+   * 16-day forecast horizon. Returns the window, or null when `days` is used.
+   */
+  validateForecastWindow(days, startDate, endDate) {
+    if (!startDate && !endDate) {
+      if (!Number.isInteger(days) || days < 1 || days > MAX_FORECAST_DAYS) {
+        throw new Error(`Forecast length must be between 1 and ${MAX_FORECAST_DAYS} days`);
       }
+      return null;
+    }
+    if (!startDate || !endDate) {
+      throw new Error('Provide both a start date and an end date for a forecast window');
+    }
+
+    const start = new Date(`${startDate}T00:00:00Z`);
+    const end = new Date(`${endDate}T00:00:00Z`);
+    const today = new Date(`${new Date().toISOString().slice(0, 10)}T00:00:00Z`);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new Error(`Invalid date range ${startDate} to ${endDate}. Use the YYYY-MM-DD format.`);
+    }
+    if (start > end) {
+      throw new Error(`Start date ${startDate} is after end date ${endDate}`);
+    }
+    // Allow yesterday: it can still be "today" in timezones behind UTC
+    if (start < today - DAY_MS) {
+      throw new Error(`Start date ${startDate} is in the past. Use get_historical_weather for past days.`);
+    }
+    if ((end - today) / DAY_MS + 1 > MAX_FORECAST_DAYS) {
+      throw new Error(`End date ${endDate} is beyond the ${MAX_FORECAST_DAYS}-day forecast horizon`);
     }
 
+    return { startDate, endDate };
+  }
+
+  /**
+   * Fetch and parse a forecast from the provider (uncached)
+   */
+  async fetchWeatherForecast(latitude, longitude, days, unitSystem, dateWindow = null) {
     try {
-      const response = await axios.get(`${WEATHER_BASE_URL}/forecast`, {
-        params: {
-          latitude: latitude,
-          longitude: longitude,
-          current: 'temperature_2m,relative_humidity_2m,apparent_temperature,is_day,precipitation,rain,showers,snowfall,weather_code,cloud_cover,pressure_msl,surface_pressure,wind_speed_10m,wind_direction_10m,wind_gusts_10m',
-          daily: 'weather_code,temperature_2m_max,temperature_2m_min,apparent_temperature_max,apparent_temperature_min,sunrise,sunset,daylight_duration,sunshine_duration,uv_index_max,precipitation_sum,rain_sum,showers_sum,snowfall_sum,precipitation_hours,precipitation_probability_max,wind_speed_10m_max,wind_gusts_10m_max,wind_direction_10m_dominant,shortwave_radiation_sum',
-          timezone: 'auto',
-          forecast_days: days
-        },
+      const data = await this.provider.forecast({
+        latitude: latitude,
+        longitude: longitude,
+        current: 'temperature_2m,relative_humidity_2m,apparent_temperature,is_day,precipitation,rain,showers,snowfall,weather_code,cloud_cover,pressure_msl,surface_pressure,wind_speed_10m,wind_direction_10m,wind_gusts_10m',
+        daily: 'weather_code,temperature_2m_max,temperature_2m_min,apparent_temperature_max,apparent_temperature_min,sunrise,sunset,daylight_duration,sunshine_duration,uv_index_max,precipitation_sum,rain_sum,showers_sum,snowfall_sum,precipitation_hours,precipitation_probability_max,wind_speed_10m_max,wind_gusts_10m_max,wind_direction_10m_dominant,shortwave_radiation_sum',
+        timezone: 'auto',
+        ...(dateWindow ? { start_date: dateWindow.startDate, end_date: dateWindow.endDate } : { forecast_days: days }),
+        ...toOpenMeteoParams(unitSystem)
       });
 
-      const data = response.data;
-
       // Parse the response into a more usable format
       const result = {
         latitude: data.latitude,
@@ -112,73 +340,247 @@ class WeatherService {
           windGusts: data.current.wind_gusts_10m,
           isDay: data.current.is_day === 1
         },
-        daily: data.daily.time.map((date, index) => ({
-          date: date,
-          weatherCode: data.daily.weather_code[index],
-          temperatureMax: Math.round(data.daily.temperature_2m_max[index]),
-          temperatureMin: Math.round(data.daily.temperature_2m_min[index]),
-          apparentTemperatureMax: Math.round(data.daily.apparent_temperature_max[index]),
-          apparentTemperatureMin: Math.round(data.daily.apparent_temperature_min[index]),
-          sunrise: data.daily.sunrise[index],
-          sunset: data.daily.sunset[index],
-          daylightDuration: data.daily.daylight_duration[index],
-          sunshineDuration: data.daily.sunshine_duration[index],
-          uvIndexMax: data.daily.uv_index_max[index],
-          precipitationSum: data.daily.precipitation_sum[index],
-          precipitationHours: data.daily.precipitation_hours[index],
-          precipitationProbability: data.daily.precipitation_probability_max[index],
-          windSpeedMax: data.daily.wind_speed_10m_max[index],
-          windGustsMax: data.daily.wind_gusts_10m_max[index],
-          windDirection: data.daily.wind_direction_10m_dominant[index]
-        })),
+        daily: this.parseDailyData(data.daily),
+        window: dateWindow,
         units: data.current_units,
+        unitSystem,
         timestamp: new Date().toISOString(),
       };
 
-      // Cache the result
-      this.cache.set(cacheKey, {
-        data: result,
-        timestamp: Date.now()
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to get forecast for coordinates ${latitude}, ${longitude}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Parse an Open-Meteo `daily` block into one object per day.
+   * Variables missing from the response (e.g. on the archive API) come back as null.
+   */
+  parseDailyData(daily) {
+    const value = (key, index) => daily[key] ? daily[key][index] : null;
+    const rounded = (key, index) => {
+      const raw = value(key, index);
+      return raw === null || raw === undefined ? null : Math.round(raw);
+    };
+
+    return daily.time.map((date, index) => ({
+      date: date,
+      weatherCode: value('weather_code', index),
+      temperatureMax: rounded('temperature_2m_max', index),
+      temperatureMin: rounded('temperature_2m_min', index),
+      apparentTemperatureMax: rounded('apparent_temperature_max', index),
+      apparentTemperatureMin: rounded('apparent_temperature_min', index),
+      sunrise: value('sunrise', index),
+      sunset: value('sunset', index),
+      daylightDuration: value('daylight_duration', index),
+      sunshineDuration: value('sunshine_duration', index),
+      uvIndexMax: value('uv_index_max', index),
+      precipitationSum: value('precipitation_sum', index),
+      precipitationHours: value('precipitation_hours', index),
+      precipitationProbability: value('precipitation_probability_max', index),
+      snowfallSum: value('snowfall_sum', index),
+      windSpeedMax: value('wind_speed_10m_max', index),
+      windGustsMax: value('wind_gusts_10m_max', index),
+      windDirection: value('wind_direction_10m_dominant', index)
+    }));
+  }
+
+  /**
+   * Get observed daily weather for a past date range using the Open-Meteo archive
+   * Dates are ISO strings (YYYY-MM-DD) and the range is inclusive.
+   */
+  async getHistoricalWeather(latitude, longitude, startDate, endDate, units = 'metric') {
+    const unitSystem = resolveUnits(units);
+    const start = new Date(`${startDate}T00:00:00Z`);
+    const end = new Date(`${endDate}T00:00:00Z`);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      throw new Error(`Invalid date range ${startDate} to ${endDate}. Use the YYYY-MM-DD format.`);
+    }
+    if (start > end) {
+      throw new Error(`Start date ${startDate} is after end date ${endDate}`);
+    }
+    if (end > new Date()) {
+      throw new Error(`End date ${endDate} is in the future. Use get_forecast for upcoming days.`);
+    }
+    const latestDate = addDays(new Date().toISOString().slice(0, 10), -ARCHIVE_LAG_DAYS);
+    if (endDate > latestDate) {
+      throw new Error(`Observed weather is only available up to ${latestDate}, as the archive lags ${ARCHIVE_LAG_DAYS} days behind. Use get_forecast for today and the days ahead.`);
+    }
+    if ((end - start) / DAY_MS + 1 > MAX_HISTORICAL_DAYS) {
+      throw new Error(`Date range is too long. Request at most ${MAX_HISTORICAL_DAYS} days at a time.`);
+    }
+
+    const cacheKey = `historical_${latitude}_${longitude}_${startDate}_${endDate}_${unitsCacheKey(unitSystem)}`;
+    return this.cache.getOrFetch(cacheKey, 'historical', () => this.fetchHistoricalWeather(latitude, longitude, startDate, endDate, unitSystem));
+  }
+
+  /**
+   * Fetch and parse archive data from the provider (uncached)
+   */
+  async fetchHistoricalWeather(latitude, longitude, startDate, endDate, unitSystem) {
+    try {
+      const data = await this.provider.archive({
+        latitude: latitude,
+        longitude: longitude,
+        start_date: startDate,
+        end_date: endDate,
+        daily: ARCHIVE_DAILY_VARIABLES,
+        timezone: 'auto',
+        ...toOpenMeteoParams(unitSystem)
       });
 
+      const result = {
+        latitude: data.latitude,
+        longitude: data.longitude,
+        timezone: data.timezone,
+        elevation: data.elevation,
+        startDate,
+        endDate,
+        daily: this.parseDailyData(data.daily),
+        units: data.daily_units,
+        unitSystem,
+        timestamp: new Date().toISOString(),
+      };
+
       return result;
     } catch (error) {
-      throw new Error(`Failed to get forecast for coordinates ${latitude}, ${longitude}: ${error.message}`);
+      throw new Error(`Failed to get historical weather for coordinates ${latitude}, ${longitude}: ${error.message}`);
     }
   }
 
   /**
-   * Get weather data for a city with enhanced formatting for chat responses
+   * Day-of-year climate normals for coordinates, built from the archive.
+   * Nearby points share one entry since normals barely change over a few km,
+   * and every unit system shares the metric table, converted when compared.
+   */
+  async getClimateNormals(latitude, longitude) {
+    const baseline = this.climateNormals.getBaseline();
+    const cacheKey = `climate_${latitude.toFixed(1)}_${longitude.toFixed(1)}_${baseline.startYear}_${baseline.endYear}`;
+    return this.cache.getOrFetch(cacheKey, 'climate', () => this.fetchClimateNormals(latitude, longitude, baseline));
+  }
+
+  /**
+   * Fetch the baseline years from the archive and reduce them to normals (uncached)
    */
-  async getWeatherForChat(city, includeForecast = false) {
+  async fetchClimateNormals(latitude, longitude, baseline) {
     try {
-      // First geocode the city
-      const locations = await this.geocodeCity(city, 1);
+      const data = await this.provider.archive({
+        latitude: Math.round(latitude * 10) / 10,
+        longitude: Math.round(longitude * 10) / 10,
+        start_date: baseline.startDate,
+        end_date: baseline.endDate,
+        daily: 'temperature_2m_max,temperature_2m_min,precipitation_sum',
+        timezone: 'auto',
+        ...toOpenMeteoParams(resolveUnits('metric'))
+      });
 
-      if (!locations || locations.length === 0) {
+      return {
+        baseline,
+        table: this.climateNormals.buildTable(data.daily)
+      };
+    } catch (error) {
+      // Failures are cached for a while, so this logs once per outage rather than per request
+      console.warn(`⚠️  Climate normals unavailable for ${latitude}, ${longitude}: ${error.message}`);
+      throw new Error(`Failed to get climate normals for coordinates ${latitude}, ${longitude}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Compare a forecast with the climate normals for its dates
+   */
+  async getClimateContext(weatherData) {
+    const { baseline, table } = await this.getClimateNormals(weatherData.latitude, weatherData.longitude);
+    return this.climateNormals.compare(table, weatherData, baseline);
+  }
+
+  /**
+   * Attach climate context to weather data when normals are available.
+   * Normals are a nice-to-have, so weather isn't held up waiting for a cold
+   * archive fetch, and failures leave the data without them.
+   */
+  async withClimateContext(weatherData) {
+    const pending = this.getClimateContext(weatherData).catch(() => null);
+    const climate = await resolveWithin(pending, CLIMATE_CONTEXT_TIMEOUT_MS);
+    return climate ? { ...weatherData, climate } : weatherData;
+  }
+
+  /**
+   * Get a forecast compared with climate normals for a city, formatted for chat responses
+   */
+  async getClimateContextForChat(city, { days = 7, startDate, endDate, units = 'metric', ...filters } = {}) {
+    try {
+      const { location, candidates } = await this.resolveLocation(city, filters);
+
+      if (candidates) {
+        return this.formatCandidatesForChat(city, candidates);
+      }
+
+      if (!location) {
         return {
           error: true,
-          message: `Could not find location for "${city}". Please check the city name and try again.`
+          message: `Could not find location for "${city}"${describeFilters(filters)}. Please check the city name and try again.`
         };
       }
 
-      const location = locations[0];
+      const forecast = await this.getWeatherForecast(location.latitude, location.longitude, days, units, { startDate, endDate });
 
-      // Get weather data for the coordinates
-      const weatherData = await this.getWeatherForecast(
-        location.latitude,
-        location.longitude,
-        includeForecast ? 7 : 1
-      );
+      // Add location info to a copy so the cached entry isn't mutated
+      const weatherData = { ...forecast, location };
+      const climate = await this.getClimateContext(weatherData);
 
-      // Add location info to weather data
-      weatherData.location = location;
+      if (!climate) {
+        return {
+          error: true,
+          message: `No climate normals are available for ${location.name}`
+        };
+      }
 
-      if (includeForecast) {
-        return this.formatForecastForChat(weatherData);
-      } else {
-        return this.formatCurrentWeatherForChat(weatherData);
+      return this.formatClimateContextForChat({ ...weatherData, climate });
+    } catch (error) {
+      return {
+        error: true,
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Derive severe weather alerts from the forecast for coordinates
+   */
+  async getWeatherAlerts(latitude, longitude, days = 7, units = 'metric') {
+    const forecast = await this.getWeatherForecast(latitude, longitude, days, units);
+    return {
+      alerts: this.alertEngine.evaluate(forecast),
+      forecast
+    };
+  }
+
+  /**
+   * Get weather alerts for a city formatted for chat responses
+   */
+  async getAlertsForChat(city, { days = 7, units = 'metric', ...filters } = {}) {
+    try {
+      const { location, candidates } = await this.resolveLocation(city, filters);
+
+      if (candidates) {
+        return this.formatCandidatesForChat(city, candidates);
       }
+
+      if (!location) {
+        return {
+          error: true,
+          message: `Could not find location for "${city}"${describeFilters(filters)}. Please check the city name and try again.`
+        };
+      }
+
+      const { alerts, forecast } = await this.getWeatherAlerts(location.latitude, location.longitude, days, units);
+
+      // Add location info to a copy so the cached entry isn't mutated
+      const weatherData = { ...forecast, location };
+
+      return this.formatAlertsForChat(weatherData, alerts);
     } catch (error) {
       return {
         error: true,
@@ -187,128 +589,1279 @@ class WeatherService {
     }
   }
 
+  /**
+   * Score outdoor activities for coordinates, either per forecast day
+   * or per hour. Returns the ranked scores and the data they came from.
+   */
+  async scoreActivities(latitude, longitude, { activities, granularity = 'days', days = 7, hours = 24, units = 'metric' } = {}) {
+    if (granularity === 'hours') {
+      const forecast = await this.getHourlyForecast(latitude, longitude, hours, units);
+      return { scores: this.activityScorer.scoreHours(forecast, activities), forecast };
+    }
 
+    const forecast = await this.getWeatherForecast(latitude, longitude, days, units);
+    return { scores: this.activityScorer.scoreDays(forecast, activities), forecast };
+  }
 
   /**
- * Format current weather for chat display
- */
-  formatCurrentWeatherForChat(weatherData) {
-    const { current, location } = weatherData;
-    const weatherDescription = this.getWeatherDescription(current.weatherCode);
+   * Get activity scores for a city formatted for chat responses
+   */
+  async getActivityScoresForChat(city, { activities, granularity = 'days', days = 7, hours = 24, units = 'metric', ...filters } = {}) {
+    try {
+      const { location, candidates } = await this.resolveLocation(city, filters);
 
-    let response = `**Current Weather in ${location.name}`;
-    if (location.admin1) response += `, ${location.admin1}`;
-    response += `, ${location.country}**\n\n`;
+      if (candidates) {
+        return this.formatCandidatesForChat(city, candidates);
+      }
 
-    response += `🌡️ **Temperature:** ${current.temperature}°C (feels like ${current.apparentTemperature}°C)\n`;
-    response += `☁️ **Condition:** ${weatherDescription}\n`;
-    response += `💧 **Humidity:** ${current.humidity}%\n`;
-    response += `🌬️ **Wind:** ${current.windSpeed} km/h`;
-    if (current.windGusts > 0) {
-      response += ` (gusts up to ${current.windGusts} km/h)`;
+      if (!location) {
+        return {
+          error: true,
+          message: `Could not find location for "${city}"${describeFilters(filters)}. Please check the city name and try again.`
+        };
+      }
+
+      const { scores, forecast } = await this.scoreActivities(location.latitude, location.longitude, {
+        activities, granularity, days, hours, units
+      });
+
+      // Add location info to a copy so the cached entry isn't mutated
+      const weatherData = { ...forecast, location };
+
+      return this.formatActivityScoresForChat(weatherData, scores, granularity);
+    } catch (error) {
+      return {
+        error: true,
+        message: error.message
+      };
     }
-    response += `\n`;
-    response += `📊 **Pressure:** ${current.pressure} hPa\n`;
-    response += `☁️ **Cloud Cover:** ${current.cloudCover}%\n`;
+  }
 
-    if (current.precipitation > 0) {
-      response += `🌧️ **Precipitation:** ${current.precipitation} mm\n`;
+  /**
+   * Sun and moon times for coordinates on a local date, computed offline.
+   * `date` (YYYY-MM-DD) defaults to today in the location's timezone and
+   * all times are returned as ISO instants.
+   */
+  getAstronomy(latitude, longitude, { date, timezone = 'UTC' } = {}) {
+    const day = date || localDate(timezone);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day) || isNaN(new Date(`${day}T00:00:00Z`).getTime())) {
+      throw new Error(`Invalid date ${day}. Use the YYYY-MM-DD format.`);
     }
 
-    const timeOfDay = current.isDay ? '☀️ Day' : '🌙 Night';
-    response += `🕐 **Time of Day:** ${timeOfDay}\n`;
+    const midnight = zonedMidnight(day, timezone);
+    const noon = new Date(midnight.getTime() + DAY_MS / 2);
+    const sun = getSunTimes(noon, latitude, longitude);
+    const moonTimes = getMoonTimes(midnight, latitude, longitude);
+    const illumination = getMoonIllumination(noon);
+    const iso = time => time ? time.toISOString() : null;
 
-    response += `\n📍 **Location:** ${location.latitude.toFixed(2)}°, ${location.longitude.toFixed(2)}°`;
-    if (location.elevation) {
-      response += ` (${Math.round(location.elevation)}m elevation)`;
+    let dayLengthMinutes = sun.alwaysUp ? 24 * 60 : 0;
+    if (sun.sunrise && sun.sunset) {
+      dayLengthMinutes = Math.round((sun.sunset - sun.sunrise) / 60000);
     }
 
     return {
-      response,
-      weatherData,
-      type: 'current'
+      date: day,
+      timezone,
+      latitude,
+      longitude,
+      sun: {
+        sunrise: iso(sun.sunrise),
+        sunset: iso(sun.sunset),
+        solarNoon: iso(sun.solarNoon),
+        dayLengthMinutes,
+        alwaysUp: sun.alwaysUp,
+        alwaysDown: sun.alwaysDown,
+        civilTwilight: { dawn: iso(sun.civilDawn), dusk: iso(sun.civilDusk) },
+        nauticalTwilight: { dawn: iso(sun.nauticalDawn), dusk: iso(sun.nauticalDusk) },
+        astronomicalTwilight: { dawn: iso(sun.astronomicalDawn), dusk: iso(sun.astronomicalDusk) },
+        goldenHour: {
+          morning: { start: iso(sun.sunrise), end: iso(sun.goldenHourMorningEnd) },
+          evening: { start: iso(sun.goldenHourEveningStart), end: iso(sun.sunset) }
+        }
+      },
+      moon: {
+        phase: Math.round(illumination.phase * 1000) / 1000,
+        phaseName: illumination.name,
+        icon: illumination.icon,
+        illumination: Math.round(illumination.fraction * 100),
+        moonrise: iso(moonTimes.rise),
+        moonset: iso(moonTimes.set),
+        alwaysUp: moonTimes.alwaysUp,
+        alwaysDown: moonTimes.alwaysDown
+      }
     };
   }
 
   /**
- * Format forecast for chat display
- */
-  formatForecastForChat(weatherData) {
-    const { daily, location } = weatherData;
-
-    let response = `**7-Day Weather Forecast for ${location.name}`;
-    if (location.admin1) response += `, ${location.admin1}`;
-    response += `, ${location.country}**\n\n`;
-
-    daily.slice(0, 7).forEach((day, index) => {
-      const date = new Date(day.date);
-      const dayName = index === 0 ? 'Today' : date.toLocaleDateString('en-US', { weekday: 'short' });
-      const dateStr = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-      const weatherDesc = this.getWeatherDescription(day.weatherCode);
-
-      response += `📅 **${dayName}, ${dateStr}**\n`;
-      response += `   🌡️ ${day.temperatureMin}° - ${day.temperatureMax}°C\n`;
-      response += `   ☁️ ${weatherDesc}\n`;
+   * Get sun and moon times for a city formatted for chat responses
+   */
+  async getAstronomyForChat(city, { date, ...filters } = {}) {
+    try {
+      const { location, candidates } = await this.resolveLocation(city, filters);
 
-      if (day.precipitationSum > 0) {
-        response += `   🌧️ ${day.precipitationSum}mm rain`;
-        if (day.precipitationProbability > 0) {
-          response += ` (${day.precipitationProbability}% chance)`;
-        }
-        response += `\n`;
+      if (candidates) {
+        return this.formatCandidatesForChat(city, candidates);
       }
 
-      if (day.windSpeedMax > 10) {
-        response += `   💨 Wind up to ${day.windSpeedMax} km/h\n`;
+      if (!location) {
+        return {
+          error: true,
+          message: `Could not find location for "${city}"${describeFilters(filters)}. Please check the city name and try again.`
+        };
       }
 
-      response += `\n`;
-    });
+      const astronomy = this.getAstronomy(location.latitude, location.longitude, {
+        date,
+        timezone: location.timezone || 'UTC'
+      });
 
-    return {
-      response,
-      weatherData,
-      type: 'forecast'
-    };
+      return this.formatAstronomyForChat({ ...astronomy, location });
+    } catch (error) {
+      return {
+        error: true,
+        message: error.message
+      };
+    }
   }
 
   /**
-   * Convert weather code to human-readable description
-   * Based on WMO Weather interpretation codes
+   * Fetch forecasts for several cities in parallel. Cities that can't be
+   * resolved (unknown or ambiguous names) are reported in `failures` instead
+   * of failing the whole comparison.
    */
-  getWeatherDescription(code) {
-    const weatherCodes = {
-      0: 'Clear sky',
-      1: 'Mainly clear',
-      2: 'Partly cloudy',
-      3: 'Overcast',
-      45: 'Fog',
-      48: 'Depositing rime fog',
-      51: 'Light drizzle',
-      53: 'Moderate drizzle',
-      55: 'Dense drizzle',
-      56: 'Light freezing drizzle',
-      57: 'Dense freezing drizzle',
-      61: 'Slight rain',
-      63: 'Moderate rain',
-      65: 'Heavy rain',
-      66: 'Light freezing rain',
-      67: 'Heavy freezing rain',
-      71: 'Slight snow fall',
-      73: 'Moderate snow fall',
-      75: 'Heavy snow fall',
-      77: 'Snow grains',
-      80: 'Slight rain showers',
-      81: 'Moderate rain showers',
-      82: 'Violent rain showers',
-      85: 'Slight snow showers',
-      86: 'Heavy snow showers',
-      95: 'Thunderstorm',
-      96: 'Thunderstorm with slight hail',
-      99: 'Thunderstorm with heavy hail'
-    };
+  async compareWeather(cities, { days = 7, units = 'metric' } = {}) {
+    const results = await Promise.allSettled(cities.map(async city => {
+      const { location, candidates } = await this.resolveLocation(city);
 
-    return weatherCodes[code] || `Weather code ${code}`;
+      if (candidates) {
+        const options = candidates.map(candidate => [candidate.name, candidate.admin1 || candidate.country].join(', '));
+        throw new Error(`"${city}" matches several places (${options.join('; ')}). Add a state or country.`);
+      }
+      if (!location) {
+        throw new Error(`Could not find location for "${city}"`);
+      }
+
+      const forecast = await this.getWeatherForecast(location.latitude, location.longitude, days, units);
+
+      // Add location info to a copy so the cached entry isn't mutated
+      const weatherData = { ...forecast, location };
+
+      return {
+        city,
+        weatherData,
+        highlights: this.getForecastHighlights(weatherData),
+        alerts: this.alertEngine.evaluate(weatherData)
+      };
+    }));
+
+    const entries = [];
+    const failures = [];
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        entries.push(result.value);
+      } else {
+        failures.push({ city: cities[index], message: result.reason.message });
+      }
+    });
+
+    return { entries, failures, days, unitSystem: resolveUnits(units) };
+  }
+
+  /**
+   * Forecast each stop of a trip for just its arrival-departure dates.
+   * Dates are clipped to the forecast horizon and each stop carries
+   * `warnings` for days that can't be forecast yet.
+   */
+  async planTrip(stops, { units = 'metric' } = {}) {
+    const today = new Date().toISOString().slice(0, 10);
+    const horizon = addDays(today, MAX_FORECAST_DAYS - 1);
+
+    const planned = await Promise.all(stops.map(async stop => {
+      const { city, arrival, departure, ...filters } = stop;
+      const plan = { stop, location: null, weatherData: null, alerts: [], warnings: [] };
+
+      try {
+        if (departure < arrival) {
+          throw new Error(`Departure ${departure} is before arrival ${arrival}`);
+        }
+
+        const { location, candidates } = await this.resolveLocation(city, filters);
+        if (candidates) {
+          const options = candidates.map(candidate => [candidate.name, candidate.admin1 || candidate.country].join(', '));
+          throw new Error(`"${city}" matches several places (${options.join('; ')}). Add a state or country.`);
+        }
+        if (!location) {
+          throw new Error(`Could not find location for "${city}"${describeFilters(filters)}`);
+        }
+        plan.location = location;
+
+        const startDate = arrival < today ? today : arrival;
+        const endDate = departure > horizon ? horizon : departure;
+
+        if (departure < today) {
+          plan.warnings.push('These dates are in the past.');
+          return plan;
+        }
+        if (arrival > horizon) {
+          plan.warnings.push(`These dates are beyond the ${MAX_FORECAST_DAYS}-day forecast horizon. A forecast will be available from ${addDays(arrival, -(MAX_FORECAST_DAYS - 1))}.`);
+          return plan;
+        }
+        if (arrival < today) {
+          plan.warnings.push(`Days before today (${today}) are not included.`);
+        }
+        if (departure > horizon) {
+          plan.warnings.push(`Only ${startDate} to ${horizon} can be forecast so far; the rest is beyond the ${MAX_FORECAST_DAYS}-day forecast horizon.`);
+        }
+
+        const forecast = await this.getWeatherForecast(location.latitude, location.longitude, MAX_FORECAST_DAYS, units, { startDate, endDate });
+
+        // Add location info to a copy so the cached entry isn't mutated
+        plan.weatherData = { ...forecast, location };
+        plan.highlights = this.getForecastHighlights(plan.weatherData);
+        plan.alerts = this.alertEngine.evaluate({ ...plan.weatherData, current: null });
+      } catch (error) {
+        plan.error = error.message;
+      }
+
+      return plan;
+    }));
+
+    return { stops: planned, unitSystem: resolveUnits(units) };
+  }
+
+  /**
+   * Summary figures for a forecast, used to compare places side by side
+   */
+  getForecastHighlights(weatherData) {
+    const numbers = key => weatherData.daily.map(day => day[key]).filter(value => value !== null && value !== undefined);
+    const average = values => values.length > 0 ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+    const highs = numbers('temperatureMax');
+    const lows = numbers('temperatureMin');
+    const precipitation = numbers('precipitationSum');
+
+    return {
+      averageHigh: average(highs),
+      averageLow: average(lows),
+      warmest: highs.length > 0 ? Math.max(...highs) : null,
+      coldest: lows.length > 0 ? Math.min(...lows) : null,
+      totalPrecipitation: Math.round(precipitation.reduce((sum, value) => sum + value, 0) * 10) / 10,
+      rainyDays: precipitation.filter(value => value > 0).length,
+      maxWindGust: numbers('windGustsMax').length > 0 ? Math.max(...numbers('windGustsMax')) : null,
+      maxUvIndex: numbers('uvIndexMax').length > 0 ? Math.max(...numbers('uvIndexMax')) : null
+    };
+  }
+
+  /**
+   * Get historical weather for a city or coordinates formatted for chat responses
+   */
+  async getHistoricalWeatherForChat({ city, latitude, longitude, startDate, endDate, units = 'metric', locale = 'en', ...filters }) {
+    try {
+      let location;
+
+      if (city) {
+        const resolved = await this.resolveLocation(city, filters);
+
+        if (resolved.candidates) {
+          return this.formatCandidatesForChat(city, resolved.candidates);
+        }
+
+        if (!resolved.location) {
+          return {
+            error: true,
+            message: `Could not find location for "${city}"${describeFilters(filters)}. Please check the city name and try again.`
+          };
+        }
+
+        location = resolved.location;
+      } else if (latitude !== undefined && longitude !== undefined) {
+        location = await this.reverseGeocode(latitude, longitude);
+      } else {
+        return {
+          error: true,
+          message: 'Provide either a city name or latitude and longitude.'
+        };
+      }
+
+      const observed = await this.getHistoricalWeather(location.latitude, location.longitude, startDate, endDate, units);
+
+      // Add location info to a copy so the cached entry isn't mutated
+      const weatherData = { ...observed, location };
+
+      return this.formatForecastForChat(weatherData, {
+        locale,
+        title: translate(locale, 'observedTitle', { startDate, endDate }),
+        historical: true
+      });
+    } catch (error) {
+      return {
+        error: true,
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Get hourly forecast for coordinates using Open-Meteo
+   */
+  async getHourlyForecast(latitude, longitude, hours = 24, units = 'metric') {
+    const unitSystem = resolveUnits(units);
+    const cacheKey = `hourly_${latitude}_${longitude}_${hours}_${unitsCacheKey(unitSystem)}`;
+    return this.cache.getOrFetch(cacheKey, 'hourly', () => this.fetchHourlyForecast(latitude, longitude, hours, unitSystem));
+  }
+
+  /**
+   * Fetch and parse an hourly forecast from the provider (uncached)
+   */
+  async fetchHourlyForecast(latitude, longitude, hours, unitSystem) {
+    try {
+      const data = await this.provider.forecast({
+        latitude: latitude,
+        longitude: longitude,
+        hourly: 'temperature_2m,apparent_temperature,precipitation_probability,precipitation,weather_code,wind_speed_10m,wind_direction_10m,wind_gusts_10m,is_day',
+        timezone: 'auto',
+        forecast_hours: hours,
+        ...toOpenMeteoParams(unitSystem)
+      });
+
+      // Parse the response into a more usable format
+      const result = {
+        latitude: data.latitude,
+        longitude: data.longitude,
+        timezone: data.timezone,
+        elevation: data.elevation,
+        hourly: data.hourly.time.map((time, index) => ({
+          time: time,
+          temperature: Math.round(data.hourly.temperature_2m[index]),
+          apparentTemperature: Math.round(data.hourly.apparent_temperature[index]),
+          precipitationProbability: data.hourly.precipitation_probability[index],
+          precipitation: data.hourly.precipitation[index],
+          weatherCode: data.hourly.weather_code[index],
+          windSpeed: data.hourly.wind_speed_10m[index],
+          windDirection: data.hourly.wind_direction_10m[index],
+          windGusts: data.hourly.wind_gusts_10m[index],
+          isDay: data.hourly.is_day[index] === 1
+        })),
+        units: data.hourly_units,
+        unitSystem,
+        timestamp: new Date().toISOString(),
+      };
+
+      return result;
+    } catch (error) {
+      throw new Error(`Failed to get hourly forecast for coordinates ${latitude}, ${longitude}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get hourly forecast for a city formatted for chat responses
+   */
+  async getHourlyWeatherForChat(city, hours = 24, units = 'metric', filters = {}) {
+    try {
+      const { location, candidates } = await this.resolveLocation(city, filters);
+
+      if (candidates) {
+        return this.formatCandidatesForChat(city, candidates);
+      }
+
+      if (!location) {
+        return {
+          error: true,
+          message: `Could not find location for "${city}"${describeFilters(filters)}. Please check the city name and try again.`
+        };
+      }
+
+      const forecast = await this.getHourlyForecast(location.latitude, location.longitude, hours, units);
+
+      // Add location info to a copy so the cached entry isn't mutated
+      const weatherData = { ...forecast, location };
+
+      return this.formatHourlyForecastForChat(weatherData);
+    } catch (error) {
+      return {
+        error: true,
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Get current air quality and pollen levels for coordinates using Open-Meteo
+   */
+  async getAirQuality(latitude, longitude) {
+    const cacheKey = `air_quality_${latitude}_${longitude}`;
+    return this.cache.getOrFetch(cacheKey, 'airQuality', () => this.fetchAirQuality(latitude, longitude));
+  }
+
+  /**
+   * Fetch and parse air quality from the provider (uncached)
+   */
+  async fetchAirQuality(latitude, longitude) {
+    try {
+      const data = await this.provider.airQuality({
+        latitude: latitude,
+        longitude: longitude,
+        current: 'us_aqi,european_aqi,pm10,pm2_5,ozone,nitrogen_dioxide,alder_pollen,birch_pollen,grass_pollen,mugwort_pollen,olive_pollen,ragweed_pollen',
+        timezone: 'auto'
+      });
+
+      const current = data.current;
+
+      return {
+        latitude: data.latitude,
+        longitude: data.longitude,
+        timezone: data.timezone,
+        current: {
+          time: current.time,
+          usAqi: current.us_aqi,
+          europeanAqi: current.european_aqi,
+          pm25: current.pm2_5,
+          pm10: current.pm10,
+          ozone: current.ozone,
+          nitrogenDioxide: current.nitrogen_dioxide,
+          // Pollen is only modelled for Europe during the season; elsewhere these are null
+          pollen: {
+            alder: current.alder_pollen,
+            birch: current.birch_pollen,
+            grass: current.grass_pollen,
+            mugwort: current.mugwort_pollen,
+            olive: current.olive_pollen,
+            ragweed: current.ragweed_pollen
+          }
+        },
+        units: data.current_units,
+        timestamp: new Date().toISOString(),
+      };
+    } catch (error) {
+      throw new Error(`Failed to get air quality for coordinates ${latitude}, ${longitude}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get air quality for a city formatted for chat responses
+   */
+  async getAirQualityForChat(city, filters = {}) {
+    try {
+      const { location, candidates } = await this.resolveLocation(city, filters);
+
+      if (candidates) {
+        return this.formatCandidatesForChat(city, candidates);
+      }
+
+      if (!location) {
+        return {
+          error: true,
+          message: `Could not find location for "${city}"${describeFilters(filters)}. Please check the city name and try again.`
+        };
+      }
+
+      const airQuality = await this.getAirQuality(location.latitude, location.longitude);
+
+      // Add location info to a copy so the cached entry isn't mutated
+      const airQualityData = { ...airQuality, location };
+
+      return this.formatAirQualityForChat(airQualityData);
+    } catch (error) {
+      return {
+        error: true,
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Get current and daily marine conditions for coordinates using Open-Meteo.
+   * Heights and sea temperature are converted to the requested units.
+   */
+  async getMarineConditions(latitude, longitude, units = 'metric') {
+    const unitSystem = resolveUnits(units);
+    const cacheKey = `marine_${latitude}_${longitude}_${unitsCacheKey(unitSystem)}`;
+    return this.cache.getOrFetch(cacheKey, 'marine', () => this.fetchMarineConditions(latitude, longitude, unitSystem));
+  }
+
+  /**
+   * Fetch and parse marine conditions from the provider (uncached)
+   */
+  async fetchMarineConditions(latitude, longitude, unitSystem) {
+    try {
+      const data = await this.provider.marine({
+        latitude: latitude,
+        longitude: longitude,
+        current: 'wave_height,wave_direction,wave_period,swell_wave_height,swell_wave_direction,swell_wave_period,wind_wave_height,sea_surface_temperature',
+        daily: 'wave_height_max,wave_direction_dominant,wave_period_max,swell_wave_height_max,swell_wave_period_max',
+        timezone: 'auto'
+      });
+
+      const current = data.current || {};
+      const height = value => value === null || value === undefined ? null : fromMetres(value, unitSystem);
+      const distanceKm = Math.round(Gazetteer.haversineKm(latitude, longitude, data.latitude, data.longitude));
+
+      // Land cells come back as nulls; a far-off sea cell isn't this place's coast either
+      const inland = (current.wave_height === null || current.wave_height === undefined) ||
+        distanceKm > MAX_MARINE_DISTANCE_KM;
+
+      return {
+        latitude: data.latitude,
+        longitude: data.longitude,
+        timezone: data.timezone,
+        distanceKm,
+        inland,
+        current: {
+          time: current.time,
+          waveHeight: height(current.wave_height),
+          waveDirection: current.wave_direction,
+          wavePeriod: current.wave_period,
+          swellWaveHeight: height(current.swell_wave_height),
+          swellWaveDirection: current.swell_wave_direction,
+          swellWavePeriod: current.swell_wave_period,
+          windWaveHeight: height(current.wind_wave_height),
+          seaSurfaceTemperature: current.sea_surface_temperature === null || current.sea_surface_temperature === undefined
+            ? null
+            : fromCelsius(current.sea_surface_temperature, unitSystem)
+        },
+        daily: data.daily ? data.daily.time.map((date, index) => ({
+          date,
+          waveHeightMax: height(data.daily.wave_height_max[index]),
+          waveDirection: data.daily.wave_direction_dominant[index],
+          wavePeriodMax: data.daily.wave_period_max[index],
+          swellWaveHeightMax: height(data.daily.swell_wave_height_max[index]),
+          swellWavePeriodMax: data.daily.swell_wave_period_max[index]
+        })) : [],
+        unitSystem,
+        timestamp: new Date().toISOString(),
+      };
+    } catch (error) {
+      throw new Error(`Failed to get marine conditions for coordinates ${latitude}, ${longitude}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get marine conditions and coastal wind for a city formatted for chat responses
+   */
+  async getMarineForChat(city, { units = 'metric', ...filters } = {}) {
+    try {
+      const { location, candidates } = await this.resolveLocation(city, filters);
+
+      if (candidates) {
+        return this.formatCandidatesForChat(city, candidates);
+      }
+
+      if (!location) {
+        return {
+          error: true,
+          message: `Could not find location for "${city}"${describeFilters(filters)}. Please check the city name and try again.`
+        };
+      }
+
+      // Sailors and surfers care about the wind as much as the waves
+      const [marine, forecast] = await Promise.all([
+        this.getMarineConditions(location.latitude, location.longitude, units),
+        this.getWeatherForecast(location.latitude, location.longitude, 1, units)
+      ]);
+
+      // Add location info to a copy so the cached entry isn't mutated
+      const marineData = { ...marine, location, wind: forecast.current };
+
+      return this.formatMarineForChat(marineData);
+    } catch (error) {
+      return {
+        error: true,
+        message: error.message
+      };
+    }
+  }
+
+  /**
+   * Get weather data for a city with enhanced formatting for chat responses.
+   * Set `climate` to compare with climate normals, which can mean a 30-year archive fetch.
+   */
+  async getWeatherForChat(city, includeForecast = false, units = 'metric', options = {}) {
+    const { days = 7, startDate, endDate, locale = 'en', climate = false, ...filters } = options;
+
+    try {
+      // First geocode the city
+      const { location, candidates } = await this.resolveLocation(city, filters);
+
+      if (candidates) {
+        return this.formatCandidatesForChat(city, candidates);
+      }
+
+      if (!location) {
+        return {
+          error: true,
+          message: `Could not find location for "${city}"${describeFilters(filters)}. Please check the city name and try again.`
+        };
+      }
+
+      // Get weather data for the coordinates
+      const forecast = await this.getWeatherForecast(
+        location.latitude,
+        location.longitude,
+        includeForecast ? days : 1,
+        units,
+        includeForecast ? { startDate, endDate } : {}
+      );
+
+      // Add location info to a copy so the cached entry isn't mutated
+      const located = { ...forecast, location };
+      const weatherData = climate ? await this.withClimateContext(located) : located;
+
+      if (includeForecast) {
+        return this.formatForecastForChat(weatherData, { locale });
+      } else {
+        return this.formatCurrentWeatherForChat(weatherData, { locale });
+      }
+    } catch (error) {
+      return {
+        error: true,
+        message: error.message
+      };
+    }
+  }
+
+
+
+  /**
+ * Format current weather for chat display
+ */
+  formatCurrentWeatherForChat(weatherData, { locale = 'en' } = {}) {
+    const { current, location } = weatherData;
+    const weatherDescription = this.getWeatherDescription(current.weatherCode, locale);
+    const { labels } = resolveUnits(weatherData.unitSystem);
+    const alerts = this.alertEngine.evaluate(weatherData, { locale });
+    const t = (key, params) => translate(locale, key, params);
+
+    let response = this.formatAlertBanner(alerts);
+    response += `**${t('currentTitle', { place: formatPlace(location) })}**\n\n`;
+
+    response += `🌡️ **${t('temperature')}:** ${current.temperature}${labels.temperature} (${t('feelsLike', { value: `${current.apparentTemperature}${labels.temperature}` })})\n`;
+    response += `${getWeatherEmoji(current.weatherCode, current.isDay)} **${t('condition')}:** ${weatherDescription}\n`;
+    response += `💧 **${t('humidity')}:** ${current.humidity}%\n`;
+    response += `🌬️ **${t('wind')}:** ${current.windSpeed} ${labels.wind}`;
+    if (current.windGusts > 0) {
+      response += ` (${t('gustsUpTo', { value: `${current.windGusts} ${labels.wind}` })})`;
+    }
+    response += `\n`;
+    response += `📊 **${t('pressure')}:** ${current.pressure} hPa\n`;
+    response += `☁️ **${t('cloudCover')}:** ${current.cloudCover}%\n`;
+
+    if (current.precipitation > 0) {
+      response += `🌧️ **${t('precipitation')}:** ${current.precipitation} ${labels.precipitation}\n`;
+    }
+
+    const timeOfDay = current.isDay ? `☀️ ${t('day')}` : `🌙 ${t('night')}`;
+    response += `🕐 **${t('timeOfDay')}:** ${timeOfDay}\n`;
+
+    const today = weatherData.daily?.[0];
+    if (today?.sunrise && today?.sunset) {
+      // Local wall-clock times ("2024-05-01T05:32"), so read them as-is
+      response += `🌅 **${t('sunriseSunset')}:** ${today.sunrise.split('T')[1]} / ${today.sunset.split('T')[1]}`;
+      if (today.daylightDuration) {
+        const minutes = Math.round(today.daylightDuration / 60);
+        response += ` (${t('daylight', { hours: Math.floor(minutes / 60), minutes: minutes % 60 })})`;
+      }
+      response += `\n`;
+    }
+
+    if (weatherData.climate) {
+      response += `📈 **${t('climate')}:** ${this.formatClimateSummary(weatherData.climate, weatherData.unitSystem, locale)}\n`;
+    }
+
+    response += `\n📍 **${t('location')}:** ${location.latitude.toFixed(2)}°, ${location.longitude.toFixed(2)}°`;
+    if (location.elevation) {
+      response += ` (${t('elevation', { value: Math.round(location.elevation) })})`;
+    }
+
+    const distanceNote = this.formatDistanceNote(location);
+    if (distanceNote) {
+      response += `\n${distanceNote}`;
+    }
+
+    return {
+      response,
+      weatherData,
+      alerts,
+      type: 'current'
+    };
+  }
+
+  /**
+ * Format forecast for chat display
+ */
+  formatForecastForChat(weatherData, { locale = 'en', title = this.getForecastTitle(weatherData, locale), historical = false } = {}) {
+    const { daily, location } = weatherData;
+    const { labels } = resolveUnits(weatherData.unitSystem);
+    const today = weatherData.current?.time?.slice(0, 10);
+    // Observed weather is over and done with, so only forecasts get alerts
+    const alerts = historical ? [] : this.alertEngine.evaluate(weatherData, { locale });
+    const t = (key, params) => translate(locale, key, params);
+
+    let response = this.formatAlertBanner(alerts);
+    response += `**${t('titleFor', { title, place: formatPlace(location) })}**\n\n`;
+
+    daily.forEach(day => {
+      // Dates are already local to the location; formatLocalDate keeps them on the same day
+      const dayName = day.date === today && !historical ? t('today') : formatLocalDate(day.date, locale, { weekday: 'short' });
+      const dateStr = formatLocalDate(day.date, locale, { month: 'short', day: 'numeric' });
+      const weatherDesc = this.getWeatherDescription(day.weatherCode, locale);
+
+      response += `📅 **${dayName}, ${dateStr}**\n`;
+      response += `   🌡️ ${day.temperatureMin}° - ${day.temperatureMax}${labels.temperature}\n`;
+      response += `   ${getWeatherEmoji(day.weatherCode)} ${weatherDesc}\n`;
+
+      if (day.precipitationSum > 0) {
+        response += `   🌧️ ${day.precipitationSum}${labels.precipitation} ${historical ? t('fell') : t('rain')}`;
+        if (day.precipitationProbability > 0) {
+          response += ` (${t('chance', { value: day.precipitationProbability })})`;
+        }
+        response += `\n`;
+      }
+
+      if (day.windSpeedMax > 10) {
+        response += `   💨 ${t('windUpTo', { value: `${day.windSpeedMax} ${labels.wind}` })}\n`;
+      }
+
+      response += `\n`;
+    });
+
+    if (weatherData.climate) {
+      response += `📈 **${t('climate')}:** ${this.formatClimateSummary(weatherData.climate, weatherData.unitSystem, locale)}\n`;
+    }
+
+    const distanceNote = this.formatDistanceNote(location);
+    if (distanceNote) {
+      response += `${distanceNote}\n`;
+    }
+
+    return {
+      response,
+      weatherData,
+      alerts,
+      type: historical ? 'historical' : 'forecast'
+    };
+  }
+
+  /**
+   * Heading for a forecast, e.g. "10-Day Weather Forecast" or "Weather Forecast 2025-06-05 to 2025-06-08"
+   */
+  getForecastTitle(weatherData, locale = 'en') {
+    if (weatherData.window) {
+      return translate(locale, 'forecastWindowTitle', weatherData.window);
+    }
+    return translate(locale, 'forecastTitle', { days: weatherData.daily.length });
+  }
+
+  /**
+   * Format hourly forecast for chat display
+   */
+  formatHourlyForecastForChat(weatherData) {
+    const { hourly, location } = weatherData;
+    const { labels } = resolveUnits(weatherData.unitSystem);
+
+    let response = `**${hourly.length}-Hour Forecast for ${location.name}`;
+    if (location.admin1) response += `, ${location.admin1}`;
+    response += `, ${location.country}**\n\n`;
+
+    hourly.forEach((hour) => {
+      // Open-Meteo returns local wall-clock times ("2024-05-01T17:00"), so read them as-is
+      const [date, time] = hour.time.split('T');
+      const weatherDesc = this.getWeatherDescription(hour.weatherCode);
+
+      response += `${getWeatherEmoji(hour.weatherCode, hour.isDay)} **${date.slice(5)} ${time}** - ${hour.temperature}${labels.temperature}, ${weatherDesc}`;
+      if (hour.precipitationProbability > 0) {
+        response += `, 🌧️ ${hour.precipitationProbability}%`;
+        if (hour.precipitation > 0) {
+          response += ` (${hour.precipitation} ${labels.precipitation})`;
+        }
+      }
+      response += `, 🌬️ ${hour.windSpeed} ${labels.wind}`;
+      if (hour.windGusts > hour.windSpeed) {
+        response += ` (gusts ${hour.windGusts} ${labels.wind})`;
+      }
+      response += `\n`;
+    });
+
+    return {
+      response,
+      weatherData,
+      type: 'hourly'
+    };
+  }
+
+  /**
+   * Format marine conditions for chat display
+   */
+  formatMarineForChat(marineData) {
+    const { current, daily, location, wind } = marineData;
+    const unitSystem = resolveUnits(marineData.unitSystem);
+    const { labels } = unitSystem;
+    const height = heightLabel(unitSystem);
+    // Partly covered sea cells leave gaps in the readings
+    const known = value => value !== null && value !== undefined;
+
+    let response = `**Marine Conditions near ${location.name}`;
+    if (location.admin1) response += `, ${location.admin1}`;
+    if (location.country) response += `, ${location.country}`;
+    response += `**\n\n`;
+
+    if (marineData.inland) {
+      response += `🏞️ ${location.name} is inland, so there are no wave or sea temperature readings for it. ` +
+        `Try the nearest coastal town instead.`;
+
+      return {
+        response,
+        marineData,
+        type: 'marine'
+      };
+    }
+
+    response += `🌊 **Waves:** ${current.waveHeight} ${height}`;
+    if (known(current.wavePeriod)) response += ` every ${current.wavePeriod}s`;
+    if (known(current.waveDirection)) response += ` from the ${toCompass(current.waveDirection)}`;
+    response += `\n`;
+
+    if (known(current.swellWaveHeight)) {
+      response += `〰️ **Swell:** ${current.swellWaveHeight} ${height}`;
+      if (known(current.swellWavePeriod)) response += ` at ${current.swellWavePeriod}s`;
+      if (known(current.swellWaveDirection)) response += ` from the ${toCompass(current.swellWaveDirection)} (${Math.round(current.swellWaveDirection)}°)`;
+      response += `\n`;
+    }
+    if (known(current.windWaveHeight)) {
+      response += `💨 **Wind Waves:** ${current.windWaveHeight} ${height}\n`;
+    }
+    if (known(current.seaSurfaceTemperature)) {
+      response += `🌡️ **Sea Temperature:** ${current.seaSurfaceTemperature}${labels.temperature}\n`;
+    }
+    if (wind) {
+      response += `🌬️ **Wind:** ${wind.windSpeed} ${labels.wind} from the ${toCompass(wind.windDirection)}`;
+      if (wind.windGusts > wind.windSpeed) {
+        response += ` (gusts up to ${wind.windGusts} ${labels.wind})`;
+      }
+      response += `\n`;
+    }
+
+    if (daily.length > 0) {
+      response += `\n**Next ${daily.length} Days**\n`;
+      daily.forEach(day => {
+        const dayName = formatLocalDate(day.date, 'en', { weekday: 'short', month: 'short', day: 'numeric' });
+        const readings = [];
+        if (known(day.waveHeightMax)) readings.push(`waves up to ${day.waveHeightMax} ${height}`);
+        if (known(day.wavePeriodMax)) readings.push(`period up to ${day.wavePeriodMax}s`);
+        if (known(day.waveDirection)) readings.push(`from the ${toCompass(day.waveDirection)}`);
+        response += `📅 ${dayName}: ${readings.length > 0 ? readings.join(', ') : 'no wave data'}\n`;
+      });
+    }
+
+    if (marineData.distanceKm >= 10) {
+      response += `\n🧭 Sea readings from about ${marineData.distanceKm} km offshore`;
+    }
+
+    return {
+      response,
+      marineData,
+      type: 'marine'
+    };
+  }
+
+  /**
+   * Format air quality and pollen for chat display
+   */
+  formatAirQualityForChat(airQualityData) {
+    const { current, location } = airQualityData;
+
+    let response = `**Air Quality in ${location.name}`;
+    if (location.admin1) response += `, ${location.admin1}`;
+    if (location.country) response += `, ${location.country}`;
+    response += `**\n\n`;
+
+    response += `🫁 **US AQI:** ${current.usAqi} (${this.getUsAqiCategory(current.usAqi)})\n`;
+    response += `🇪🇺 **European AQI:** ${current.europeanAqi} (${this.getEuropeanAqiCategory(current.europeanAqi)})\n`;
+    response += `🌫️ **PM2.5:** ${current.pm25} µg/m³\n`;
+    response += `🌫️ **PM10:** ${current.pm10} µg/m³\n`;
+    response += `☀️ **Ozone:** ${current.ozone} µg/m³\n`;
+
+    const pollen = Object.entries(current.pollen).filter(([, value]) => value !== null && value !== undefined);
+    if (pollen.length === 0) {
+      response += `\n🌼 **Pollen:** Not available for this region\n`;
+    } else {
+      response += `\n🌼 **Pollen** (grains/m³)\n`;
+      pollen.forEach(([type, value]) => {
+        const name = type.charAt(0).toUpperCase() + type.slice(1);
+        response += `   ${name}: ${value} (${this.getPollenLevel(value)})\n`;
+      });
+    }
+
+    return {
+      response,
+      airQualityData,
+      type: 'air_quality'
+    };
+  }
+
+  /**
+   * US EPA AQI category
+   */
+  getUsAqiCategory(aqi) {
+    if (aqi === null || aqi === undefined) return 'Unknown';
+    if (aqi <= 50) return 'Good';
+    if (aqi <= 100) return 'Moderate';
+    if (aqi <= 150) return 'Unhealthy for Sensitive Groups';
+    if (aqi <= 200) return 'Unhealthy';
+    if (aqi <= 300) return 'Very Unhealthy';
+    return 'Hazardous';
+  }
+
+  /**
+   * European Environment Agency AQI category
+   */
+  getEuropeanAqiCategory(aqi) {
+    if (aqi === null || aqi === undefined) return 'Unknown';
+    if (aqi <= 20) return 'Good';
+    if (aqi <= 40) return 'Fair';
+    if (aqi <= 60) return 'Moderate';
+    if (aqi <= 80) return 'Poor';
+    if (aqi <= 100) return 'Very Poor';
+    return 'Extremely Poor';
+  }
+
+  /**
+   * Rough pollen level from a grains/m³ count
+   */
+  getPollenLevel(count) {
+    if (count === 0) return 'None';
+    if (count < 10) return 'Low';
+    if (count < 50) return 'Moderate';
+    if (count < 200) return 'High';
+    return 'Very High';
+  }
+
+  /**
+   * Convert weather code to human-readable description
+   * Based on WMO Weather interpretation codes
+   */
+  getWeatherDescription(code, locale = 'en') {
+    return describeWeatherCode(code, locale);
+  }
+
+  /**
+   * Banner listing triggered alerts, placed above weather responses
+   */
+  formatAlertBanner(alerts) {
+    if (!alerts || alerts.length === 0) {
+      return '';
+    }
+
+    let banner = '';
+    alerts.forEach(alert => {
+      const icon = alert.severity === 'warning' ? '🚨' : '⚠️';
+      banner += `${icon} **${alert.title}:** ${alert.message}\n`;
+    });
+
+    return `${banner}\n`;
+  }
+
+  /**
+   * Climate comparison in words, e.g. "6°C warmer than usual for mid-October"
+   */
+  formatClimateSummary(climate, unitSystem, locale = 'en') {
+    const { labels } = resolveUnits(unitSystem);
+    const { temperature, precipitation } = climate.assessment;
+    const period = this.formatClimatePeriod(climate.period, locale);
+    const t = (key, params) => translate(locale, key, params);
+
+    const parts = [t(CLIMATE_TEMPERATURE_KEYS[temperature], { value: `${Math.abs(climate.anomaly.temperature)}${labels.temperature}`, period })];
+    if (precipitation) {
+      parts.push(t(CLIMATE_PRECIPITATION_KEYS[precipitation], { percent: climate.anomaly.precipitationPercent }));
+    }
+
+    const summary = parts.join(', ');
+    return summary.charAt(0).toUpperCase() + summary.slice(1);
+  }
+
+  /**
+   * "mid-October", or "late May to early June" for windows spanning parts of months
+   */
+  formatClimatePeriod({ start, end }, locale = 'en') {
+    const describe = ({ part, month }) => translate(locale, CLIMATE_PERIOD_KEYS[part], {
+      month: formatLocalDate(`2001-${String(month).padStart(2, '0')}-01`, locale, { month: 'long' })
+    });
+
+    const first = describe(start);
+    const last = describe(end);
+    return first === last ? first : translate(locale, 'climatePeriodRange', { start: first, end: last });
+  }
+
+  /**
+   * Format weather alerts for chat display
+   */
+  formatAlertsForChat(weatherData, alerts) {
+    const { location } = weatherData;
+    const period = weatherData.daily.length === 1 ? 'today' : `the next ${weatherData.daily.length} days`;
+
+    let response = `**Weather Alerts for ${location.name}`;
+    if (location.admin1) response += `, ${location.admin1}`;
+    if (location.country) response += `, ${location.country}`;
+    response += `**\n\n`;
+
+    if (alerts.length === 0) {
+      response += `✅ No severe weather expected ${period}.`;
+    } else {
+      response += this.formatAlertBanner(alerts);
+      response += `${alerts.length} alert${alerts.length === 1 ? '' : 's'} for ${period}.`;
+    }
+
+    return {
+      response,
+      weatherData,
+      alerts,
+      type: 'alerts'
+    };
+  }
+
+  /**
+   * Format activity scores as the best few days or hours per activity
+   */
+  formatActivityScoresForChat(weatherData, scores, granularity = 'days') {
+    const { location } = weatherData;
+    const period = granularity === 'hours'
+      ? `next ${weatherData.hourly.length} hours`
+      : `next ${weatherData.daily.length} days`;
+
+    let response = `**Activity Outlook for ${location.name}`;
+    if (location.admin1) response += `, ${location.admin1}`;
+    if (location.country) response += `, ${location.country}`;
+    response += `** (${period})\n\n`;
+
+    scores.forEach(({ label, icon, periods }) => {
+      const [best] = periods;
+      response += `${icon} **${label}**: best ${best.label} (${best.score}/100, ${best.rating})\n`;
+
+      periods.slice(0, 3).forEach(({ label: when, score, rating, reasons }) => {
+        response += `   • ${when}: ${score}/100 ${rating}`;
+        if (reasons.length > 0) response += ` (${reasons.slice(0, 2).join(', ')})`;
+        response += '\n';
+      });
+      response += '\n';
+    });
+
+    response += this.formatDistanceNote(location);
+
+    return {
+      response: response.trimEnd(),
+      weatherData,
+      scores,
+      type: 'activities'
+    };
+  }
+
+  /**
+   * Format sun and moon times in the location's local time
+   */
+  formatAstronomyForChat(astronomyData) {
+    const { sun, moon, location, timezone } = astronomyData;
+    const time = iso => iso
+      ? new Date(iso).toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', timeZone: timezone })
+      : '—';
+    const dateLabel = formatLocalDate(astronomyData.date, 'en', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+
+    let response = `**Sun & Moon for ${location.name}`;
+    if (location.admin1) response += `, ${location.admin1}`;
+    if (location.country) response += `, ${location.country}`;
+    response += `** (${dateLabel})\n\n`;
+
+    if (sun.alwaysUp) {
+      response += `☀️ **Midnight sun:** the sun stays up all day\n`;
+    } else if (sun.alwaysDown) {
+      response += `🌌 **Polar night:** the sun stays below the horizon\n`;
+    } else {
+      response += `🌅 **Sunrise:** ${time(sun.sunrise)}\n`;
+      response += `🌇 **Sunset:** ${time(sun.sunset)}\n`;
+    }
+    response += `☀️ **Solar Noon:** ${time(sun.solarNoon)}\n`;
+    response += `⏱️ **Day Length:** ${Math.floor(sun.dayLengthMinutes / 60)}h ${sun.dayLengthMinutes % 60}m\n`;
+
+    if (sun.sunrise && sun.sunset) {
+      response += `📸 **Golden Hour:** ${time(sun.goldenHour.morning.start)}–${time(sun.goldenHour.morning.end)} and ${time(sun.goldenHour.evening.start)}–${time(sun.goldenHour.evening.end)}\n`;
+    }
+
+    response += `\n**Twilight** (dawn / dusk)\n`;
+    response += `🌆 Civil: ${time(sun.civilTwilight.dawn)} / ${time(sun.civilTwilight.dusk)}\n`;
+    response += `⚓ Nautical: ${time(sun.nauticalTwilight.dawn)} / ${time(sun.nauticalTwilight.dusk)}\n`;
+    response += `🔭 Astronomical: ${time(sun.astronomicalTwilight.dawn)} / ${time(sun.astronomicalTwilight.dusk)}\n`;
+
+    response += `\n${moon.icon} **Moon:** ${moon.phaseName}, ${moon.illumination}% illuminated\n`;
+    if (moon.alwaysUp) {
+      response += `🌙 The moon stays above the horizon all day\n`;
+    } else if (moon.alwaysDown) {
+      response += `🌙 The moon stays below the horizon all day\n`;
+    } else {
+      response += `🌙 **Moonrise:** ${time(moon.moonrise)} · **Moonset:** ${time(moon.moonset)}\n`;
+    }
+
+    response += `\n🕐 Times are local (${timezone})`;
+
+    return {
+      response,
+      astronomyData,
+      type: 'astronomy'
+    };
+  }
+
+  /**
+   * Format a forecast-versus-normals comparison for chat display
+   */
+  formatClimateContextForChat(weatherData) {
+    const { climate, location } = weatherData;
+    const { labels } = resolveUnits(weatherData.unitSystem);
+    const signed = value => `${value > 0 ? '+' : ''}${value}`;
+
+    let response = `**Climate Context for ${location.name}`;
+    if (location.admin1) response += `, ${location.admin1}`;
+    if (location.country) response += `, ${location.country}`;
+    response += `** (${climate.startDate} to ${climate.endDate})\n\n`;
+
+    response += `📈 ${this.formatClimateSummary(climate, weatherData.unitSystem)}.\n\n`;
+    response += `🌡️ **Average High:** ${climate.forecast.temperatureMax}${labels.temperature} (normal ${climate.normal.temperatureMax}${labels.temperature}, ${signed(climate.anomaly.temperatureMax)}${labels.temperature})\n`;
+    response += `🌡️ **Average Low:** ${climate.forecast.temperatureMin}${labels.temperature} (normal ${climate.normal.temperatureMin}${labels.temperature}, ${signed(climate.anomaly.temperatureMin)}${labels.temperature})\n`;
+    response += `🌧️ **Precipitation:** ${climate.forecast.precipitation}${labels.precipitation}/day (normal ${climate.normal.precipitation}${labels.precipitation}/day`;
+    if (climate.anomaly.precipitationPercent !== null) {
+      response += `, ${climate.anomaly.precipitationPercent}% of normal`;
+    }
+    response += `)\n\n`;
+
+    response += `📚 Normals: ${climate.baseline.startYear}-${climate.baseline.endYear} average for ${this.formatClimatePeriod(climate.period)}`;
+
+    return {
+      response,
+      weatherData,
+      climate,
+      type: 'climate'
+    };
+  }
+
+  /**
+   * Format a trip plan as one forecast section per stop
+   */
+  formatTripForChat(trip) {
+    const { labels } = resolveUnits(trip.unitSystem);
+
+    let response = `**Trip Weather Plan**\n\n`;
+
+    trip.stops.forEach(({ stop, location, weatherData, alerts, warnings, error }, index) => {
+      const place = location
+        ? [location.name, location.admin1, location.country].filter(Boolean).join(', ')
+        : stop.city;
+
+      response += `**${index + 1}. ${place}** (${stop.arrival} to ${stop.departure})\n`;
+
+      if (error) {
+        response += `   ❌ ${error}\n\n`;
+        return;
+      }
+
+      warnings.forEach(warning => {
+        response += `   ⏳ ${warning}\n`;
+      });
+      alerts.forEach(alert => {
+        response += `   ${alert.severity === 'warning' ? '🚨' : '⚠️'} ${alert.title}: ${alert.message}\n`;
+      });
+
+      (weatherData?.daily || []).forEach(day => {
+        const dateStr = formatLocalDate(day.date, 'en', { weekday: 'short', month: 'short', day: 'numeric' });
+        response += `   📅 ${dateStr}: ${day.temperatureMin}° - ${day.temperatureMax}${labels.temperature}, ${this.getWeatherDescription(day.weatherCode)}`;
+        if (day.precipitationSum > 0) {
+          response += `, ${day.precipitationSum}${labels.precipitation}`;
+        }
+        response += `\n`;
+      });
+
+      response += `\n`;
+    });
+
+    return {
+      response,
+      trip,
+      type: 'trip'
+    };
+  }
+
+  /**
+   * Format a multi-city comparison as a markdown table
+   */
+  formatComparisonForChat(comparison) {
+    const { entries, failures, days } = comparison;
+    const { labels } = resolveUnits(comparison.unitSystem);
+
+    let response = `**Weather Comparison (${days === 1 ? 'today' : `next ${days} days`})**\n\n`;
+
+    if (entries.length > 0) {
+      response += `| Place | Now | Conditions | Avg high / low | Rainy days | Precipitation | Max gust | Alerts |\n`;
+      response += `|---|---|---|---|---|---|---|---|\n`;
+
+      entries.forEach(({ weatherData, highlights, alerts }) => {
+        const { location, current } = weatherData;
+        const place = [location.name, location.admin1 || location.country].filter(Boolean).join(', ');
+        // Alerts are sorted most severe first; keep the cell short
+        let alertText = alerts.length > 0 ? alerts[0].title : '-';
+        if (alerts.length > 1) alertText += ` (+${alerts.length - 1} more)`;
+
+        response += `| ${place} `;
+        response += `| ${current.temperature}${labels.temperature} `;
+        response += `| ${this.getWeatherDescription(current.weatherCode)} `;
+        response += `| ${highlights.averageHigh}° / ${highlights.averageLow}${labels.temperature} `;
+        response += `| ${highlights.rainyDays}/${weatherData.daily.length} `;
+        response += `| ${highlights.totalPrecipitation} ${labels.precipitation} `;
+        response += `| ${highlights.maxWindGust ?? '-'} ${labels.wind} `;
+        response += `| ${alertText} |\n`;
+      });
+    }
+
+    if (failures.length > 0) {
+      response += `\n`;
+      failures.forEach(failure => {
+        response += `⚠️ Skipped ${failure.city}: ${failure.message}\n`;
+      });
+    }
+
+    return {
+      response,
+      comparison,
+      type: 'comparison'
+    };
+  }
+
+  /**
+   * Ask which of several same-named places the user meant
+   */
+  formatCandidatesForChat(city, candidates) {
+    let response = `I found several places called "${city}". Which one did you mean?\n\n`;
+
+    candidates.forEach((location, index) => {
+      response += `${index + 1}. **${location.name}`;
+      if (location.admin1) response += `, ${location.admin1}`;
+      response += `, ${location.country}**`;
+      if (location.population) {
+        response += ` (population ${location.population.toLocaleString()})`;
+      }
+      response += `\n`;
+    });
+
+    return {
+      response,
+      ambiguous: true,
+      candidates,
+      type: 'candidates'
+    };
+  }
+
+  /**
+   * Note for reverse-geocoded locations that are not right at the matched place
+   */
+  formatDistanceNote(location) {
+    if (!location.distanceKm || location.distanceKm < 10) {
+      return '';
+    }
+    return `🧭 About ${location.distanceKm} km from ${location.nearestPlace || location.name}`;
   }
 
   /**
@@ -317,6 +1870,67 @@ class WeatherService {
   clearCache() {
     this.cache.clear();
   }
+
+  /**
+   * Cache hit/miss counters and size
+   */
+  getCacheStats() {
+    return this.cache.getStats();
+  }
+}
+
+/**
+ * Case- and accent-insensitive form of a place name for comparisons
+ */
+function normalizePlaceName(name) {
+  return (name || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+/**
+ * Whether a user-supplied filter matches any of the given names or codes
+ */
+function matchesPlace(filter, ...values) {
+  const wanted = normalizePlaceName(filter);
+  return values.some(value => value && normalizePlaceName(value) === wanted);
+}
+
+/**
+ * 16-point compass name for a bearing in degrees
+ */
+function toCompass(degrees) {
+  const points = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+  return points[Math.round(((degrees % 360) + 360) % 360 / 22.5) % 16];
+}
+
+/**
+ * Shift an ISO date (YYYY-MM-DD) by a number of days
+ */
+function addDays(date, days) {
+  return new Date(new Date(`${date}T00:00:00Z`).getTime() + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Resolve with the promise's value, or null if it takes longer than `ms`
+ */
+function resolveWithin(promise, ms) {
+  let timer;
+  const timeout = new Promise(resolve => {
+    timer = setTimeout(() => resolve(null), ms);
+    timer.unref();
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * "Springfield, Illinois, United States" from a location's name, region and country
+ */
+function formatPlace(location) {
+  return [location.name, location.admin1, location.country].filter(Boolean).join(', ');
+}
+
+function describeFilters({ country, admin1 } = {}) {
+  const parts = [admin1, country].filter(Boolean);
+  return parts.length > 0 ? ` in ${parts.join(', ')}` : '';
 }
 
 module.exports = WeatherService; 
\ No newline at end of file
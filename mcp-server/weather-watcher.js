@@ -0,0 +1,141 @@
+/**
+ * Weather Watcher
+ *
+ * Polls subscribed weather resources on a schedule and tells listeners when
+ * conditions change meaningfully: the temperature moves by a few degrees,
+ * the weather turns (e.g. cloud to rain, or a jump in severity), or alerts
+ * are raised, upgraded or lifted. One watcher can be shared by every MCP
+ * session so each resource is polled once however many clients follow it.
+ */
+
+const { getWeatherCode } = require('./weather-codes');
+
+const MINUTE = 60 * 1000;
+const DEFAULT_INTERVAL = 5 * MINUTE;
+// In the resource's temperature units (resources are metric, so °C)
+const DEFAULT_TEMPERATURE_CHANGE = 2;
+
+class WeatherWatcher {
+  constructor(options = {}) {
+    this.intervalMs = options.intervalMs || parseInt(process.env.WEATHER_SUBSCRIPTION_INTERVAL_MS, 10) || DEFAULT_INTERVAL;
+    this.temperatureChange = options.temperatureChange || DEFAULT_TEMPERATURE_CHANGE;
+
+    this.watches = new Map(); // key -> { load, listeners, snapshot }
+    this.timer = null;
+    this.polling = null;
+  }
+
+  /**
+   * Start watching `key`. `load` fetches the resource data ({ weatherData, alerts });
+   * `listener` is called after a poll finds a meaningful change. Returns a function
+   * that stops this listener; polling stops once nobody is watching anything.
+   */
+  watch(key, load, listener) {
+    let entry = this.watches.get(key);
+
+    if (!entry) {
+      entry = { load, listeners: new Set(), snapshot: undefined };
+      this.watches.set(key, entry);
+      // Baseline to compare the first poll against
+      this.refresh(key, entry).catch(() => {});
+    }
+
+    entry.listeners.add(listener);
+    this.start();
+
+    return () => {
+      entry.listeners.delete(listener);
+      if (entry.listeners.size === 0 && this.watches.get(key) === entry) {
+        this.watches.delete(key);
+      }
+      if (this.watches.size === 0) {
+        this.stop();
+      }
+    };
+  }
+
+  start() {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => this.poll(), this.intervalMs);
+    // Don't keep the process alive just to poll
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Reload every watched resource and notify listeners of those that changed.
+   * A poll still running when the next one is due is reused rather than overlapped.
+   */
+  async poll() {
+    if (!this.polling) {
+      this.polling = Promise.all([...this.watches].map(([key, entry]) => this.refresh(key, entry)))
+        .finally(() => {
+          this.polling = null;
+        });
+    }
+    return this.polling;
+  }
+
+  async refresh(key, entry) {
+    let snapshot;
+    try {
+      snapshot = this.takeSnapshot(await entry.load());
+    } catch (error) {
+      console.warn(`⚠️  Could not refresh watched resource ${key}:`, error.message);
+      return;
+    }
+
+    if (entry.snapshot === undefined) {
+      entry.snapshot = snapshot;
+      return;
+    }
+
+    // Compare with the last state listeners heard about, so slow drifts add up
+    if (this.hasChanged(entry.snapshot, snapshot)) {
+      entry.snapshot = snapshot;
+      entry.listeners.forEach(listener => {
+        try {
+          listener(key);
+        } catch (error) {
+          console.warn(`⚠️  Resource update listener failed for ${key}:`, error.message);
+        }
+      });
+    }
+  }
+
+  /**
+   * The parts of the data that count as a change; null for data without
+   * current conditions (e.g. an ambiguous city)
+   */
+  takeSnapshot(data) {
+    const current = data?.weatherData?.current;
+    if (!current) {
+      return null;
+    }
+
+    const condition = getWeatherCode(current.weatherCode);
+    return {
+      temperature: current.temperature,
+      condition: `${condition.group}:${condition.severity}`,
+      alerts: (data.alerts || []).map(alert => `${alert.type}:${alert.severity}`).sort().join(',')
+    };
+  }
+
+  hasChanged(previous, next) {
+    if (!previous || !next) {
+      return previous !== next;
+    }
+
+    return Math.abs(next.temperature - previous.temperature) >= this.temperatureChange ||
+      next.condition !== previous.condition ||
+      next.alerts !== previous.alerts;
+  }
+}
+
+module.exports = WeatherWatcher;
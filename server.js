@@ -2,6 +2,9 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const axios = require('axios');
+const { getWeatherCodeTable } = require('./mcp-server/weather-codes');
+const { SUPPORTED_LOCALES, resolveLocale } = require('./mcp-server/i18n');
+const ClaudeService = require('./mcp-server/claude-service');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -83,6 +86,14 @@ async function initializeMCPSession() {
 }
 
 async function callMCPTool(toolName, args) {
+  return sendMCPRequest('tools/call', {
+    name: toolName,
+    arguments: args
+  });
+}
+
+// Send any JSON-RPC request (tools/call, completion/complete, ...) on the MCP session
+async function sendMCPRequest(method, params) {
   try {
     // Ensure we have an active session
     await initializeMCPSession();
@@ -101,14 +112,11 @@ async function callMCPTool(toolName, args) {
     const response = await axios.post(`${MCP_SERVER_URL}/mcp`, {
       jsonrpc: '2.0',
       id: Math.floor(Math.random() * 10000),
-      method: 'tools/call',
-      params: {
-        name: toolName,
-        arguments: args
-      }
+      method,
+      params
     }, { headers });
 
-    console.log('🔧 MCP tool response:', response.status, response.headers['content-type']);
+    console.log(`🔧 MCP ${method} response:`, response.status, response.headers['content-type']);
 
     if (!response.data) {
       throw new Error('Empty response from MCP server');
@@ -124,7 +132,7 @@ async function callMCPTool(toolName, args) {
         const jsonData = JSON.parse(dataLine.substring(6));
 
         if (jsonData.error) {
-          throw new Error(jsonData.error.message || 'MCP tool call failed');
+          throw new Error(jsonData.error.message || `MCP ${method} failed`);
         }
 
         if (jsonData.result) {
@@ -140,7 +148,7 @@ async function callMCPTool(toolName, args) {
 
     // Handle regular JSON response (fallback)
     if (response.data.error) {
-      throw new Error(response.data.error.message || 'MCP tool call failed');
+      throw new Error(response.data.error.message || `MCP ${method} failed`);
     }
 
     if (!response.data.result) {
@@ -154,7 +162,7 @@ async function callMCPTool(toolName, args) {
       // Session might be invalid, reset and retry once
       mcpSessionId = null;
       console.log('🔄 Retrying with new MCP session...');
-      return await callMCPTool(toolName, args);
+      return await sendMCPRequest(method, params);
     }
 
     if (error.response) {
@@ -167,6 +175,156 @@ async function callMCPTool(toolName, args) {
   }
 }
 
+// Build the MCP `units` argument from ?units=imperial or the individual
+// ?temperature_unit=, ?wind_speed_unit= and ?precipitation_unit= overrides
+function parseUnitsQuery(query) {
+  const { units = 'metric', temperature_unit, wind_speed_unit, precipitation_unit } = query;
+
+  if (!temperature_unit && !wind_speed_unit && !precipitation_unit) {
+    return units;
+  }
+
+  const custom = {};
+  if (temperature_unit) custom.temperature = temperature_unit;
+  if (wind_speed_unit) custom.wind = wind_speed_unit;
+  if (precipitation_unit) custom.precipitation = precipitation_unit;
+  return custom;
+}
+
+// Response language from an explicit `locale` (body or query string), falling
+// back to the browser's Accept-Language header, then English
+function resolveRequestLocale(req) {
+  const requested = req.body?.locale || req.query.locale;
+  if (requested) {
+    return resolveLocale(requested);
+  }
+  return req.acceptsLanguages(...SUPPORTED_LOCALES) || 'en';
+}
+
+// Find the location a user picked from a list of candidates, either by number
+// ("2") or by naming the state/region or country ("the one in Maine"). Numbers
+// only count on their own, so "weather in Paris for 3 days" is a new question.
+function pickLocationCandidate(message, candidates) {
+  const text = message.toLowerCase();
+
+  const number = text.match(/^\s*(\d+)\s*$/);
+  if (number) {
+    return candidates[parseInt(number[1], 10) - 1] || null;
+  }
+
+  const byRegion = candidates.filter(candidate => candidate.admin1 && text.includes(candidate.admin1.toLowerCase()));
+  if (byRegion.length === 1) {
+    return byRegion[0];
+  }
+
+  const byCountry = candidates.filter(candidate => candidate.country && text.includes(candidate.country.toLowerCase()));
+  return byCountry.length === 1 ? byCountry[0] : null;
+}
+
+// One Claude client for city extraction, created on first use since it needs CLAUDE_API_KEY
+let claudeService = null;
+
+function getClaudeService() {
+  if (!claudeService) {
+    claudeService = new ClaudeService();
+  }
+  return claudeService;
+}
+
+// "compare Oslo and Bergen", "Lisbon vs Barcelona", or two place names either
+// side of "or" ("Lisbon or Barcelona", but not "rain or shine")
+const COMPARISON_KEYWORDS = /\b(?:compare|compared|comparison|vs|versus)\b/i;
+const PLACE_OR_PLACE = /\b\p{Lu}[\p{L}'-]+,?\s+or\s+\p{Lu}[\p{L}'-]+/u;
+
+function isComparisonQuery(message) {
+  return COMPARISON_KEYWORDS.test(message) || PLACE_OR_PLACE.test(message);
+}
+
+// Tools the chat endpoint calls for a single city, and may call again once the
+// user has picked between candidates
+const CHAT_WEATHER_TOOLS = ['get_weather', 'get_forecast'];
+
+// Call a weather tool for the chat endpoint and shape the reply. Ambiguous city
+// names come back as a `locationChoice` the client sends with the user's answer;
+// it keeps the original arguments so the answer replays the same request.
+async function getWeatherChatReply(toolName, args) {
+  try {
+    // Call MCP server using real protocol
+    const mcpResult = await callMCPTool(toolName, args);
+
+    // Handle MCP protocol response format
+    if (mcpResult.error) {
+      return {
+        response: `Sorry, I couldn't get the weather data for ${args.city}. ${mcpResult.error.message}`,
+        error: true
+      };
+    }
+
+    // Extract the formatted response from MCP result
+    const content = mcpResult.content || mcpResult.result?.content;
+    if (!content || !content[0]) {
+      return {
+        response: `Sorry, I couldn't get the weather data for ${args.city}. Invalid response format.`,
+        error: true
+      };
+    }
+
+    const formattedResponse = content[0].text;
+
+    if (mcpResult.structuredContent?.ambiguous) {
+      return {
+        response: `${formattedResponse}\nReply with the number or the state/country you meant.`,
+        type: 'location_choice',
+        locationChoice: {
+          tool: toolName,
+          args,
+          candidates: mcpResult.structuredContent.candidates
+        }
+      };
+    }
+
+    // Structured data from the tool's outputSchema, for the client's weather badge
+    return {
+      response: formattedResponse,
+      type: 'weather',
+      weatherData: mcpResult.structuredContent?.weatherData
+    };
+  } catch (error) {
+    console.error('MCP server error:', error);
+    return {
+      response: `Sorry, I couldn't get the weather data for ${args.city}. ${error.message}`,
+      error: true
+    };
+  }
+}
+
+// Compare several cities for the chat endpoint, using the message as the purpose
+async function getComparisonChatReply(cities, message, units) {
+  try {
+    const mcpResult = await callMCPTool('compare_weather', { cities, purpose: message, units });
+    const content = mcpResult.content || mcpResult.result?.content;
+
+    if (!content || !content[0]) {
+      return {
+        response: `Sorry, I couldn't compare the weather for ${cities.join(', ')}. Invalid response format.`,
+        error: true
+      };
+    }
+
+    return {
+      response: content[0].text,
+      type: 'comparison',
+      error: mcpResult.isError || undefined
+    };
+  } catch (error) {
+    console.error('MCP server error:', error);
+    return {
+      response: `Sorry, I couldn't compare the weather for ${cities.join(', ')}. ${error.message}`,
+      error: true
+    };
+  }
+}
+
 async function getMCPServerInfo() {
   try {
     const response = await axios.get(`${MCP_SERVER_URL}/health`);
@@ -179,7 +337,23 @@ async function getMCPServerInfo() {
 // Chat API endpoint
 app.post('/api/chat', async (req, res) => {
   try {
-    const { message, conversationHistory } = req.body;
+    const { message, conversationHistory, units = 'metric', locationChoice } = req.body;
+    const locale = resolveRequestLocale(req);
+
+    // Answer to an earlier "which one did you mean?" question
+    if (locationChoice && CHAT_WEATHER_TOOLS.includes(locationChoice.tool)) {
+      const candidate = pickLocationCandidate(message, locationChoice.candidates || []);
+      if (candidate) {
+        return res.json(await getWeatherChatReply(locationChoice.tool, {
+          ...locationChoice.args,
+          city: candidate.name,
+          country: candidate.countryCode || candidate.country,
+          admin1: candidate.admin1,
+          units,
+          locale
+        }));
+      }
+    }
 
     // Check if the message is asking about weather
     const isWeatherQuery = message.toLowerCase().includes('weather') ||
@@ -190,10 +364,16 @@ app.post('/api/chat', async (req, res) => {
       // Use LLM for intelligent city extraction
       let cityMatch = null;
       try {
-        // Import Claude service for LLM extraction
-        const ClaudeService = require('./mcp-server/claude-service');
-        const claudeService = new ClaudeService();
-        cityMatch = await claudeService.extractCityFromMessage(message);
+        if (isComparisonQuery(message)) {
+          // "Weather in Lisbon or Barcelona next week?" - compare several places at once
+          const cities = await getClaudeService().extractCitiesFromMessage(message);
+          if (cities.length >= 2) {
+            return res.json(await getComparisonChatReply(cities.slice(0, 10), message, units));
+          }
+          cityMatch = cities[0] || null;
+        } else {
+          cityMatch = await getClaudeService().extractCityFromMessage(message);
+        }
         console.log('🔍 LLM extracted city:', cityMatch);
       } catch (error) {
         console.error('LLM city extraction failed:', error);
@@ -207,48 +387,19 @@ app.post('/api/chat', async (req, res) => {
         });
       }
 
-      try {
-        // Determine if user wants forecast or current weather
-        const wantsForecast = message.toLowerCase().includes('forecast') ||
-          message.toLowerCase().includes('week') ||
-          message.toLowerCase().includes('days');
-
-        // Call MCP server using real protocol
-        const mcpResult = await callMCPTool(
-          wantsForecast ? 'get_forecast' : 'get_weather',
-          { city: cityMatch }
-        );
-
-        // Handle MCP protocol response format
-        if (mcpResult.error) {
-          return res.json({
-            response: `Sorry, I couldn't get the weather data for ${cityMatch}. ${mcpResult.error.message}`,
-            error: true
-          });
-        }
-
-        // Extract the formatted response from MCP result
-        const content = mcpResult.content || mcpResult.result?.content;
-        if (!content || !content[0]) {
-          return res.json({
-            response: `Sorry, I couldn't get the weather data for ${cityMatch}. Invalid response format.`,
-            error: true
-          });
-        }
-
-        const formattedResponse = content[0].text;
+      // Determine if user wants forecast or current weather
+      const wantsForecast = message.toLowerCase().includes('forecast') ||
+        message.toLowerCase().includes('week') ||
+        message.toLowerCase().includes('days');
 
-        return res.json({
-          response: formattedResponse,
-          type: 'weather'
-        });
-      } catch (error) {
-        console.error('MCP server error:', error);
-        return res.json({
-          response: `Sorry, I couldn't get the weather data for ${cityMatch}. ${error.message}`,
-          error: true
-        });
+      // "10-day forecast" / "next 3 days", capped at the 16-day forecast horizon
+      const daysMatch = message.match(/(\d{1,2})[\s-]*days?\b/i);
+      const args = { city: cityMatch, units, locale };
+      if (wantsForecast && daysMatch) {
+        args.days = Math.min(Math.max(parseInt(daysMatch[1], 10), 1), 16);
       }
+
+      return res.json(await getWeatherChatReply(wantsForecast ? 'get_forecast' : 'get_weather', args));
     }
 
     // Regular chat response for non-weather queries
@@ -268,7 +419,14 @@ app.post('/api/chat', async (req, res) => {
 app.get('/api/weather/:city', async (req, res) => {
   try {
     const { city } = req.params;
-    const mcpResult = await callMCPTool('get_weather', { city });
+    const { country, admin1 } = req.query;
+    const mcpResult = await callMCPTool('get_weather', {
+      city,
+      country,
+      admin1,
+      units: parseUnitsQuery(req.query),
+      locale: resolveRequestLocale(req)
+    });
     res.json(mcpResult);
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -278,8 +436,112 @@ app.get('/api/weather/:city', async (req, res) => {
 app.get('/api/forecast/:city', async (req, res) => {
   try {
     const { city } = req.params;
-    const { days = 7 } = req.query;
-    const mcpResult = await callMCPTool('get_forecast', { city, days: parseInt(days) });
+    const { days = 7, start_date, end_date, country, admin1 } = req.query;
+    const mcpResult = await callMCPTool('get_forecast', {
+      city,
+      days: parseInt(days),
+      start_date,
+      end_date,
+      country,
+      admin1,
+      units: parseUnitsQuery(req.query),
+      locale: resolveRequestLocale(req)
+    });
+    res.json(mcpResult);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/hourly/:city', async (req, res) => {
+  try {
+    const { city } = req.params;
+    const { hours = 24, country, admin1 } = req.query;
+    const mcpResult = await callMCPTool('get_hourly_forecast', {
+      city,
+      hours: parseInt(hours),
+      country,
+      admin1,
+      units: parseUnitsQuery(req.query)
+    });
+    res.json(mcpResult);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/historical/:city', async (req, res) => {
+  try {
+    const { city } = req.params;
+    const { start_date, end_date, country, admin1 } = req.query;
+    const mcpResult = await callMCPTool('get_historical_weather', {
+      city,
+      start_date,
+      end_date,
+      country,
+      admin1,
+      units: parseUnitsQuery(req.query),
+      locale: resolveRequestLocale(req)
+    });
+    res.json(mcpResult);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/air-quality/:city', async (req, res) => {
+  try {
+    const { city } = req.params;
+    const { country, admin1 } = req.query;
+    const mcpResult = await callMCPTool('get_air_quality', { city, country, admin1 });
+    res.json(mcpResult);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/compare', async (req, res) => {
+  try {
+    const { cities = '', days = 7, purpose } = req.query;
+    const mcpResult = await callMCPTool('compare_weather', {
+      cities: cities.split(',').map(city => city.trim()).filter(Boolean),
+      days: parseInt(days),
+      purpose,
+      units: parseUnitsQuery(req.query)
+    });
+    res.json(mcpResult);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/alerts/:city', async (req, res) => {
+  try {
+    const { city } = req.params;
+    const { days = 7, country, admin1 } = req.query;
+    const mcpResult = await callMCPTool('get_weather_alerts', {
+      city,
+      days: parseInt(days),
+      country,
+      admin1,
+      units: parseUnitsQuery(req.query)
+    });
+    res.json(mcpResult);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/marine/:city', async (req, res) => {
+  try {
+    const { city } = req.params;
+    const { country, admin1 } = req.query;
+    const mcpResult = await callMCPTool('get_marine_conditions', {
+      city,
+      country,
+      admin1,
+      units: parseUnitsQuery(req.query)
+    });
     res.json(mcpResult);
   } catch (error) {
     res.status(400).json({ error: error.message });
@@ -289,14 +551,28 @@ app.get('/api/forecast/:city', async (req, res) => {
 app.get('/api/geocode/:city', async (req, res) => {
   try {
     const { city } = req.params;
-    const { count = 1 } = req.query;
-    const mcpResult = await callMCPTool('geocode_city', { city, count: parseInt(count) });
+    const { count = 1, country, admin1 } = req.query;
+    const mcpResult = await callMCPTool('geocode_city', { city, count: parseInt(count), country, admin1 });
     res.json(mcpResult);
   } catch (error) {
     res.status(400).json({ error: error.message });
   }
 });
 
+// City name suggestions for the chat input, from the MCP server's completion/complete
+app.get('/api/cities/suggest', async (req, res) => {
+  try {
+    const query = req.query.q || '';
+    const mcpResult = await sendMCPRequest('completion/complete', {
+      ref: { type: 'ref/resource', uri: 'weather://current/{city}' },
+      argument: { name: 'city', value: query }
+    });
+    res.json({ query, suggestions: mcpResult.completion.values });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
 app.get('/api/weather/coordinates/:lat/:lon', async (req, res) => {
   try {
     const { lat, lon } = req.params;
@@ -304,7 +580,9 @@ app.get('/api/weather/coordinates/:lat/:lon', async (req, res) => {
     const mcpResult = await callMCPTool('get_weather_by_coords', {
       latitude: parseFloat(lat),
       longitude: parseFloat(lon),
-      days: parseInt(days)
+      days: parseInt(days),
+      units: parseUnitsQuery(req.query),
+      locale: resolveRequestLocale(req)
     });
     res.json(mcpResult);
   } catch (error) {
@@ -312,6 +590,11 @@ app.get('/api/weather/coordinates/:lat/:lon', async (req, res) => {
   }
 });
 
+// Weather code descriptions, icons and severity levels for the React client
+app.get('/api/weather-codes', (req, res) => {
+  res.json(getWeatherCodeTable(resolveRequestLocale(req)));
+});
+
 // MCP server info endpoint
 app.get('/api/mcp/info', async (req, res) => {
   try {
@@ -417,18 +700,22 @@ if (process.env.NODE_ENV === 'production') {
   });
 }
 
-app.listen(PORT, async () => {
-  console.log(`🚀 Chat Server running on http://localhost:${PORT}`);
-  if (process.env.NODE_ENV !== 'production') {
-    console.log('📱 In development mode - start React client separately with: cd client && npm start');
-  }
+if (require.main === module) {
+  app.listen(PORT, async () => {
+    console.log(`🚀 Chat Server running on http://localhost:${PORT}`);
+    if (process.env.NODE_ENV !== 'production') {
+      console.log('📱 In development mode - start React client separately with: cd client && npm start');
+    }
 
-  // Check MCP server connection
-  const mcpInfo = await getMCPServerInfo();
-  if (mcpInfo) {
-    console.log(`🌤️  Connected to MCP server: ${mcpInfo.name} v${mcpInfo.version}`);
-  } else {
-    console.log(`⚠️  MCP server not available at ${MCP_SERVER_URL}`);
-    console.log('💡 Start the MCP server with: node mcp-server/start-mcp-server.js');
-  }
-}); 
\ No newline at end of file
+    // Check MCP server connection
+    const mcpInfo = await getMCPServerInfo();
+    if (mcpInfo) {
+      console.log(`🌤️  Connected to MCP server: ${mcpInfo.name} v${mcpInfo.version}`);
+    } else {
+      console.log(`⚠️  MCP server not available at ${MCP_SERVER_URL}`);
+      console.log('💡 Start the MCP server with: node mcp-server/start-mcp-server.js');
+    }
+  });
+}
+
+module.exports = { app, pickLocationCandidate, isComparisonQuery };
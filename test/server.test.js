@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const axios = require('axios');
+const ClaudeService = require('../mcp-server/claude-service');
+const { app, pickLocationCandidate, isComparisonQuery } = require('../server');
+
+const PORTLANDS = [
+  { name: 'Portland', admin1: 'Oregon', country: 'United States', countryCode: 'US' },
+  { name: 'Portland', admin1: 'Maine', country: 'United States', countryCode: 'US' },
+  { name: 'Portland', admin1: 'Victoria', country: 'Australia', countryCode: 'AU' }
+];
+
+// A stand-in MCP server behind axios: "Portland" alone is ambiguous, anything qualified is weather,
+// and city completions list the Portlands
+function fakeMcpServer(t) {
+  const toolCalls = [];
+  t.mock.method(axios, 'post', async (url, body) => {
+    let result = { capabilities: {} };
+    if (body.method === 'completion/complete') {
+      toolCalls.push({ name: body.method, args: body.params });
+      result = { completion: { values: PORTLANDS.map(place => `${place.name}, ${place.admin1}`) } };
+    }
+    if (body.method === 'tools/call') {
+      const { name, arguments: args } = body.params;
+      toolCalls.push({ name, args });
+      result = args.admin1
+        ? { content: [{ type: 'text', text: `${name} for ${args.city}, ${args.admin1}` }], structuredContent: { weatherData: { location: { name: args.city, admin1: args.admin1 } } } }
+        : { content: [{ type: 'text', text: 'Which Portland?' }], structuredContent: { ambiguous: true, candidates: PORTLANDS } };
+    }
+    return { status: 200, headers: { 'mcp-session-id': 'test-session' }, data: `event: message\ndata: ${JSON.stringify({ result })}\n` };
+  });
+  return toolCalls;
+}
+
+async function listen(t) {
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise(resolve => server.once('listening', resolve));
+  return `http://localhost:${server.address().port}`;
+}
+
+async function startServer(t) {
+  const baseUrl = await listen(t);
+  return async body => {
+    const response = await fetch(`${baseUrl}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return response.json();
+  };
+}
+
+test('picks a candidate by its number on its own', () => {
+  assert.strictEqual(pickLocationCandidate('2', PORTLANDS), PORTLANDS[1]);
+  assert.strictEqual(pickLocationCandidate(' 3 ', PORTLANDS), PORTLANDS[2]);
+  assert.strictEqual(pickLocationCandidate('4', PORTLANDS), null);
+  assert.strictEqual(pickLocationCandidate('weather in Paris for 3 days', PORTLANDS), null);
+});
+
+test('picks a candidate by region or by a country only one candidate is in', () => {
+  assert.strictEqual(pickLocationCandidate('the one in Oregon', PORTLANDS), PORTLANDS[0]);
+  assert.strictEqual(pickLocationCandidate('MAINE please', PORTLANDS), PORTLANDS[1]);
+  assert.strictEqual(pickLocationCandidate('Australia', PORTLANDS), PORTLANDS[2]);
+  assert.strictEqual(pickLocationCandidate('United States', PORTLANDS), null);
+});
+
+test('replays the original request for the picked candidate', async t => {
+  process.env.CLAUDE_API_KEY = process.env.CLAUDE_API_KEY || 'test-key';
+  t.mock.method(ClaudeService.prototype, 'extractCityFromMessage', async () => 'Portland');
+  t.mock.method(console, 'log', () => {});
+  const toolCalls = fakeMcpServer(t);
+  const chat = await startServer(t);
+
+  const question = await chat({ message: "What's the 5 day forecast for Portland?", units: 'imperial', locale: 'en' });
+  assert.strictEqual(question.type, 'location_choice');
+  assert.deepStrictEqual(question.locationChoice.args, { city: 'Portland', units: 'imperial', locale: 'en', days: 5 });
+
+  const answer = await chat({ message: 'the one in Oregon', units: 'imperial', locale: 'en', locationChoice: question.locationChoice });
+  assert.strictEqual(answer.response, 'get_forecast for Portland, Oregon');
+  assert.deepStrictEqual(toolCalls[1], {
+    name: 'get_forecast',
+    args: { city: 'Portland', units: 'imperial', locale: 'en', days: 5, country: 'US', admin1: 'Oregon' }
+  });
+});
+
+test('does not replay tools the chat endpoint never offered', async t => {
+  t.mock.method(console, 'log', () => {});
+  const toolCalls = fakeMcpServer(t);
+  const chat = await startServer(t);
+
+  const reply = await chat({ message: '1', locationChoice: { tool: 'get_weather_alerts', args: {}, candidates: PORTLANDS } });
+
+  assert.deepStrictEqual(toolCalls, []);
+  assert.ok(reply.response);
+});
+
+test('passes the hour count and location filters of /api/hourly to the MCP tool', async t => {
+  t.mock.method(console, 'log', () => {});
+  const toolCalls = fakeMcpServer(t);
+  const baseUrl = await listen(t);
+
+  const response = await fetch(`${baseUrl}/api/hourly/Portland?hours=12&admin1=Maine&country=US&units=imperial`);
+
+  assert.strictEqual(response.status, 200);
+  assert.strictEqual((await response.json()).content[0].text, 'get_hourly_forecast for Portland, Maine');
+  assert.deepStrictEqual(toolCalls[0], {
+    name: 'get_hourly_forecast',
+    args: { city: 'Portland', hours: 12, country: 'US', admin1: 'Maine', units: 'imperial' }
+  });
+});
+
+test('recognises comparison questions without mistaking everyday "or" for one', () => {
+  const cases = {
+    'Compare Oslo and Bergen this weekend': true,
+    'Lisbon vs Barcelona next week?': true,
+    'Should I go to Lisbon or Barcelona?': true,
+    'Is Porto, or Faro warmer?': true,
+    'Will it rain or shine in Paris?': false,
+    'weather in london or nearby': false
+  };
+
+  for (const [message, expected] of Object.entries(cases)) {
+    assert.strictEqual(isComparisonQuery(message), expected, message);
+  }
+});
+
+test('hands the structured weather data to the client next to the text', async t => {
+  t.mock.method(console, 'log', () => {});
+  fakeMcpServer(t);
+  const chat = await startServer(t);
+
+  const reply = await chat({ message: '2', locationChoice: { tool: 'get_weather', args: { city: 'Portland' }, candidates: PORTLANDS } });
+
+  assert.strictEqual(reply.response, 'get_weather for Portland, Maine');
+  assert.deepStrictEqual(reply.weatherData, { location: { name: 'Portland', admin1: 'Maine' } });
+});
+
+test('suggests cities through completion of the current weather resource', async t => {
+  t.mock.method(console, 'log', () => {});
+  const requests = fakeMcpServer(t);
+  const baseUrl = await listen(t);
+
+  const body = await (await fetch(`${baseUrl}/api/cities/suggest?q=Portl`)).json();
+
+  assert.deepStrictEqual(body, { query: 'Portl', suggestions: ['Portland, Oregon', 'Portland, Maine', 'Portland, Victoria'] });
+  assert.deepStrictEqual(requests[0].args, {
+    ref: { type: 'ref/resource', uri: 'weather://current/{city}' },
+    argument: { name: 'city', value: 'Portl' }
+  });
+});